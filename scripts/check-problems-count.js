@@ -1,6 +1,10 @@
-require('dotenv').config({ path: require('path').resolve(__dirname, '..', '.env') });
-const mongoose = require('mongoose');
-const Problem = require('../src/models/Problem');
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { mongoose } from 'mongoose';
+import Problem from '../src/models/Problem.js';
+
+dotenv.config({ path: path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '.env') });
 
 async function checkProblems() {
   try {
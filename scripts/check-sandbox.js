@@ -0,0 +1,61 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { judge } from '../src/judge/engine.js';
+import { getLanguageVersion } from '../src/judge/languages.js';
+import { SANDBOX_CONFIG } from '../src/judge/sandbox.js';
+import { VERDICTS } from '../src/judge/verdicts.js';
+
+// Judge a small program in every installed language the way submissions are judged, to check that
+// the sandbox user can build and run them and that they can't read the server's files. Each program
+// reads "a b path", prints a + b and then whether it could open path, a file only the server can read.
+// Usage (as root): SANDBOX_UID=65534 SANDBOX_GID=65534 node scripts/check-sandbox.js
+
+const PROGRAMS = {
+  c: '#include <stdio.h>\nint main(void) { int a, b; char path[4096]; scanf("%d %d %4095s", &a, &b, path); printf("%d\\n%s\\n", a + b, fopen(path, "r") ? "readable" : "denied"); return 0; }',
+  cpp: '#include <cstdio>\nint main() { int a, b; char path[4096]; std::scanf("%d %d %4095s", &a, &b, path); std::printf("%d\\n%s\\n", a + b, std::fopen(path, "r") ? "readable" : "denied"); }',
+  python: 'a, b, path = input().split()\nprint(int(a) + int(b))\ntry:\n    open(path).close()\n    print("readable")\nexcept OSError:\n    print("denied")',
+  javascript: 'const fs = require("fs");\nconst [a, b, path] = fs.readFileSync(0, "utf8").trim().split(" ");\nconsole.log(Number(a) + Number(b));\ntry { fs.readFileSync(path); console.log("readable"); } catch { console.log("denied"); }',
+  go: 'package main\n\nimport (\n\t"fmt"\n\t"os"\n)\n\nfunc main() {\n\tvar a, b int\n\tvar path string\n\tfmt.Scan(&a, &b, &path)\n\tfmt.Println(a + b)\n\tif _, err := os.ReadFile(path); err != nil {\n\t\tfmt.Println("denied")\n\t} else {\n\t\tfmt.Println("readable")\n\t}\n}'
+};
+
+async function checkSandbox() {
+  if (SANDBOX_CONFIG.uid === undefined) {
+    console.error('Set SANDBOX_UID (and SANDBOX_GID) to the account submissions run as');
+    process.exit(1);
+  }
+
+  const probe = path.join(os.tmpdir(), `skypad-sandbox-probe-${process.pid}`);
+  await fs.writeFile(probe, 'secret', { mode: 0o600 });
+
+  let failed = 0;
+  try {
+    for (const [language, code] of Object.entries(PROGRAMS)) {
+      if (await getLanguageVersion(language) === null) {
+        console.log(`${language}: not installed, skipped`);
+        continue;
+      }
+
+      const result = await judge({
+        code,
+        language,
+        testCases: [{ input: `2 3 ${probe}`, expectedOutput: '5\ndenied' }]
+      });
+      const test = result.testResults[0];
+      if (result.verdict === VERDICTS.ACCEPTED) {
+        console.log(`${language}: ok`);
+      } else {
+        failed++;
+        console.log(`${language}: ${result.verdict}`);
+        console.log(`  ${(result.compileOutput || test?.error || test?.actualOutput || '').trim().replace(/\n/g, '\n  ')}`);
+      }
+    }
+  } finally {
+    await fs.rm(probe, { force: true });
+  }
+
+  console.log(failed ? `\n${failed} languages failed under uid ${SANDBOX_CONFIG.uid}` : `\nEvery installed language judged under uid ${SANDBOX_CONFIG.uid}`);
+  process.exit(failed ? 1 : 0);
+}
+
+checkSandbox();
@@ -0,0 +1,130 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import AdmZip from 'adm-zip';
+
+// Bulk import of problem packages (see docs/problem-packages.md) through the API, so every problem
+// gets the same checks as one created on the site and belongs to the setter whose token is used.
+//
+// Usage: node scripts/import-problems.js [options] <package.zip | package folder | folder of packages>...
+//   --api <url>           backend to import into (default http://localhost:$PORT)
+//   --token <jwt>         token of the setter the problems will belong to (default $SKYPAD_TOKEN)
+//   --difficulty <level>  for Polygon packages, which carry no difficulty (Easy, Medium, Hard)
+//   --topic <topic>       for Polygon packages
+//   --languages <ids>     for Polygon packages, comma separated (default every language)
+//   --dry-run             only list the packages that would be imported
+
+dotenv.config({ path: path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '.env') });
+
+const PACKAGE_MARKERS = ['problem.yml', 'problem.xml'];
+
+const { values: options, positionals: targets } = parseArgs({
+  allowPositionals: true,
+  options: {
+    api: { type: 'string', default: `http://localhost:${process.env.PORT || 8080}` },
+    token: { type: 'string', default: process.env.SKYPAD_TOKEN },
+    difficulty: { type: 'string' },
+    topic: { type: 'string' },
+    languages: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false }
+  }
+});
+
+const isPackageFolder = async (folder) => {
+  const entries = await fs.readdir(folder);
+  return PACKAGE_MARKERS.some(marker => entries.includes(marker));
+};
+
+// Every package a target names: a zip, an unpacked package folder, or a folder holding those
+async function findPackages(target) {
+  const stat = await fs.stat(target);
+  if (stat.isFile()) {
+    return target.endsWith('.zip') ? [target] : [];
+  }
+  if (await isPackageFolder(target)) {
+    return [target];
+  }
+  const entries = await fs.readdir(target, { withFileTypes: true });
+  const found = await Promise.all(entries
+    .filter(entry => entry.isDirectory() || entry.name.endsWith('.zip'))
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+    .map(entry => findPackages(path.join(target, entry.name))));
+  return found.flat();
+}
+
+// Unpacked packages are zipped in memory
+async function readPackage(packagePath) {
+  if ((await fs.stat(packagePath)).isFile()) {
+    return fs.readFile(packagePath);
+  }
+  const zip = new AdmZip();
+  zip.addLocalFolder(packagePath);
+  return zip.toBuffer();
+}
+
+async function importPackage(packagePath) {
+  const query = new URLSearchParams();
+  for (const key of ['difficulty', 'topic', 'languages']) {
+    if (options[key]) query.set(key, options[key]);
+  }
+
+  const response = await fetch(`${options.api}/api/problems/import?${query}`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${options.token}`,
+      'Content-Type': 'application/zip'
+    },
+    body: await readPackage(packagePath)
+  });
+  const body = await response.json().catch(() => ({}));
+  return { ok: response.ok, status: response.status, body };
+}
+
+async function importProblems() {
+  if (targets.length === 0) {
+    console.error('Usage: node scripts/import-problems.js [--api URL] [--token JWT] <package.zip | folder>...');
+    process.exit(1);
+  }
+  if (!options.token && !options['dry-run']) {
+    console.error('A setter token is needed: pass --token or set SKYPAD_TOKEN');
+    process.exit(1);
+  }
+
+  const packages = (await Promise.all(targets.map(findPackages))).flat();
+  console.log(`Found ${packages.length} packages`);
+  if (options['dry-run']) {
+    packages.forEach(packagePath => console.log(`  ${packagePath}`));
+    return;
+  }
+
+  let failed = 0;
+  for (const packagePath of packages) {
+    try {
+      const { ok, status, body } = await importPackage(packagePath);
+      if (ok) {
+        console.log(`✅ ${packagePath} → ${body.problem?.id} (${body.package?.format})`);
+        body.package?.warnings?.forEach(warning => console.log(`   ⚠️  ${warning}`));
+      } else {
+        failed++;
+        console.log(`❌ ${packagePath}: ${status} ${body.message || ''}`);
+        // Name the tests a validator or reference solution rejected
+        const report = body.validationReport;
+        report?.validator?.invalidTests?.forEach(test => console.log(`   invalid ${test.set} test ${test.index + 1}: ${test.verdict}`));
+        report?.referenceSolution?.failedTests?.forEach(test => console.log(`   reference solution fails ${test.set} test ${test.index + 1}: ${test.verdict}`));
+      }
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${packagePath}: ${error.message}`);
+    }
+  }
+
+  console.log(`\nImported ${packages.length - failed} of ${packages.length} packages`);
+  if (failed > 0) process.exit(1);
+}
+
+importProblems().catch((error) => {
+  console.error('Error:', error);
+  process.exit(1);
+});
@@ -1,13 +1,11 @@
-const mongoose = require('mongoose');
-require('dotenv').config();
+import { mongoose } from 'mongoose';
+import dotenv from 'dotenv';
+import Problem from '../src/models/Problem.js';
 
-// Connect to MongoDB
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/skypad', {
-  useNewUrlParser: true,
-  useUnifiedTopology: true
-});
+dotenv.config();
 
-const Problem = require('../src/models/Problem');
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/skypad');
 
 async function migrateTestCases() {
   try {
@@ -0,0 +1,31 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { mongoose } from 'mongoose';
+import Problem from '../src/models/Problem.js';
+import { refreshProblemStats } from '../src/services/problemStats.js';
+
+// Recompute every problem's stats from its submissions, e.g. for problems stored before stats existed
+// Usage: node scripts/refresh-problem-stats.js
+
+dotenv.config({ path: path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '.env') });
+
+async function refreshAllProblemStats() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const problems = await Problem.find().select('_id title');
+    for (const problem of problems) {
+      const stats = await refreshProblemStats(problem._id);
+      console.log(`${problem.title}: ${stats.accepted}/${stats.submissions} accepted, ${stats.solvers} solvers`);
+    }
+    console.log(`\nRefreshed the stats of ${problems.length} problems`);
+
+    await mongoose.connection.close();
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+}
+
+refreshAllProblemStats();
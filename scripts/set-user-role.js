@@ -0,0 +1,39 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { mongoose } from 'mongoose';
+import User from '../src/models/User.js';
+
+// Grant or take back the reviewer and admin roles of the problem workflow
+// Usage: node scripts/set-user-role.js <email> <user|reviewer|admin>
+
+dotenv.config({ path: path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '.env') });
+
+const ROLES = User.schema.path('role').enumValues;
+
+async function setUserRole() {
+  const [email, role] = process.argv.slice(2);
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: node scripts/set-user-role.js <email> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const user = await User.findOneAndUpdate({ email: email.toLowerCase() }, { role }, { new: true });
+    if (!user) {
+      console.error(`No user with email ${email}`);
+      process.exitCode = 1;
+    } else {
+      console.log(`${user.username} (${user.email}) is now ${user.role}`);
+    }
+
+    await mongoose.connection.close();
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+}
+
+setUserRole();
@@ -0,0 +1,200 @@
+import crypto from "crypto";
+import { normalizeLanguage, resolveToolchain, describeToolchain } from "./judge/languages.js";
+import { spawnSandboxed, describeExit, hostSupports } from "./judge/sandbox.js";
+import { prepareProgram, prepareProject, releaseProgram } from "./judge/engine.js";
+import { WorkspaceError, loadWorkspaceProject } from "./services/workspaces.js";
+
+// Code run from the editor: built through the language registry like a submission, then started
+// in the sandbox with stdin left open. Output is streamed to the socket as it is written and
+// every event carries the run's id, so a client can keep several runs apart.
+//
+// Socket events (client -> server):
+//   run-code        { code, language, standard?, runId? }   runId is generated when not given
+//                   { workspaceId, entryPoint?, standard?, runId? } runs a whole workspace (signed in only)
+//   send-input      { input, runId?, eof? }                 eof closes the program's stdin
+//   stop-execution  { runId? }
+// Without a runId, send-input and stop-execution go to the socket's most recent run.
+// Server -> client: code-started, code-output { runId, stream, data } and code-finished.
+
+const RUN_TIME_LIMIT = 5 * 60 * 1000; // wall clock, runs wait for the user to type
+const RUN_MEMORY_LIMIT = 256; // MB
+const MAX_RUNS_PER_SOCKET = 3; // starting another stops the oldest
+// Editor runs don't go through the judge queue's workers, so this bounds how many the host runs
+// at once, over all sockets and compiling ones included
+const MAX_EDITOR_RUNS = Number(process.env.EDITOR_MAX_RUNS) || 32;
+
+// stdio is block buffered on a pipe; stdbuf makes C and C++ programs flush every line,
+// PYTHONUNBUFFERED does the same for Python
+const HAS_STDBUF = hostSupports('stdbuf', ['--version']);
+const STREAM_ENV = { PYTHONUNBUFFERED: '1' };
+
+// socket.id -> Map<runId, run>, in start order. A run is registered before it is built, with
+// child set once its program starts.
+const socketRuns = new Map();
+let activeRuns = 0;
+
+// A workspace run builds every file of the project, starting from its entry point
+const loadProject = async (socket, workspaceId, entryPoint) => {
+  if (!socket.userId) {
+    throw new WorkspaceError(401, 'Sign in to run workspaces');
+  }
+  return loadWorkspaceProject(socket.userId, workspaceId, entryPoint);
+};
+
+const startRun = async (socket, run, { code, language, standard, runId, workspaceId, entryPoint }) => {
+  const project = workspaceId ? await loadProject(socket, workspaceId, entryPoint) : null;
+  if (project) language = project.language;
+
+  const lang = normalizeLanguage(language);
+  const toolchain = lang && resolveToolchain(lang, standard);
+  if (!lang || !toolchain) {
+    socket.emit('code-finished', {
+      runId,
+      success: false,
+      compileError: lang ? `Unsupported standard: ${standard}` : `Unsupported language: ${language}`
+    });
+    return;
+  }
+
+  const prepared = project
+    ? await prepareProject(lang, project.files, project.entry, RUN_MEMORY_LIMIT, toolchain)
+    : await prepareProgram(lang, code || '', RUN_MEMORY_LIMIT, toolchain);
+  if (prepared.compileError) {
+    await releaseProgram(prepared.dir);
+    socket.emit('code-finished', { runId, success: false, compileError: prepared.compileError });
+    return;
+  }
+
+  // Described before starting so no output can overtake code-started
+  const description = await describeToolchain(lang, toolchain);
+
+  // Stopped or disconnected while building: nobody is waiting for this run anymore
+  if (run.stopped || socket.disconnected) {
+    await releaseProgram(prepared.dir);
+    socket.emit('code-finished', { runId, success: false, stopped: true });
+    return;
+  }
+
+  const [command, args] = HAS_STDBUF
+    ? ['stdbuf', ['-oL', '-eL', prepared.command, ...prepared.args]]
+    : [prepared.command, prepared.args];
+  const { child, done, kill } = spawnSandboxed(command, args, {
+    cwd: prepared.dir,
+    env: { ...prepared.env, ...STREAM_ENV },
+    timeLimit: RUN_TIME_LIMIT,
+    memoryLimit: RUN_MEMORY_LIMIT,
+    limitAddressSpace: prepared.limitAddressSpace
+  });
+
+  run.child = child;
+  run.kill = kill;
+
+  socket.emit('code-started', {
+    runId,
+    language: lang,
+    entryPoint: project?.entry,
+    toolchain: description,
+    compileWarnings: prepared.warnings
+  });
+
+  if (child) {
+    child.stdout.on('data', (data) => socket.emit('code-output', { runId, stream: 'stdout', data: data.toString() }));
+    child.stderr.on('data', (data) => socket.emit('code-output', { runId, stream: 'stderr', data: data.toString() }));
+  }
+
+  const result = await done;
+  await releaseProgram(prepared.dir);
+
+  socket.emit('code-finished', {
+    runId,
+    success: !run.stopped && !result.error && result.exitCode === 0,
+    stopped: run.stopped || undefined,
+    exitCode: result.exitCode,
+    error: result.error ||
+      (result.timedOut && !run.stopped ? 'Time limit exceeded' : undefined) ||
+      (result.memoryExceeded ? 'Memory limit exceeded' : undefined) ||
+      (result.outputExceeded ? 'Output limit exceeded' : undefined) ||
+      (result.exitCode !== 0 && !run.stopped ? describeExit(result.exitCode, result.signal) : undefined),
+    executionTime: result.time,
+    memoryUsed: result.memory
+  });
+};
+
+// The run a send-input or stop-execution is meant for
+const findRun = (socket, runId) => {
+  const runs = socketRuns.get(socket.id);
+  if (!runs) return null;
+  return runId ? runs.get(runId) : [...runs.values()].pop();
+};
+
+const stopRun = (run) => {
+  run.stopped = true;
+  run.kill();
+};
+
+// Register the editor run events on a code editor socket
+const handleEditorRuns = (socket) => {
+  socket.on('run-code', async (data = {}, ack) => {
+    const runId = typeof data.runId === 'string' && data.runId.length <= 64 ? data.runId : crypto.randomUUID();
+    console.log(`Executing ${data.workspaceId ? `workspace ${data.workspaceId}` : `${data.language} code`} (run ${runId})...`);
+    if (typeof ack === 'function') ack({ runId });
+
+    if (activeRuns >= MAX_EDITOR_RUNS) {
+      socket.emit('code-finished', { runId, success: false, error: 'Too many programs are running, please try again shortly' });
+      return;
+    }
+
+    if (!socketRuns.has(socket.id)) socketRuns.set(socket.id, new Map());
+    const runs = socketRuns.get(socket.id);
+    // Stopped runs still building hold their slot too, so one socket can't pile them up
+    if (runs.size >= 2 * MAX_RUNS_PER_SOCKET) {
+      socket.emit('code-finished', { runId, success: false, error: 'Too many runs are still stopping, please try again shortly' });
+      return;
+    }
+    if (runs.has(runId)) {
+      stopRun(runs.get(runId));
+    }
+    // Stopped runs stay listed until their process is gone, only live ones count
+    const live = [...runs.values()].filter(run => !run.stopped);
+    while (live.length >= MAX_RUNS_PER_SOCKET) {
+      stopRun(live.shift());
+    }
+
+    const run = { child: null, kill: () => {}, stopped: false };
+    runs.set(runId, run);
+    activeRuns++;
+
+    try {
+      await startRun(socket, run, { ...data, runId });
+    } catch (error) {
+      if (!(error instanceof WorkspaceError)) {
+        console.error('Editor run error:', error);
+      }
+      socket.emit('code-finished', { runId, success: false, error: error.message });
+    } finally {
+      activeRuns--;
+      if (runs.get(runId) === run) runs.delete(runId);
+      if (runs.size === 0 && socketRuns.get(socket.id) === runs) socketRuns.delete(socket.id);
+    }
+  });
+
+  socket.on('send-input', (data = {}) => {
+    const run = findRun(socket, data.runId);
+    if (!run?.child?.stdin.writable) return;
+    if (data.input != null) run.child.stdin.write(`${data.input}\n`);
+    if (data.eof) run.child.stdin.end();
+  });
+
+  socket.on('stop-execution', (data = {}) => {
+    const run = findRun(socket, data.runId);
+    if (run) stopRun(run);
+  });
+
+  socket.on('disconnect', () => {
+    for (const run of socketRuns.get(socket.id)?.values() || []) {
+      stopRun(run);
+    }
+  });
+};
+
+export { handleEditorRuns };
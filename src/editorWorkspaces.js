@@ -0,0 +1,80 @@
+import jwt from "jsonwebtoken";
+import {
+  WorkspaceError,
+  listWorkspaces,
+  getWorkspace,
+  createWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  writeFile,
+  deleteFile,
+  renameFile
+} from "./services/workspaces.js";
+
+// Workspace operations over the code editor sockets, mirroring /api/workspaces.
+// Each event takes a payload and an acknowledgement callback answered with { ok: true, ...result }
+// or { ok: false, status, message }. The user's other editor sockets hear about every change
+// through workspace-changed { workspaceId, action, path? } so open tabs stay in sync.
+
+// Editor sockets also work without an account; a token in the handshake unlocks workspaces
+const identifyEditorUser = (socket, next) => {
+  const token = socket.handshake.auth?.token;
+  if (token) {
+    try {
+      const secret = process.env.JWT_SECRET || 'dev-secret-change-me';
+      socket.userId = jwt.verify(token, secret).sub;
+    } catch (err) {
+      console.log('Editor socket token rejected:', err.message);
+    }
+  }
+  next();
+};
+
+const WORKSPACE_EVENTS = {
+  'workspace-list': (userId) => listWorkspaces(userId).then(workspaces => ({ workspaces })),
+  'workspace-get': (userId, { workspaceId }) => getWorkspace(userId, workspaceId),
+  'workspace-create': (userId, data) => createWorkspace(userId, data),
+  'workspace-update': (userId, { workspaceId, ...changes }) => updateWorkspace(userId, workspaceId, changes),
+  'workspace-delete': (userId, { workspaceId }) => deleteWorkspace(userId, workspaceId).then(() => ({})),
+  'workspace-write-file': (userId, { workspaceId, path, content }) => writeFile(userId, workspaceId, path, content),
+  'workspace-delete-file': (userId, { workspaceId, path }) => deleteFile(userId, workspaceId, path),
+  'workspace-rename-file': (userId, { workspaceId, from, to }) => renameFile(userId, workspaceId, from, to)
+};
+
+// Register the workspace events on a code editor socket
+const handleWorkspaceEvents = (socket) => {
+  if (socket.userId) socket.join(`workspaces-${socket.userId}`);
+
+  for (const [event, operation] of Object.entries(WORKSPACE_EVENTS)) {
+    socket.on(event, async (data = {}, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      if (!socket.userId) {
+        return reply({ ok: false, status: 401, message: 'Sign in to use workspaces' });
+      }
+
+      try {
+        const result = await operation(socket.userId, data);
+        reply({ ok: true, ...result });
+
+        if (event !== 'workspace-list' && event !== 'workspace-get') {
+          socket.to(`workspaces-${socket.userId}`).emit('workspace-changed', {
+            workspaceId: data.workspaceId ?? result.workspaceId,
+            action: event.replace('workspace-', ''),
+            path: data.path ?? data.to
+          });
+        }
+      } catch (error) {
+        if (!(error instanceof WorkspaceError)) {
+          console.error(`Socket ${event} error:`, error);
+        }
+        reply({
+          ok: false,
+          status: error instanceof WorkspaceError ? error.status : 500,
+          message: error instanceof WorkspaceError ? error.message : 'Workspace operation failed'
+        });
+      }
+    });
+  }
+};
+
+export { identifyEditorUser, handleWorkspaceEvents };
@@ -0,0 +1,91 @@
+import crypto from "crypto";
+import { promises as fs, rmSync } from "fs";
+import os from "os";
+import path from "path";
+import { createWorkDir } from "./sandbox.js";
+
+// Compiled programs are kept by source hash so re-running the same code skips the compiler.
+// Programs are built in a work folder of the sandbox user and then moved into the cache, which
+// only the server can open, so no submission can read or change another's build.
+const ARTIFACT_CACHE_DIR = path.join(os.tmpdir(), `skypad-artifacts-${process.pid}`);
+const MAX_CACHED_ARTIFACTS = Number(process.env.JUDGE_ARTIFACT_CACHE_SIZE) || 200;
+const EVICTION_DELAY = 60 * 1000; // let in-flight copies of an evicted artifact finish
+
+// hash -> Promise<{ dir, warnings } | { compileError }>, kept in least recently used order
+const artifacts = new Map();
+
+let cacheDirReady;
+const ensureCacheDir = () => {
+  if (!cacheDirReady) {
+    cacheDirReady = fs.mkdir(ARTIFACT_CACHE_DIR, { recursive: true, mode: 0o700 }).then(() => fs.chmod(ARTIFACT_CACHE_DIR, 0o700));
+  }
+  return cacheDirReady;
+};
+
+process.on('exit', () => {
+  rmSync(ARTIFACT_CACHE_DIR, { recursive: true, force: true });
+});
+
+// Everything that influences the compiler's output goes into the key
+const artifactKey = (language, compileCommand, code) =>
+  crypto.createHash('sha256')
+    .update(JSON.stringify([language, compileCommand]))
+    .update('\0')
+    .update(code)
+    .digest('hex');
+
+const evict = () => {
+  while (artifacts.size > MAX_CACHED_ARTIFACTS) {
+    const [key, entry] = artifacts.entries().next().value;
+    artifacts.delete(key);
+    entry.then(({ dir }) => {
+      if (dir) {
+        setTimeout(() => fs.rm(dir, { recursive: true, force: true }).catch(() => {}), EVICTION_DELAY).unref();
+      }
+    }, () => {});
+  }
+};
+
+// Return the cached artifact for key, building it on a miss.
+// build(dir) compiles into a new work folder and resolves with { warnings } or { compileError, retryable };
+// retryable failures (such as a compiler timeout on a busy host) are not cached. Concurrent requests
+// share one build.
+const getArtifact = (key, build) => {
+  const cached = artifacts.get(key);
+  if (cached) {
+    artifacts.delete(key);
+    artifacts.set(key, cached);
+    return cached;
+  }
+
+  const entry = (async () => {
+    await ensureCacheDir();
+    const buildDir = await createWorkDir('build-');
+    let built;
+    try {
+      built = await build(buildDir);
+    } catch (err) {
+      await fs.rm(buildDir, { recursive: true, force: true });
+      throw err;
+    }
+
+    const { compileError, retryable, warnings } = built;
+    if (compileError) {
+      await fs.rm(buildDir, { recursive: true, force: true });
+      if (retryable) artifacts.delete(key);
+      return { compileError };
+    }
+
+    const dir = path.join(ARTIFACT_CACHE_DIR, key);
+    await fs.rm(dir, { recursive: true, force: true });
+    await fs.rename(buildDir, dir);
+    return { dir, warnings };
+  })();
+
+  artifacts.set(key, entry);
+  entry.catch(() => artifacts.delete(key));
+  evict();
+  return entry;
+};
+
+export { artifactKey, getArtifact };
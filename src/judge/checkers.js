@@ -0,0 +1,217 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { VERDICTS } from "./verdicts.js";
+import { runSandboxed, grantSandboxAccess } from "./sandbox.js";
+
+// Built-in comparison modes plus 'custom' for a setter supplied checker program
+const CHECKER_TYPES = ['default', 'tokens', 'float', 'unordered_lines', 'custom'];
+
+const DEFAULT_EPSILON = 1e-6;
+const CHECKER_TIME_LIMIT = 5000; // ms
+const CHECKER_MEMORY_LIMIT = 256; // MB
+
+// Helper function to preprocess output for comparison
+const preprocessOutput = (output) => {
+  if (!output) return '';
+  return String(output)
+    .trim()                           // Remove leading/trailing whitespace
+    .replace(/\r\n/g, '\n')          // Normalize line endings (Windows -> Unix)
+    .replace(/\r/g, '\n')            // Normalize line endings (Mac -> Unix)
+    .replace(/\n+$/g, '')            // Remove trailing newlines
+    .replace(/\s+$/gm, '');          // Remove trailing spaces from each line
+};
+
+const tokenize = (output) => String(output || '').split(/\s+/).filter(Boolean);
+
+const lines = (output) => preprocessOutput(output).split('\n').map(line => line.trim());
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+// Numbers match when within the absolute or the relative error, anything else must match exactly
+const tokensClose = (actual, expected, absoluteError, relativeError) => {
+  if (!NUMBER_PATTERN.test(actual) || !NUMBER_PATTERN.test(expected)) {
+    return actual === expected;
+  }
+  const a = Number(actual);
+  const b = Number(expected);
+  const diff = Math.abs(a - b);
+  return diff <= absoluteError || diff <= relativeError * Math.abs(b);
+};
+
+const MAX_DIFF_SNIPPET = 80; // characters of each side shown around a mismatch
+
+// Cut a line down to the part around column (1-based) so huge outputs stay readable
+const snippet = (text, column) => {
+  if (text == null || text.length <= MAX_DIFF_SNIPPET) return text;
+  const start = Math.max(0, Math.min(column - 1 - MAX_DIFF_SNIPPET / 2, text.length - MAX_DIFF_SNIPPET));
+  return `${start > 0 ? '…' : ''}${text.slice(start, start + MAX_DIFF_SNIPPET)}${start + MAX_DIFF_SNIPPET < text.length ? '…' : ''}`;
+};
+
+// Locate the first mismatch between two outputs as { line, column, expected, actual }.
+// Lines and columns are 1-based; a side that ended early shows null.
+const firstDifference = (actual, expected) => {
+  const actualLines = preprocessOutput(actual).split('\n');
+  const expectedLines = preprocessOutput(expected).split('\n');
+
+  for (let i = 0; i < Math.max(actualLines.length, expectedLines.length); i++) {
+    const actualLine = actualLines[i] ?? null;
+    const expectedLine = expectedLines[i] ?? null;
+    if (actualLine === expectedLine) continue;
+
+    let column = 1;
+    if (actualLine !== null && expectedLine !== null) {
+      while (actualLine[column - 1] === expectedLine[column - 1]) column++;
+    }
+    return {
+      line: i + 1,
+      column,
+      expected: snippet(expectedLine, column),
+      actual: snippet(actualLine, column)
+    };
+  }
+  return null;
+};
+
+// Position of the index-th whitespace separated token, as { line, column }
+const tokenPosition = (output, index) => {
+  const pattern = /\S+/g;
+  let match;
+  for (let i = 0; (match = pattern.exec(String(output || ''))) !== null; i++) {
+    if (i === index) {
+      const before = output.slice(0, match.index).split('\n');
+      return { line: before.length, column: before[before.length - 1].length + 1 };
+    }
+  }
+  return null;
+};
+
+// Diff for token based checkers: where the first differing token sits in the contestant's output
+const tokenDifference = (actual, expected, actualTokens, expectedTokens, index) => {
+  const position = tokenPosition(actual, index) || tokenPosition(expected, index) || { line: 1, column: 1 };
+  return {
+    ...position,
+    expected: snippet(expectedTokens[index] ?? null, 1),
+    actual: snippet(actualTokens[index] ?? null, 1)
+  };
+};
+
+const accepted = () => ({ verdict: VERDICTS.ACCEPTED });
+const wrongAnswer = (message, diff) => ({ verdict: VERDICTS.WRONG_ANSWER, message, diff });
+
+// Compare contestant output with the expected answer using a built-in checker
+const compareBuiltin = (checker, actual, expected) => {
+  switch (checker?.type || 'default') {
+    case 'tokens': {
+      const actualTokens = tokenize(actual);
+      const expectedTokens = tokenize(expected);
+      const index = actualTokens.findIndex((token, i) => i < expectedTokens.length && token !== expectedTokens[i]);
+      if (index !== -1) {
+        return wrongAnswer(`Token ${index + 1} differs`, tokenDifference(actual, expected, actualTokens, expectedTokens, index));
+      }
+      if (actualTokens.length !== expectedTokens.length) {
+        return wrongAnswer(
+          `Expected ${expectedTokens.length} tokens, found ${actualTokens.length}`,
+          tokenDifference(actual, expected, actualTokens, expectedTokens, Math.min(actualTokens.length, expectedTokens.length))
+        );
+      }
+      return accepted();
+    }
+
+    case 'float': {
+      const absoluteError = checker.absoluteError ?? DEFAULT_EPSILON;
+      const relativeError = checker.relativeError ?? DEFAULT_EPSILON;
+      const actualTokens = tokenize(actual);
+      const expectedTokens = tokenize(expected);
+      const index = actualTokens.findIndex(
+        (token, i) => i < expectedTokens.length && !tokensClose(token, expectedTokens[i], absoluteError, relativeError)
+      );
+      if (index !== -1) {
+        return wrongAnswer(`Token ${index + 1} differs`, tokenDifference(actual, expected, actualTokens, expectedTokens, index));
+      }
+      if (actualTokens.length !== expectedTokens.length) {
+        return wrongAnswer(
+          `Expected ${expectedTokens.length} tokens, found ${actualTokens.length}`,
+          tokenDifference(actual, expected, actualTokens, expectedTokens, Math.min(actualTokens.length, expectedTokens.length))
+        );
+      }
+      return accepted();
+    }
+
+    case 'unordered_lines': {
+      const actualLines = lines(actual).sort();
+      const expectedLines = lines(expected).sort();
+      if (actualLines.length !== expectedLines.length) {
+        return wrongAnswer(`Expected ${expectedLines.length} lines, found ${actualLines.length}`);
+      }
+      return actualLines.every((line, i) => line === expectedLines[i]) ? accepted() : wrongAnswer();
+    }
+
+    default: {
+      if (preprocessOutput(actual) === preprocessOutput(expected)) {
+        return accepted();
+      }
+      const diff = firstDifference(actual, expected);
+      const actualTokens = tokenize(actual);
+      const expectedTokens = tokenize(expected);
+      // Same tokens laid out differently (extra spaces, split or joined lines)
+      if (actualTokens.length === expectedTokens.length && actualTokens.every((token, i) => token === expectedTokens[i])) {
+        return { verdict: VERDICTS.PRESENTATION_ERROR, message: 'Output differs only in whitespace', diff };
+      }
+      return wrongAnswer(undefined, diff);
+    }
+  }
+};
+
+// Run a compiled custom checker, testlib style: `checker <input> <output> <answer>`.
+// Exit code 0 accepts, 1 or 2 reject, anything else means the checker itself failed.
+const runCustomChecker = async (program, { input, actual, expected, index }) => {
+  const dir = path.join(program.dir, `test-${index}`);
+  await fs.mkdir(dir, { recursive: true });
+
+  const files = {
+    input: path.join(dir, 'input.txt'),
+    output: path.join(dir, 'output.txt'),
+    answer: path.join(dir, 'answer.txt')
+  };
+  await Promise.all([
+    fs.writeFile(files.input, input || ''),
+    fs.writeFile(files.output, actual || ''),
+    fs.writeFile(files.answer, expected || '')
+  ]);
+  await grantSandboxAccess(dir);
+
+  try {
+    const result = await runSandboxed(program.command, [...program.args, files.input, files.output, files.answer], {
+      cwd: program.dir,
+      env: program.env,
+      timeLimit: CHECKER_TIME_LIMIT,
+      memoryLimit: CHECKER_MEMORY_LIMIT,
+      limitAddressSpace: program.limitAddressSpace
+    });
+    const message = (result.stderr || result.stdout).trim() || undefined;
+
+    if (result.exitCode === 0) {
+      return { verdict: VERDICTS.ACCEPTED, message };
+    }
+    if (result.exitCode === 1 || result.exitCode === 2) {
+      return { verdict: VERDICTS.WRONG_ANSWER, message };
+    }
+    return {
+      verdict: VERDICTS.JUDGE_ERROR,
+      message: `Checker failed${result.timedOut ? ' (time limit)' : ''}: ${message || `exit code ${result.exitCode ?? result.signal}`}`
+    };
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+// Decide whether a test's output is correct.
+// checkerProgram is the prepared custom checker when checker.type is 'custom'.
+const checkOutput = (checker, checkerProgram, testData) => {
+  if (checker?.type === 'custom') {
+    return runCustomChecker(checkerProgram, testData);
+  }
+  return compareBuiltin(checker, testData.actual, testData.expected);
+};
+
+export { CHECKER_TYPES, checkOutput, preprocessOutput };
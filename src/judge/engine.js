@@ -0,0 +1,374 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { VERDICTS } from "./verdicts.js";
+import { LANGUAGES, normalizeLanguage, resolveToolchain, describeToolchain } from "./languages.js";
+import { runSandboxed, describeExit, createWorkDir, grantSandboxAccess } from "./sandbox.js";
+import { artifactKey, getArtifact } from "./artifacts.js";
+import { checkOutput } from "./checkers.js";
+import { runInteraction } from "./interactive.js";
+import { buildHarness, formatExpectedOutput, supportsFunctionProblems } from "./harness.js";
+import { runSubtasks, scoreSubtasks } from "./subtasks.js";
+
+const COMPILE_TIMEOUT = 10000; // 10 seconds
+const COMPILE_MAX_FILE_SIZE_MB = 256;
+const DEFAULT_TIME_LIMIT = 1000; // 1 second
+const DEFAULT_MEMORY_LIMIT = 256; // MB
+
+// Standard problems compare output with the expected answer, interactive ones are judged by an interactor
+// and function problems wrap the user's function in a generated driver (see harness.js)
+const PROBLEM_TYPES = ['standard', 'interactive', 'function'];
+
+// Write a project's files ({ path, content }, paths relative to dir) into dir
+const writeFiles = async (dir, files) => {
+  for (const file of files) {
+    const target = path.resolve(dir, file.path);
+    if (!target.startsWith(dir + path.sep)) {
+      throw new Error(`File path outside the project: ${file.path}`);
+    }
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, file.content, 'utf8');
+  }
+};
+
+// Compile a project into dir, resolving with { warnings } on success and { compileError, retryable } on failure
+const compile = async (config, toolchain, files, project, dir) => {
+  await writeFiles(dir, files);
+  await grantSandboxAccess(dir);
+  await config.prepareCompiler?.();
+
+  const [command, args] = config.compile(dir, toolchain, project);
+  const result = await runSandboxed(command, args, {
+    cwd: dir,
+    env: { ...config.env, ...config.compileEnv?.(dir) },
+    timeLimit: config.compileTimeLimit || COMPILE_TIMEOUT,
+    maxFileSizeMb: COMPILE_MAX_FILE_SIZE_MB
+  });
+
+  if (result.error || result.timedOut || result.exitCode !== 0) {
+    return {
+      compileError: result.stderr || result.error || (result.timedOut ? 'Compilation timed out' : 'Compilation failed'),
+      retryable: Boolean(result.error || result.timedOut)
+    };
+  }
+  return { warnings: result.stderr.trim() || undefined };
+};
+
+// Write a project's files into a work directory of the sandbox user, compiling them if needed.
+// Compiled languages are built once per distinct set of files (see artifacts.js) and copied in.
+// Returns { dir, command, args, env, warnings } on success or { compileError } on failure.
+const prepareProject = async (language, files, entry, memoryLimit, toolchain = resolveToolchain(language)) => {
+  const config = LANGUAGES[language];
+  const extension = path.extname(config.sourceFile);
+  const project = { entry, sources: files.map(file => file.path).filter(file => path.extname(file) === extension) };
+
+  let artifact;
+  if (config.compile) {
+    const key = artifactKey(language, config.compile(undefined, toolchain, project), JSON.stringify(files));
+    artifact = await getArtifact(key, (buildDir) => compile(config, toolchain, files, project, buildDir));
+    if (artifact.compileError) {
+      return { compileError: artifact.compileError };
+    }
+  }
+
+  const dir = await createWorkDir();
+  try {
+    if (artifact) {
+      await fs.cp(artifact.dir, dir, { recursive: true });
+    } else {
+      await writeFiles(dir, files);
+    }
+    await grantSandboxAccess(dir);
+  } catch (err) {
+    await cleanup(dir);
+    throw err;
+  }
+
+  const [command, args] = config.run(dir, memoryLimit, toolchain, project);
+  return { dir, command, args, env: config.env, limitAddressSpace: Boolean(config.limitAddressSpace), warnings: artifact?.warnings };
+};
+
+// A single source file program, written to the language's sourceFile
+const prepare = async (language, code, memoryLimit, toolchain) => {
+  const config = LANGUAGES[language];
+
+  const validationError = config.validate?.(code);
+  if (validationError) {
+    return { compileError: validationError };
+  }
+
+  return prepareProject(language, [{ path: config.sourceFile, content: code }], config.sourceFile, memoryLimit, toolchain);
+};
+
+const cleanup = async (dir) => {
+  if (!dir) return;
+  try {
+    await fs.rm(dir, { recursive: true, force: true });
+  } catch (err) {
+    console.error(`Failed to delete ${dir}:`, err.message);
+  }
+};
+
+// Run a prepared program against one test case and produce its verdict
+const runTestCase = async (prepared, testCase, index, { timeLimit, memoryLimit, checker, checkerProgram, interactorProgram }) => {
+  const input = testCase.input ?? testCase.stdin ?? '';
+  const expectedOutput = testCase.expectedOutput ?? testCase.output ?? '';
+
+  // Interactive problems: the interactor talks to the program and decides the verdict
+  if (interactorProgram) {
+    const interaction = await runInteraction(prepared, interactorProgram, {
+      input,
+      expectedOutput,
+      index,
+      timeLimit,
+      memoryLimit
+    });
+
+    return {
+      testCaseIndex: index,
+      input,
+      expectedOutput,
+      actualOutput: interaction.actualOutput,
+      passed: interaction.verdict === VERDICTS.ACCEPTED,
+      verdict: interaction.verdict,
+      error: interaction.error,
+      exitCode: interaction.exitCode,
+      signal: interaction.signal,
+      checkerMessage: interaction.checkerMessage,
+      transcript: interaction.transcript,
+      executionTime: interaction.time,
+      memoryUsed: interaction.memory
+    };
+  }
+
+  const result = await runSandboxed(prepared.command, prepared.args, {
+    cwd: prepared.dir,
+    env: prepared.env,
+    input,
+    timeLimit,
+    memoryLimit,
+    limitAddressSpace: prepared.limitAddressSpace
+  });
+
+  let verdict;
+  let error;
+  let checkerMessage;
+  let diff;
+
+  if (result.timedOut) {
+    verdict = VERDICTS.TIME_LIMIT_EXCEEDED;
+  } else if (result.memoryExceeded) {
+    verdict = VERDICTS.MEMORY_LIMIT_EXCEEDED;
+  } else if (result.outputExceeded) {
+    verdict = VERDICTS.OUTPUT_LIMIT_EXCEEDED;
+  } else if (result.error) {
+    // The sandbox couldn't start the program: the judge failed, not the contestant
+    verdict = VERDICTS.JUDGE_ERROR;
+    error = result.error;
+  } else if (result.exitCode !== 0) {
+    verdict = VERDICTS.RUNTIME_ERROR;
+    error = [describeExit(result.exitCode, result.signal), result.stderr.trim()].filter(Boolean).join('\n');
+  } else if (testCase.unchecked) {
+    // Custom input without an expected answer: running cleanly is all we can judge
+    verdict = VERDICTS.ACCEPTED;
+  } else {
+    const checked = await checkOutput(checker, checkerProgram, {
+      input,
+      actual: result.stdout,
+      expected: expectedOutput,
+      index
+    });
+    verdict = checked.verdict;
+    checkerMessage = checked.message;
+    diff = checked.diff;
+  }
+
+  return {
+    testCaseIndex: index,
+    input,
+    expectedOutput,
+    actualOutput: result.stdout,
+    // Custom input runs also show what the program logged
+    stderr: testCase.unchecked ? result.stderr : undefined,
+    passed: verdict === VERDICTS.ACCEPTED,
+    verdict,
+    error,
+    exitCode: result.exitCode,
+    signal: result.signal,
+    checkerMessage,
+    diff,
+    executionTime: result.time,
+    memoryUsed: result.memory
+  };
+};
+
+// Compile a setter supplied program (custom checker or interactor) once per judging.
+// Returns the prepared program, or { compileError } with its dir already removed.
+const prepareSetterProgram = async (program, label) => {
+  const lang = normalizeLanguage(program.language);
+  if (!lang) {
+    return { compileError: `Unsupported ${label.toLowerCase()} language: ${program.language}` };
+  }
+
+  const prepared = await prepare(lang, program.code || '', DEFAULT_MEMORY_LIMIT);
+  if (prepared.compileError) {
+    await cleanup(prepared.dir);
+    return { compileError: `${label} compilation failed: ${prepared.compileError}` };
+  }
+  return prepared;
+};
+
+// A test left unjudged because its subtask had already failed
+const skippedResult = (testCase, index) => ({
+  testCaseIndex: index,
+  input: testCase.input ?? '',
+  expectedOutput: testCase.expectedOutput ?? testCase.output ?? '',
+  actualOutput: '',
+  passed: false,
+  verdict: VERDICTS.SKIPPED,
+  executionTime: 0,
+  memoryUsed: 0
+});
+
+// Result for a judging that stopped before any test could run
+const judgeFailure = (verdict, compileOutput, testCases) => ({
+  verdict,
+  compileOutput,
+  testResults: [],
+  passedCount: 0,
+  totalCount: testCases.length,
+  executionTime: 0,
+  memoryUsed: 0
+});
+
+const judgeTests = async ({ code, language, standard, toolchain, testCases = [], timeLimit, memoryLimit, checker, interactor, signature, subtasks, onTestResult }) => {
+  const lang = normalizeLanguage(language);
+
+  if (!lang) {
+    return judgeFailure(VERDICTS.COMPILATION_ERROR, `Unsupported language: ${language}`, testCases);
+  }
+  if (!toolchain) {
+    return judgeFailure(VERDICTS.COMPILATION_ERROR, `Unsupported ${LANGUAGES[lang].name} standard: ${standard}`, testCases);
+  }
+
+  // Function problems: run the user's function through a generated driver
+  if (signature) {
+    if (!supportsFunctionProblems(lang)) {
+      return judgeFailure(VERDICTS.COMPILATION_ERROR, `Function problems are not available in ${language}`, testCases);
+    }
+    code = buildHarness(signature, lang, code);
+    testCases = testCases.map(testCase => ({
+      input: testCase.input ?? '',
+      expectedOutput: formatExpectedOutput(signature, testCase.expectedOutput ?? testCase.output ?? ''),
+      unchecked: testCase.unchecked
+    }));
+    // Floating point results are compared numerically unless the setter chose a checker
+    if (signature.returnType === 'double' && (!checker?.type || checker.type === 'default')) {
+      checker = { type: 'float' };
+    }
+  }
+
+  const limits = {
+    timeLimit: (timeLimit || DEFAULT_TIME_LIMIT) * LANGUAGES[lang].timeMultiplier,
+    memoryLimit: memoryLimit || DEFAULT_MEMORY_LIMIT,
+    checker
+  };
+
+  // Setter programs are compiled once per judging, like the submission itself
+  if (interactor) {
+    limits.interactorProgram = await prepareSetterProgram(interactor, 'Interactor');
+  } else if (checker?.type === 'custom') {
+    limits.checkerProgram = await prepareSetterProgram(checker, 'Checker');
+  }
+
+  const setterProgram = limits.interactorProgram || limits.checkerProgram;
+  if (setterProgram?.compileError) {
+    return judgeFailure(VERDICTS.JUDGE_ERROR, setterProgram.compileError, testCases);
+  }
+
+  let prepared;
+  try {
+    prepared = await prepare(lang, code, limits.memoryLimit, toolchain);
+    if (prepared.compileError) {
+      return {
+        verdict: VERDICTS.COMPILATION_ERROR,
+        compileOutput: prepared.compileError,
+        testResults: testCases.map((testCase, index) => ({
+          testCaseIndex: index,
+          input: testCase.input ?? '',
+          expectedOutput: testCase.expectedOutput ?? testCase.output ?? '',
+          actualOutput: '',
+          passed: false,
+          verdict: VERDICTS.COMPILATION_ERROR,
+          error: prepared.compileError,
+          executionTime: 0,
+          memoryUsed: 0
+        })),
+        passedCount: 0,
+        totalCount: testCases.length,
+        executionTime: 0,
+        memoryUsed: 0
+      };
+    }
+
+    const judgeTest = async (index) => {
+      const testResult = await runTestCase(prepared, testCases[index], index, limits);
+      if (onTestResult) onTestResult(testResult);
+      return testResult;
+    };
+
+    let testResults = [];
+    if (subtasks?.length) {
+      const results = await runSubtasks(subtasks, testCases.length, judgeTest);
+      testResults = results.map((result, index) => result || skippedResult(testCases[index], index));
+      if (onTestResult) testResults.filter(result => result.verdict === VERDICTS.SKIPPED).forEach(result => onTestResult(result));
+    } else {
+      for (let i = 0; i < testCases.length; i++) {
+        testResults.push(await judgeTest(i));
+      }
+    }
+
+    const firstFailure = testResults.find(result => !result.passed && result.verdict !== VERDICTS.SKIPPED);
+
+    return {
+      verdict: firstFailure ? firstFailure.verdict : VERDICTS.ACCEPTED,
+      compileWarnings: prepared.warnings,
+      testResults,
+      passedCount: testResults.filter(result => result.passed).length,
+      totalCount: testResults.length,
+      executionTime: Math.max(0, ...testResults.map(result => result.executionTime || 0)),
+      memoryUsed: Math.max(0, ...testResults.map(result => result.memoryUsed || 0))
+    };
+  } finally {
+    await cleanup(prepared?.dir);
+    if (setterProgram) await cleanup(setterProgram.dir);
+  }
+};
+
+// Judge code against a list of test cases.
+// standard picks one of the language's standards (see languages.js), the default when omitted.
+// Test cases may use either { input, expectedOutput } (problems) or { input, output } (contest questions);
+// { input, unchecked: true } runs custom input without comparing the output.
+// timeLimit is in milliseconds (scaled by the language's timeMultiplier), memoryLimit in MB;
+// memoryUsed is reported in KB.
+// checker selects how output is compared (see checkers.js); defaults to line comparison.
+// interactor ({ code, language }) makes the problem interactive (see interactive.js).
+// signature ({ functionName, params, returnType }) makes it a function problem (see harness.js).
+// subtasks group the tests for IOI style scoring (see subtasks.js); the result then also carries
+// subtaskResults, score and maxScore.
+// onTestResult, if given, is called with each test's result as soon as it is judged.
+// The result records the toolchain used and keeps compiler warnings (compileWarnings) apart from
+// errors (compileOutput).
+const judge = async (options) => {
+  const lang = normalizeLanguage(options.language);
+  const toolchain = lang ? resolveToolchain(lang, options.standard) : null;
+
+  const result = await judgeTests({ ...options, toolchain });
+  return {
+    ...result,
+    ...(options.subtasks?.length && scoreSubtasks(options.subtasks, result.testResults)),
+    toolchain: toolchain ? await describeToolchain(lang, toolchain) : undefined
+  };
+};
+
+// prepare/cleanup are shared with editor runs, which start the program themselves
+export { judge, PROBLEM_TYPES, prepare as prepareProgram, prepareProject, cleanup as releaseProgram };
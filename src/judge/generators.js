@@ -0,0 +1,264 @@
+import crypto from "crypto";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { isSupportedLanguage } from "./languages.js";
+import { enqueueJudge } from "./queue.js";
+
+// Hidden tests expanded from generator programs instead of being pasted into the problem.
+// A problem lists generators ({ name, code, language }) and generated tests ({ generator, seed, args }).
+// A generator reads the seed from the first line of stdin and its arguments from the second, and
+// prints one test input. Expected outputs come from the problem's reference solution.
+// Expanded tests are cached on disk under a hash of everything that produced them, so editing a
+// generator, a seed or the reference solution rebuilds exactly the tests it affects. They are
+// hidden tests: the cache is only readable by the server's user, never by the sandbox's (see
+// docs/sandbox.md), and the least recently used files go once it outgrows its size or age limit.
+const GENERATED_TEST_CACHE_DIR = process.env.JUDGE_TEST_CACHE_DIR || path.join(os.tmpdir(), 'skypad-generated-tests');
+const CACHE_MAX_BYTES = (Number(process.env.JUDGE_TEST_CACHE_MAX_MB) || 512) * 1024 * 1024;
+const CACHE_MAX_AGE = (Number(process.env.JUDGE_TEST_CACHE_MAX_AGE_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const GENERATOR_TIME_LIMIT = 10000; // ms per test
+const GENERATOR_MEMORY_LIMIT = 512; // MB
+const REFERENCE_TIME_LIMIT = 10000; // ms per test, generous so slow references still produce answers
+
+class GeneratorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GeneratorError';
+  }
+}
+
+// Expansions in progress, so concurrent submissions to a cold problem generate once
+const expanding = new Map();
+
+const hash = (value) => crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+
+const cacheFile = (key, extension) => path.join(GENERATED_TEST_CACHE_DIR, `${key}.${extension}`);
+
+let cacheDirReady;
+const ensureCacheDir = () => {
+  if (!cacheDirReady) {
+    cacheDirReady = (async () => {
+      await fs.mkdir(GENERATED_TEST_CACHE_DIR, { recursive: true, mode: 0o700 });
+      // mkdir leaves an existing directory's mode alone
+      await fs.chmod(GENERATED_TEST_CACHE_DIR, 0o700);
+    })();
+    cacheDirReady.catch(() => { cacheDirReady = null; });
+  }
+  return cacheDirReady;
+};
+
+// A hit refreshes the file's mtime, which eviction goes by
+const readCached = async (file) => {
+  try {
+    const content = await fs.readFile(file, 'utf8');
+    const now = new Date();
+    await fs.utimes(file, now, now).catch(() => {});
+    return content;
+  } catch {
+    return null;
+  }
+};
+
+// Write through a temporary file so readers never see half a test
+const writeCached = async (file, content) => {
+  const temporary = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+  await fs.writeFile(temporary, content, { mode: 0o600 });
+  await fs.rename(temporary, file);
+};
+
+// Drop cached tests unused for longer than the age limit, then the least recently used ones until
+// the cache fits its size limit. Evicted tests are simply generated again when next needed.
+let pruning = null;
+const pruneCache = () => {
+  if (pruning) return pruning;
+  pruning = (async () => {
+    const names = await fs.readdir(GENERATED_TEST_CACHE_DIR);
+    const entries = (await Promise.all(names
+      .filter(name => !name.endsWith('.tmp'))
+      .map(async (name) => {
+        const file = path.join(GENERATED_TEST_CACHE_DIR, name);
+        const stat = await fs.stat(file).catch(() => null);
+        return stat?.isFile() ? { file, size: stat.size, usedAt: stat.mtimeMs } : null;
+      })))
+      .filter(Boolean)
+      .sort((a, b) => a.usedAt - b.usedAt);
+
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    const cutoff = Date.now() - CACHE_MAX_AGE;
+    for (const entry of entries) {
+      if (entry.usedAt >= cutoff && total <= CACHE_MAX_BYTES) break;
+      await fs.rm(entry.file, { force: true });
+      total -= entry.size;
+    }
+  })()
+    .catch(err => console.error('Prune generated test cache error:', err))
+    .finally(() => { pruning = null; });
+  return pruning;
+};
+
+const generatorInput = ({ seed, args = [] }) => `${seed}\n${args.join(' ')}\n`;
+
+// Returns an error message, or null when the generators and generated tests are usable
+const validateGenerators = (generators = [], generatedTests = []) => {
+  const names = new Set();
+  for (const generator of generators) {
+    if (!generator?.name || !generator.code || !isSupportedLanguage(generator.language)) {
+      return 'Every generator needs a name, code and a supported language';
+    }
+    if (names.has(generator.name)) {
+      return `Generator names must be unique, "${generator.name}" is used twice`;
+    }
+    names.add(generator.name);
+  }
+  for (const test of generatedTests) {
+    if (!names.has(test?.generator)) {
+      return `Generated test refers to unknown generator "${test?.generator}"`;
+    }
+    if (test.seed === undefined || test.seed === null || String(test.seed).trim() === '' || /\s/.test(String(test.seed))) {
+      return 'Every generated test needs a seed without whitespace';
+    }
+    if (test.args !== undefined && (!Array.isArray(test.args) || test.args.some(arg => /\s/.test(String(arg))))) {
+      return 'Generator arguments must be a list of values without whitespace';
+    }
+  }
+  return null;
+};
+
+// Run one generator over a list of { seed, args } in a single judging, so it is compiled once.
+// Resolves with the printed inputs in order, rejects with a GeneratorError when any run fails.
+const generateInputs = async (generator, specs) => {
+  const result = await enqueueJudge({
+    judgeOptions: {
+      code: generator.code,
+      language: generator.language,
+      testCases: specs.map(spec => ({ input: generatorInput(spec), unchecked: true })),
+      timeLimit: GENERATOR_TIME_LIMIT,
+      memoryLimit: GENERATOR_MEMORY_LIMIT
+    }
+  }).promise;
+
+  if (result.compileOutput) {
+    throw new GeneratorError(`Generator "${generator.name}" failed to compile: ${result.compileOutput}`);
+  }
+  const failed = result.testResults.findIndex(testResult => !testResult.passed);
+  if (failed !== -1) {
+    const testResult = result.testResults[failed];
+    throw new GeneratorError(`Generator "${generator.name}" failed on seed ${specs[failed].seed}: ${testResult.error || testResult.verdict}`);
+  }
+  return result.testResults.map(testResult => testResult.actualOutput);
+};
+
+// Answer the generated inputs with the reference solution
+const generateOutputs = async (problem, inputs) => {
+  const referenceSolution = problem.referenceSolution;
+  if (!referenceSolution?.code) {
+    throw new GeneratorError('Generated tests need a reference solution to compute their expected outputs');
+  }
+
+  const result = await enqueueJudge({
+    judgeOptions: {
+      code: referenceSolution.code,
+      language: referenceSolution.language,
+      testCases: inputs.map(input => ({ input, unchecked: true })),
+      timeLimit: REFERENCE_TIME_LIMIT,
+      memoryLimit: problem.memoryLimit,
+      signature: problem.type === 'function' ? problem.signature : undefined
+    }
+  }).promise;
+
+  if (result.compileOutput) {
+    throw new GeneratorError(`Reference solution failed to compile: ${result.compileOutput}`);
+  }
+  const failed = result.testResults.findIndex(testResult => !testResult.passed);
+  if (failed !== -1) {
+    const testResult = result.testResults[failed];
+    throw new GeneratorError(`Reference solution failed on generated test ${failed + 1}: ${testResult.error || testResult.verdict}`);
+  }
+  return result.testResults.map(testResult => testResult.actualOutput);
+};
+
+const expand = async (problem, force) => {
+  const generators = new Map((problem.generators || []).map(generator => [generator.name, generator]));
+  const referenceSolution = problem.referenceSolution || {};
+  // Interactive problems are judged by the interactor, their generated tests carry no answer
+  const needsAnswers = problem.type !== 'interactive';
+
+  const tests = problem.generatedTests.map((spec) => {
+    const generator = generators.get(spec.generator);
+    if (!generator) {
+      throw new GeneratorError(`Generated test refers to unknown generator "${spec.generator}"`);
+    }
+    const inputKey = hash([generator.language, generator.code, String(spec.seed), spec.args || []]);
+    const outputKey = hash([inputKey, referenceSolution.language, referenceSolution.code, problem.type, problem.signature]);
+    return { spec, generator, inputKey, outputKey, input: null, expectedOutput: needsAnswers ? null : '' };
+  });
+
+  await ensureCacheDir();
+
+  if (!force) {
+    await Promise.all(tests.map(async (test) => {
+      test.input = await readCached(cacheFile(test.inputKey, 'in'));
+      if (needsAnswers) test.expectedOutput = await readCached(cacheFile(test.outputKey, 'out'));
+    }));
+  }
+
+  // Generate missing inputs, one judging per generator
+  const missingInputs = tests.filter(test => test.input === null);
+  for (const generator of new Set(missingInputs.map(test => test.generator))) {
+    const group = missingInputs.filter(test => test.generator === generator);
+    const inputs = await generateInputs(generator, group.map(test => test.spec));
+    await Promise.all(group.map(async (test, i) => {
+      test.input = inputs[i];
+      await writeCached(cacheFile(test.inputKey, 'in'), test.input);
+    }));
+  }
+
+  const missingOutputs = tests.filter(test => test.expectedOutput === null);
+  if (missingOutputs.length > 0) {
+    const outputs = await generateOutputs(problem, missingOutputs.map(test => test.input));
+    await Promise.all(missingOutputs.map(async (test, i) => {
+      test.expectedOutput = outputs[i];
+      await writeCached(cacheFile(test.outputKey, 'out'), test.expectedOutput);
+    }));
+  }
+
+  if (missingInputs.length > 0 || missingOutputs.length > 0) {
+    pruneCache();
+  }
+
+  return tests.map(test => ({
+    input: test.input,
+    expectedOutput: test.expectedOutput,
+    generator: test.spec.generator,
+    seed: String(test.spec.seed)
+  }));
+};
+
+// Expand a problem's generated tests into { input, expectedOutput } test cases, from the cache when
+// possible. force regenerates everything, e.g. for generators that depend on more than their seed.
+// Rejects with a GeneratorError when a generator or the reference solution fails.
+const expandGeneratedTests = (problem, { force = false } = {}) => {
+  if (!problem.generatedTests?.length) return Promise.resolve([]);
+
+  const key = hash([
+    problem.generators,
+    problem.generatedTests,
+    problem.referenceSolution,
+    problem.type,
+    problem.signature,
+    force
+  ]);
+  if (!expanding.has(key)) {
+    const promise = expand(problem, force).finally(() => expanding.delete(key));
+    expanding.set(key, promise);
+  }
+  return expanding.get(key);
+};
+
+// Every hidden test of a problem: the stored ones followed by the generated ones
+const getHiddenTests = async (problem) => [
+  ...problem.hiddenTestCases,
+  ...await expandGeneratedTests(problem)
+];
+
+export { validateGenerators, generateInputs, expandGeneratedTests, getHiddenTests, GeneratorError };
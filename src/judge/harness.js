@@ -0,0 +1,919 @@
+// Driver generation for function-signature problems.
+// The user only writes the function (LeetCode style); the harness reads one JSON value per
+// input line, converts each to the parameter's type, calls the function and prints the result
+// in a canonical JSON form, so expected outputs can be written once for every language.
+
+// Parameter and return types a signature may use, and how each language spells them.
+// `parser` names the harness helper (to<parser>) that converts a parsed JSON value.
+const SIGNATURE_TYPES = {
+  int: { python: 'int', javascript: 'number', java: 'int', cpp: 'int', parser: 'Int' },
+  long: { python: 'int', javascript: 'number', java: 'long', cpp: 'long long', parser: 'Long' },
+  double: { python: 'float', javascript: 'number', java: 'double', cpp: 'double', parser: 'Double' },
+  boolean: { python: 'bool', javascript: 'boolean', java: 'boolean', cpp: 'bool', parser: 'Bool' },
+  string: { python: 'str', javascript: 'string', java: 'String', cpp: 'string', parser: 'Str' },
+  'int[]': { python: 'List[int]', javascript: 'number[]', java: 'int[]', cpp: 'vector<int>', parser: 'IntArray' },
+  'string[]': { python: 'List[str]', javascript: 'string[]', java: 'String[]', cpp: 'vector<string>', parser: 'StrArray' },
+  'int[][]': { python: 'List[List[int]]', javascript: 'number[][]', java: 'int[][]', cpp: 'vector<vector<int>>', parser: 'IntMatrix' },
+  ListNode: { python: 'Optional[ListNode]', javascript: 'ListNode', java: 'ListNode', cpp: 'ListNode*', parser: 'ListNode' },
+  TreeNode: { python: 'Optional[TreeNode]', javascript: 'TreeNode', java: 'TreeNode', cpp: 'TreeNode*', parser: 'TreeNode' }
+};
+
+const HARNESS_LANGUAGES = ['python', 'javascript', 'java', 'cpp'];
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Validate a { functionName, params: [{ name, type }], returnType } signature, returns an error message or null
+const validateSignature = (signature) => {
+  if (!signature || !IDENTIFIER_PATTERN.test(signature.functionName || '')) {
+    return 'A function problem needs a valid functionName';
+  }
+  if (!Array.isArray(signature.params) || signature.params.length === 0) {
+    return 'A function problem needs at least one parameter';
+  }
+  const names = new Set();
+  for (const param of signature.params) {
+    if (!IDENTIFIER_PATTERN.test(param?.name || '') || names.has(param.name)) {
+      return `Invalid or duplicate parameter name: ${param?.name}`;
+    }
+    if (!SIGNATURE_TYPES[param.type]) {
+      return `Unsupported parameter type ${param.type}, use one of: ${Object.keys(SIGNATURE_TYPES).join(', ')}`;
+    }
+    names.add(param.name);
+  }
+  if (!SIGNATURE_TYPES[signature.returnType]) {
+    return `Unsupported return type ${signature.returnType}, use one of: ${Object.keys(SIGNATURE_TYPES).join(', ')}`;
+  }
+  return null;
+};
+
+// Check that a test input holds one JSON value per parameter, returns an error message or null
+const validateTestInput = (signature, input) => {
+  const lines = String(input || '').split('\n').filter(line => line.trim());
+  if (lines.length !== signature.params.length) {
+    return `Expected ${signature.params.length} input lines (one JSON value per parameter), found ${lines.length}`;
+  }
+  for (let i = 0; i < lines.length; i++) {
+    try {
+      JSON.parse(lines[i]);
+    } catch {
+      return `Input line ${i + 1} (${signature.params[i].name}) is not valid JSON`;
+    }
+  }
+  return null;
+};
+
+// Rewrite an expected answer in the harness' canonical form (compact JSON, trees without trailing nulls).
+// Doubles are left alone, they are compared numerically with the float checker.
+const formatExpectedOutput = (signature, expectedOutput) => {
+  if (signature.returnType === 'double') return expectedOutput;
+  try {
+    let value = JSON.parse(expectedOutput);
+    if (signature.returnType === 'TreeNode' && Array.isArray(value)) {
+      value = [...value];
+      while (value.length > 0 && value[value.length - 1] === null) value.pop();
+    }
+    return JSON.stringify(value);
+  } catch {
+    return expectedOutput;
+  }
+};
+
+const supportsFunctionProblems = (language) => HARNESS_LANGUAGES.includes(language);
+
+const usesNode = (signature, type) =>
+  signature.returnType === type || signature.params.some(param => param.type === type);
+
+// Starter code shown in the editor for each language
+const STARTER_CODE = {
+  python: (signature) => {
+    const notes = [];
+    if (usesNode(signature, 'ListNode')) notes.push('# ListNode(val=0, next=None) is provided.');
+    if (usesNode(signature, 'TreeNode')) notes.push('# TreeNode(val=0, left=None, right=None) is provided.');
+    const params = signature.params.map(param => `${param.name}: ${SIGNATURE_TYPES[param.type].python}`);
+    return [
+      ...notes,
+      'class Solution:',
+      `    def ${signature.functionName}(self, ${params.join(', ')}) -> ${SIGNATURE_TYPES[signature.returnType].python}:`,
+      '        pass',
+      ''
+    ].join('\n');
+  },
+  javascript: (signature) => {
+    const notes = [];
+    if (usesNode(signature, 'ListNode')) notes.push(' * ListNode(val, next) is provided.');
+    if (usesNode(signature, 'TreeNode')) notes.push(' * TreeNode(val, left, right) is provided.');
+    return [
+      '/**',
+      ...notes,
+      ...signature.params.map(param => ` * @param {${SIGNATURE_TYPES[param.type].javascript}} ${param.name}`),
+      ` * @return {${SIGNATURE_TYPES[signature.returnType].javascript}}`,
+      ' */',
+      `var ${signature.functionName} = function(${signature.params.map(param => param.name).join(', ')}) {`,
+      '    ',
+      '};',
+      ''
+    ].join('\n');
+  },
+  java: (signature) => {
+    const notes = [];
+    if (usesNode(signature, 'ListNode')) notes.push('// ListNode { int val; ListNode next; } is provided.');
+    if (usesNode(signature, 'TreeNode')) notes.push('// TreeNode { int val; TreeNode left, right; } is provided.');
+    const params = signature.params.map(param => `${SIGNATURE_TYPES[param.type].java} ${param.name}`);
+    return [
+      ...notes,
+      'class Solution {',
+      `    public ${SIGNATURE_TYPES[signature.returnType].java} ${signature.functionName}(${params.join(', ')}) {`,
+      '        ',
+      '    }',
+      '}',
+      ''
+    ].join('\n');
+  },
+  cpp: (signature) => {
+    const notes = [];
+    if (usesNode(signature, 'ListNode')) notes.push('// struct ListNode { int val; ListNode *next; } is provided.');
+    if (usesNode(signature, 'TreeNode')) notes.push('// struct TreeNode { int val; TreeNode *left, *right; } is provided.');
+    // Containers and strings are passed by reference, as on LeetCode
+    const params = signature.params.map(param => {
+      const type = SIGNATURE_TYPES[param.type].cpp;
+      return type.endsWith('*') || !/^(vector|string)/.test(type) ? `${type} ${param.name}` : `${type}& ${param.name}`;
+    });
+    return [
+      ...notes,
+      'class Solution {',
+      'public:',
+      `    ${SIGNATURE_TYPES[signature.returnType].cpp} ${signature.functionName}(${params.join(', ')}) {`,
+      '        ',
+      '    }',
+      '};',
+      ''
+    ].join('\n');
+  }
+};
+
+const generateStarterCode = (signature, language) => {
+  const starter = STARTER_CODE[language];
+  return starter ? starter(signature) : null;
+};
+
+const PYTHON_PRELUDE = `import sys
+import json
+from typing import *
+
+
+class ListNode:
+    def __init__(self, val=0, next=None):
+        self.val = val
+        self.next = next
+
+
+class TreeNode:
+    def __init__(self, val=0, left=None, right=None):
+        self.val = val
+        self.left = left
+        self.right = right
+`;
+
+const PYTHON_DRIVER = `
+def _to_list_node(values):
+    head = tail = None
+    for value in values:
+        node = ListNode(value)
+        if tail:
+            tail.next = node
+        else:
+            head = node
+        tail = node
+    return head
+
+
+def _to_tree_node(values):
+    if not values or values[0] is None:
+        return None
+    root = TreeNode(values[0])
+    queue = [root]
+    i = 1
+    while queue and i < len(values):
+        node = queue.pop(0)
+        if i < len(values) and values[i] is not None:
+            node.left = TreeNode(values[i])
+            queue.append(node.left)
+        i += 1
+        if i < len(values) and values[i] is not None:
+            node.right = TreeNode(values[i])
+            queue.append(node.right)
+        i += 1
+    return root
+
+
+def _from_list_node(node):
+    values = []
+    while node:
+        values.append(node.val)
+        node = node.next
+    return values
+
+
+def _from_tree_node(root):
+    values = []
+    queue = [root] if root else []
+    while queue:
+        node = queue.pop(0)
+        if node:
+            values.append(node.val)
+            queue.append(node.left)
+            queue.append(node.right)
+        else:
+            values.append(None)
+    while values and values[-1] is None:
+        values.pop()
+    return values
+
+
+def _parse(value, kind):
+    if kind == 'ListNode':
+        return _to_list_node(value)
+    if kind == 'TreeNode':
+        return _to_tree_node(value)
+    if kind == 'double':
+        return float(value)
+    return value
+
+
+def _format(value, kind):
+    if kind == 'ListNode':
+        value = _from_list_node(value)
+    elif kind == 'TreeNode':
+        value = _from_tree_node(value)
+    elif kind == 'double':
+        return repr(float(value))
+    return json.dumps(value, separators=(',', ':'), ensure_ascii=False)
+
+
+_args = [json.loads(line) for line in sys.stdin.read().splitlines() if line.strip()]
+`;
+
+const JAVASCRIPT_PRELUDE = `function ListNode(val, next) {
+    this.val = (val === undefined ? 0 : val);
+    this.next = (next === undefined ? null : next);
+}
+
+function TreeNode(val, left, right) {
+    this.val = (val === undefined ? 0 : val);
+    this.left = (left === undefined ? null : left);
+    this.right = (right === undefined ? null : right);
+}
+`;
+
+// The leading semicolon ends the user's last statement, which without one would call the driver
+const JAVASCRIPT_DRIVER = `
+;(() => {
+    const toListNode = (values) => {
+        const dummy = new ListNode();
+        let tail = dummy;
+        for (const value of values) {
+            tail.next = new ListNode(value);
+            tail = tail.next;
+        }
+        return dummy.next;
+    };
+
+    const toTreeNode = (values) => {
+        if (!values.length || values[0] === null) return null;
+        const root = new TreeNode(values[0]);
+        const queue = [root];
+        let i = 1;
+        while (queue.length && i < values.length) {
+            const node = queue.shift();
+            if (i < values.length && values[i] !== null) {
+                node.left = new TreeNode(values[i]);
+                queue.push(node.left);
+            }
+            i++;
+            if (i < values.length && values[i] !== null) {
+                node.right = new TreeNode(values[i]);
+                queue.push(node.right);
+            }
+            i++;
+        }
+        return root;
+    };
+
+    const fromListNode = (node) => {
+        const values = [];
+        for (; node; node = node.next) values.push(node.val);
+        return values;
+    };
+
+    const fromTreeNode = (root) => {
+        const values = [];
+        const queue = root ? [root] : [];
+        while (queue.length) {
+            const node = queue.shift();
+            if (node) {
+                values.push(node.val);
+                queue.push(node.left, node.right);
+            } else {
+                values.push(null);
+            }
+        }
+        while (values.length && values[values.length - 1] === null) values.pop();
+        return values;
+    };
+
+    const parse = (value, kind) => {
+        if (kind === 'ListNode') return toListNode(value);
+        if (kind === 'TreeNode') return toTreeNode(value);
+        return value;
+    };
+
+    const format = (value, kind) => {
+        if (kind === 'ListNode') return JSON.stringify(fromListNode(value));
+        if (kind === 'TreeNode') return JSON.stringify(fromTreeNode(value));
+        if (kind === 'double') return String(value);
+        return JSON.stringify(value);
+    };
+
+    const args = require('fs').readFileSync(0, 'utf8').split('\\n').filter(line => line.trim()).map(line => JSON.parse(line));
+`;
+
+const JAVA_PRELUDE = `import java.io.*;
+import java.nio.charset.StandardCharsets;
+import java.util.*;
+`;
+
+const JAVA_NODES = `
+class ListNode {
+    int val;
+    ListNode next;
+    ListNode() {}
+    ListNode(int val) { this.val = val; }
+    ListNode(int val, ListNode next) { this.val = val; this.next = next; }
+}
+
+class TreeNode {
+    int val;
+    TreeNode left;
+    TreeNode right;
+    TreeNode() {}
+    TreeNode(int val) { this.val = val; }
+    TreeNode(int val, TreeNode left, TreeNode right) { this.val = val; this.left = left; this.right = right; }
+}
+`;
+
+const JAVA_DRIVER = `
+public class Main {
+    private static String text;
+    private static int pos;
+
+    // Minimal JSON reader: numbers become Long or Double, arrays become List<Object>
+    private static Object parseJson(String line) {
+        text = line;
+        pos = 0;
+        return readValue();
+    }
+
+    private static void skipSpaces() {
+        while (pos < text.length() && Character.isWhitespace(text.charAt(pos))) pos++;
+    }
+
+    private static Object readValue() {
+        skipSpaces();
+        char c = text.charAt(pos);
+        if (c == '[') {
+            pos++;
+            List<Object> items = new ArrayList<>();
+            skipSpaces();
+            if (text.charAt(pos) == ']') { pos++; return items; }
+            while (true) {
+                items.add(readValue());
+                skipSpaces();
+                if (text.charAt(pos++) == ']') return items;
+            }
+        }
+        if (c == '"') return readString();
+        if (text.startsWith("true", pos)) { pos += 4; return Boolean.TRUE; }
+        if (text.startsWith("false", pos)) { pos += 5; return Boolean.FALSE; }
+        if (text.startsWith("null", pos)) { pos += 4; return null; }
+        int start = pos;
+        while (pos < text.length() && "+-0123456789.eE".indexOf(text.charAt(pos)) >= 0) pos++;
+        String number = text.substring(start, pos);
+        if (number.contains(".") || number.contains("e") || number.contains("E")) return Double.parseDouble(number);
+        return Long.parseLong(number);
+    }
+
+    private static String readString() {
+        StringBuilder sb = new StringBuilder();
+        pos++;
+        while (text.charAt(pos) != '"') {
+            char c = text.charAt(pos++);
+            if (c != '\\\\') { sb.append(c); continue; }
+            char e = text.charAt(pos++);
+            switch (e) {
+                case 'n': sb.append('\\n'); break;
+                case 't': sb.append('\\t'); break;
+                case 'r': sb.append('\\r'); break;
+                case 'b': sb.append('\\b'); break;
+                case 'f': sb.append('\\f'); break;
+                case 'u': sb.append((char) Integer.parseInt(text.substring(pos, pos + 4), 16)); pos += 4; break;
+                default: sb.append(e);
+            }
+        }
+        pos++;
+        return sb.toString();
+    }
+
+    @SuppressWarnings("unchecked")
+    private static List<Object> list(Object value) { return (List<Object>) value; }
+
+    static int toInt(Object value) { return ((Number) value).intValue(); }
+    static long toLong(Object value) { return ((Number) value).longValue(); }
+    static double toDouble(Object value) { return ((Number) value).doubleValue(); }
+    static boolean toBool(Object value) { return (Boolean) value; }
+    static String toStr(Object value) { return (String) value; }
+
+    static int[] toIntArray(Object value) {
+        List<Object> items = list(value);
+        int[] result = new int[items.size()];
+        for (int i = 0; i < result.length; i++) result[i] = toInt(items.get(i));
+        return result;
+    }
+
+    static String[] toStrArray(Object value) {
+        List<Object> items = list(value);
+        String[] result = new String[items.size()];
+        for (int i = 0; i < result.length; i++) result[i] = toStr(items.get(i));
+        return result;
+    }
+
+    static int[][] toIntMatrix(Object value) {
+        List<Object> items = list(value);
+        int[][] result = new int[items.size()][];
+        for (int i = 0; i < result.length; i++) result[i] = toIntArray(items.get(i));
+        return result;
+    }
+
+    static ListNode toListNode(Object value) {
+        ListNode dummy = new ListNode();
+        ListNode tail = dummy;
+        for (Object item : list(value)) {
+            tail.next = new ListNode(toInt(item));
+            tail = tail.next;
+        }
+        return dummy.next;
+    }
+
+    static TreeNode toTreeNode(Object value) {
+        List<Object> items = list(value);
+        if (items.isEmpty() || items.get(0) == null) return null;
+        TreeNode root = new TreeNode(toInt(items.get(0)));
+        Deque<TreeNode> queue = new ArrayDeque<>();
+        queue.add(root);
+        int i = 1;
+        while (!queue.isEmpty() && i < items.size()) {
+            TreeNode node = queue.poll();
+            if (i < items.size() && items.get(i) != null) {
+                node.left = new TreeNode(toInt(items.get(i)));
+                queue.add(node.left);
+            }
+            i++;
+            if (i < items.size() && items.get(i) != null) {
+                node.right = new TreeNode(toInt(items.get(i)));
+                queue.add(node.right);
+            }
+            i++;
+        }
+        return root;
+    }
+
+    static String serialize(int value) { return String.valueOf(value); }
+    static String serialize(long value) { return String.valueOf(value); }
+    static String serialize(double value) { return Double.toString(value); }
+    static String serialize(boolean value) { return String.valueOf(value); }
+
+    static String serialize(String value) {
+        if (value == null) return "null";
+        StringBuilder sb = new StringBuilder("\\"");
+        for (char c : value.toCharArray()) {
+            switch (c) {
+                case '"': sb.append("\\\\\\""); break;
+                case '\\\\': sb.append("\\\\\\\\"); break;
+                case '\\n': sb.append("\\\\n"); break;
+                case '\\t': sb.append("\\\\t"); break;
+                case '\\r': sb.append("\\\\r"); break;
+                case '\\b': sb.append("\\\\b"); break;
+                case '\\f': sb.append("\\\\f"); break;
+                default:
+                    if (c < 0x20) sb.append(String.format("\\\\u%04x", (int) c));
+                    else sb.append(c);
+            }
+        }
+        return sb.append('"').toString();
+    }
+
+    static String serialize(int[] values) {
+        if (values == null) return "null";
+        StringJoiner joiner = new StringJoiner(",", "[", "]");
+        for (int value : values) joiner.add(serialize(value));
+        return joiner.toString();
+    }
+
+    static String serialize(String[] values) {
+        if (values == null) return "null";
+        StringJoiner joiner = new StringJoiner(",", "[", "]");
+        for (String value : values) joiner.add(serialize(value));
+        return joiner.toString();
+    }
+
+    static String serialize(int[][] values) {
+        if (values == null) return "null";
+        StringJoiner joiner = new StringJoiner(",", "[", "]");
+        for (int[] value : values) joiner.add(serialize(value));
+        return joiner.toString();
+    }
+
+    static String serialize(ListNode node) {
+        StringJoiner joiner = new StringJoiner(",", "[", "]");
+        for (; node != null; node = node.next) joiner.add(serialize(node.val));
+        return joiner.toString();
+    }
+
+    static String serialize(TreeNode root) {
+        List<String> values = new ArrayList<>();
+        Deque<TreeNode> queue = new LinkedList<>();
+        if (root != null) queue.add(root);
+        while (!queue.isEmpty()) {
+            TreeNode node = queue.poll();
+            if (node != null) {
+                values.add(serialize(node.val));
+                queue.add(node.left);
+                queue.add(node.right);
+            } else {
+                values.add("null");
+            }
+        }
+        while (!values.isEmpty() && values.get(values.size() - 1).equals("null")) values.remove(values.size() - 1);
+        return "[" + String.join(",", values) + "]";
+    }
+
+    public static void main(String[] args) throws IOException {
+        BufferedReader reader = new BufferedReader(new InputStreamReader(System.in, StandardCharsets.UTF_8));
+        PrintStream out = new PrintStream(new FileOutputStream(FileDescriptor.out), true, "UTF-8");
+        List<Object> values = new ArrayList<>();
+        String line;
+        while ((line = reader.readLine()) != null) {
+            if (!line.trim().isEmpty()) values.add(parseJson(line));
+        }
+`;
+
+const CPP_PRELUDE = `#include <bits/stdc++.h>
+using namespace std;
+
+struct ListNode {
+    int val;
+    ListNode *next;
+    ListNode() : val(0), next(nullptr) {}
+    ListNode(int x) : val(x), next(nullptr) {}
+    ListNode(int x, ListNode *next) : val(x), next(next) {}
+};
+
+struct TreeNode {
+    int val;
+    TreeNode *left;
+    TreeNode *right;
+    TreeNode() : val(0), left(nullptr), right(nullptr) {}
+    TreeNode(int x) : val(x), left(nullptr), right(nullptr) {}
+    TreeNode(int x, TreeNode *left, TreeNode *right) : val(x), left(left), right(right) {}
+};
+`;
+
+const CPP_DRIVER = `
+namespace harness {
+// Minimal JSON value: numbers keep their text so 64-bit integers stay exact
+struct Json {
+    enum Kind { Null, Bool, Number, String, Array } kind = Null;
+    bool boolean = false;
+    string text;
+    vector<Json> items;
+};
+
+struct Reader {
+    const string &s;
+    size_t pos = 0;
+    explicit Reader(const string &s) : s(s) {}
+
+    void skipSpaces() {
+        while (pos < s.size() && isspace((unsigned char) s[pos])) pos++;
+    }
+
+    static void appendUtf8(string &out, unsigned code) {
+        if (code < 0x80) {
+            out += (char) code;
+        } else if (code < 0x800) {
+            out += (char) (0xC0 | (code >> 6));
+            out += (char) (0x80 | (code & 0x3F));
+        } else if (code < 0x10000) {
+            out += (char) (0xE0 | (code >> 12));
+            out += (char) (0x80 | ((code >> 6) & 0x3F));
+            out += (char) (0x80 | (code & 0x3F));
+        } else {
+            out += (char) (0xF0 | (code >> 18));
+            out += (char) (0x80 | ((code >> 12) & 0x3F));
+            out += (char) (0x80 | ((code >> 6) & 0x3F));
+            out += (char) (0x80 | (code & 0x3F));
+        }
+    }
+
+    string readString() {
+        string out;
+        pos++;
+        while (s[pos] != '"') {
+            char c = s[pos++];
+            if (c != '\\\\') { out += c; continue; }
+            char e = s[pos++];
+            switch (e) {
+                case 'n': out += '\\n'; break;
+                case 't': out += '\\t'; break;
+                case 'r': out += '\\r'; break;
+                case 'b': out += '\\b'; break;
+                case 'f': out += '\\f'; break;
+                case 'u': {
+                    unsigned code = stoul(s.substr(pos, 4), nullptr, 16);
+                    pos += 4;
+                    if (code >= 0xD800 && code < 0xDC00 && s.compare(pos, 2, "\\\\u") == 0) {
+                        unsigned low = stoul(s.substr(pos + 2, 4), nullptr, 16);
+                        code = 0x10000 + ((code - 0xD800) << 10) + (low - 0xDC00);
+                        pos += 6;
+                    }
+                    appendUtf8(out, code);
+                    break;
+                }
+                default: out += e;
+            }
+        }
+        pos++;
+        return out;
+    }
+
+    Json read() {
+        skipSpaces();
+        Json value;
+        char c = s[pos];
+        if (c == '[') {
+            value.kind = Json::Array;
+            pos++;
+            skipSpaces();
+            if (s[pos] == ']') { pos++; return value; }
+            while (true) {
+                value.items.push_back(read());
+                skipSpaces();
+                if (s[pos++] == ']') return value;
+            }
+        }
+        if (c == '"') {
+            value.kind = Json::String;
+            value.text = readString();
+        } else if (s.compare(pos, 4, "true") == 0) {
+            value.kind = Json::Bool;
+            value.boolean = true;
+            pos += 4;
+        } else if (s.compare(pos, 5, "false") == 0) {
+            value.kind = Json::Bool;
+            pos += 5;
+        } else if (s.compare(pos, 4, "null") == 0) {
+            pos += 4;
+        } else {
+            value.kind = Json::Number;
+            size_t start = pos;
+            while (pos < s.size() && strchr("+-0123456789.eE", s[pos])) pos++;
+            value.text = s.substr(start, pos - start);
+        }
+        return value;
+    }
+};
+
+int toInt(const Json &value) { return (int) stoll(value.text); }
+long long toLong(const Json &value) { return stoll(value.text); }
+double toDouble(const Json &value) { return stod(value.text); }
+bool toBool(const Json &value) { return value.boolean; }
+string toStr(const Json &value) { return value.text; }
+
+vector<int> toIntArray(const Json &value) {
+    vector<int> result;
+    for (const Json &item : value.items) result.push_back(toInt(item));
+    return result;
+}
+
+vector<string> toStrArray(const Json &value) {
+    vector<string> result;
+    for (const Json &item : value.items) result.push_back(toStr(item));
+    return result;
+}
+
+vector<vector<int>> toIntMatrix(const Json &value) {
+    vector<vector<int>> result;
+    for (const Json &item : value.items) result.push_back(toIntArray(item));
+    return result;
+}
+
+ListNode *toListNode(const Json &value) {
+    ListNode dummy;
+    ListNode *tail = &dummy;
+    for (const Json &item : value.items) {
+        tail->next = new ListNode(toInt(item));
+        tail = tail->next;
+    }
+    return dummy.next;
+}
+
+TreeNode *toTreeNode(const Json &value) {
+    const vector<Json> &items = value.items;
+    if (items.empty() || items[0].kind == Json::Null) return nullptr;
+    TreeNode *root = new TreeNode(toInt(items[0]));
+    queue<TreeNode *> pending;
+    pending.push(root);
+    size_t i = 1;
+    while (!pending.empty() && i < items.size()) {
+        TreeNode *node = pending.front();
+        pending.pop();
+        if (i < items.size() && items[i].kind != Json::Null) {
+            node->left = new TreeNode(toInt(items[i]));
+            pending.push(node->left);
+        }
+        i++;
+        if (i < items.size() && items[i].kind != Json::Null) {
+            node->right = new TreeNode(toInt(items[i]));
+            pending.push(node->right);
+        }
+        i++;
+    }
+    return root;
+}
+
+string serialize(int value) { return to_string(value); }
+string serialize(long long value) { return to_string(value); }
+string serialize(bool value) { return value ? "true" : "false"; }
+
+string serialize(double value) {
+    char buffer[64];
+    snprintf(buffer, sizeof buffer, "%.17g", value);
+    return buffer;
+}
+
+string serialize(const string &value) {
+    string out = "\\"";
+    for (char c : value) {
+        switch (c) {
+            case '"': out += "\\\\\\""; break;
+            case '\\\\': out += "\\\\\\\\"; break;
+            case '\\n': out += "\\\\n"; break;
+            case '\\t': out += "\\\\t"; break;
+            case '\\r': out += "\\\\r"; break;
+            case '\\b': out += "\\\\b"; break;
+            case '\\f': out += "\\\\f"; break;
+            default:
+                if ((unsigned char) c < 0x20) {
+                    char buffer[8];
+                    snprintf(buffer, sizeof buffer, "\\\\u%04x", (unsigned char) c);
+                    out += buffer;
+                } else {
+                    out += c;
+                }
+        }
+    }
+    return out + "\\"";
+}
+
+template <typename T>
+string serialize(const vector<T> &values) {
+    string out = "[";
+    for (size_t i = 0; i < values.size(); i++) {
+        if (i) out += ",";
+        out += serialize(values[i]);
+    }
+    return out + "]";
+}
+
+string serialize(ListNode *node) {
+    vector<int> values;
+    for (; node; node = node->next) values.push_back(node->val);
+    return serialize(values);
+}
+
+string serialize(TreeNode *root) {
+    vector<string> values;
+    queue<TreeNode *> pending;
+    if (root) pending.push(root);
+    while (!pending.empty()) {
+        TreeNode *node = pending.front();
+        pending.pop();
+        if (node) {
+            values.push_back(to_string(node->val));
+            pending.push(node->left);
+            pending.push(node->right);
+        } else {
+            values.push_back("null");
+        }
+    }
+    while (!values.empty() && values.back() == "null") values.pop_back();
+    string out = "[";
+    for (size_t i = 0; i < values.size(); i++) {
+        if (i) out += ",";
+        out += values[i];
+    }
+    return out + "]";
+}
+}
+
+int main() {
+    vector<harness::Json> values;
+    string line;
+    while (getline(cin, line)) {
+        if (line.find_first_not_of(" \\t\\r") == string::npos) continue;
+        harness::Reader reader(line);
+        values.push_back(reader.read());
+    }
+`;
+
+// Build the complete program for a language: prelude, the user's code, then the driver
+const HARNESS_BUILDERS = {
+  python: (signature, code) => {
+    const args = signature.params.map((param, i) => `_parse(_args[${i}], '${param.type}')`);
+    return [
+      PYTHON_PRELUDE,
+      code,
+      PYTHON_DRIVER,
+      `_result = Solution().${signature.functionName}(${args.join(', ')})`,
+      `print(_format(_result, '${signature.returnType}'))`,
+      ''
+    ].join('\n');
+  },
+  javascript: (signature, code) => {
+    const args = signature.params.map((param, i) => `parse(args[${i}], '${param.type}')`);
+    return [
+      JAVASCRIPT_PRELUDE,
+      code,
+      JAVASCRIPT_DRIVER,
+      `    const result = ${signature.functionName}(${args.join(', ')});`,
+      `    console.log(format(result, '${signature.returnType}'));`,
+      '})();',
+      ''
+    ].join('\n');
+  },
+  java: (signature, code) => {
+    // Imports must come first in a Java file, so lift the user's to the top
+    const imports = code.split('\n').filter(line => /^\s*import\s/.test(line));
+    // Only Main may be public in Main.java
+    const body = code.split('\n')
+      .filter(line => !/^\s*import\s/.test(line))
+      .map(line => line.replace(/^(\s*)public\s+class\s+/, '$1class '));
+    const args = signature.params.map((param, i) => {
+      const type = SIGNATURE_TYPES[param.type];
+      return `        ${type.java} arg${i} = to${type.parser}(values.get(${i}));`;
+    });
+    return [
+      JAVA_PRELUDE,
+      ...imports,
+      JAVA_NODES,
+      ...body,
+      JAVA_DRIVER,
+      ...args,
+      `        ${SIGNATURE_TYPES[signature.returnType].java} result = new Solution().${signature.functionName}(${signature.params.map((param, i) => `arg${i}`).join(', ')});`,
+      '        out.println(serialize(result));',
+      '    }',
+      '}',
+      ''
+    ].join('\n');
+  },
+  cpp: (signature, code) => {
+    const args = signature.params.map((param, i) => {
+      const type = SIGNATURE_TYPES[param.type];
+      return `    ${type.cpp} arg${i} = harness::to${type.parser}(values[${i}]);`;
+    });
+    return [
+      CPP_PRELUDE,
+      code,
+      CPP_DRIVER,
+      ...args,
+      '    Solution solution;',
+      `    ${SIGNATURE_TYPES[signature.returnType].cpp} result = solution.${signature.functionName}(${signature.params.map((param, i) => `arg${i}`).join(', ')});`,
+      '    cout << harness::serialize(result) << endl;',
+      '    return 0;',
+      '}',
+      ''
+    ].join('\n');
+  }
+};
+
+const buildHarness = (signature, language, code) => HARNESS_BUILDERS[language](signature, code);
+
+export {
+  SIGNATURE_TYPES,
+  HARNESS_LANGUAGES,
+  validateSignature,
+  validateTestInput,
+  formatExpectedOutput,
+  supportsFunctionProblems,
+  generateStarterCode,
+  buildHarness
+};
@@ -0,0 +1,127 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { VERDICTS } from "./verdicts.js";
+import { spawnSandboxed, describeExit, grantSandboxAccess } from "./sandbox.js";
+
+const INTERACTOR_TIME_MARGIN = 5000; // ms on top of the solution's time limit
+const INTERACTOR_MEMORY_LIMIT = 256; // MB
+const MAX_TRANSCRIPT_BYTES = 64 * 1024; // kept per test for debugging
+
+// Collect the messages exchanged between solution and interactor, up to a size cap
+const createTranscript = () => {
+  const entries = [];
+  let bytes = 0;
+  let truncated = false;
+
+  return {
+    record(from, data) {
+      if (truncated) return;
+      bytes += data.length;
+      if (bytes > MAX_TRANSCRIPT_BYTES) {
+        truncated = true;
+        return;
+      }
+      entries.push({ from, data: data.toString() });
+    },
+    toJSON() {
+      return { entries, truncated };
+    }
+  };
+};
+
+// Run the solution against the setter's interactor for one test.
+// The interactor is started as `interactor <input-file> <answer-file>`; its stdout feeds the
+// solution's stdin and the solution's stdout feeds the interactor's stdin. The interactor
+// decides the verdict through its exit code, testlib style: 0 accepts, 1 or 2 reject.
+const runInteraction = async (prepared, interactorProgram, { input, expectedOutput, index, timeLimit, memoryLimit }) => {
+  const dir = path.join(interactorProgram.dir, `test-${index}`);
+  await fs.mkdir(dir, { recursive: true });
+
+  const files = {
+    input: path.join(dir, 'input.txt'),
+    answer: path.join(dir, 'answer.txt')
+  };
+  await Promise.all([
+    fs.writeFile(files.input, input || ''),
+    fs.writeFile(files.answer, expectedOutput || '')
+  ]);
+  await grantSandboxAccess(dir);
+
+  const transcript = createTranscript();
+
+  try {
+    const solution = spawnSandboxed(prepared.command, prepared.args, {
+      cwd: prepared.dir,
+      env: prepared.env,
+      timeLimit,
+      memoryLimit,
+      limitAddressSpace: prepared.limitAddressSpace
+    });
+    const interactor = spawnSandboxed(interactorProgram.command, [...interactorProgram.args, files.input, files.answer], {
+      cwd: interactorProgram.dir,
+      env: interactorProgram.env,
+      timeLimit: timeLimit + INTERACTOR_TIME_MARGIN,
+      memoryLimit: INTERACTOR_MEMORY_LIMIT,
+      limitAddressSpace: interactorProgram.limitAddressSpace
+    });
+
+    if (solution.child && interactor.child) {
+      solution.child.stdout.on('data', (data) => {
+        transcript.record('solution', data);
+        interactor.child.stdin.write(data);
+      });
+      interactor.child.stdout.on('data', (data) => {
+        transcript.record('interactor', data);
+        solution.child.stdin.write(data);
+      });
+
+      // Whoever finishes first closes the other side's input
+      solution.child.on('exit', () => interactor.child.stdin.end());
+      interactor.child.on('exit', () => solution.child.stdin.end());
+    }
+
+    const [solutionResult, interactorResult] = await Promise.all([solution.done, interactor.done]);
+    const interactorMessage = interactorResult.stderr.trim() || undefined;
+
+    let verdict;
+    let error;
+
+    if (solutionResult.timedOut) {
+      verdict = VERDICTS.TIME_LIMIT_EXCEEDED;
+    } else if (solutionResult.memoryExceeded) {
+      verdict = VERDICTS.MEMORY_LIMIT_EXCEEDED;
+    } else if (solutionResult.outputExceeded) {
+      verdict = VERDICTS.OUTPUT_LIMIT_EXCEEDED;
+    } else if (solutionResult.error || interactorResult.error) {
+      // The sandbox couldn't start one of them: the judge failed, not the contestant
+      verdict = VERDICTS.JUDGE_ERROR;
+      error = solutionResult.error || `Interactor could not be started: ${interactorResult.error}`;
+    } else if (interactorResult.exitCode === 1 || interactorResult.exitCode === 2) {
+      verdict = VERDICTS.WRONG_ANSWER;
+    } else if (solutionResult.exitCode !== 0) {
+      verdict = VERDICTS.RUNTIME_ERROR;
+      error = [describeExit(solutionResult.exitCode, solutionResult.signal), solutionResult.stderr.trim()].filter(Boolean).join('\n');
+    } else if (interactorResult.exitCode === 0) {
+      verdict = VERDICTS.ACCEPTED;
+    } else {
+      verdict = VERDICTS.JUDGE_ERROR;
+      error = `Interactor failed${interactorResult.timedOut ? ' (time limit)' : ''}: ${interactorMessage || `exit code ${interactorResult.exitCode ?? interactorResult.signal}`}`;
+    }
+
+    return {
+      verdict,
+      error,
+      checkerMessage: interactorMessage,
+      actualOutput: solutionResult.stdout,
+      transcript: transcript.toJSON(),
+      exitCode: solutionResult.exitCode,
+      signal: solutionResult.signal,
+      time: solutionResult.time,
+      memory: solutionResult.memory
+    };
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+export { runInteraction };
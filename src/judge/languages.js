@@ -0,0 +1,348 @@
+import { execFile } from "child_process";
+import { promises as fs, rmSync } from "fs";
+import os from "os";
+import path from "path";
+
+// Registry of every language the judge and the editor understand.
+// Adding a language only needs an entry here:
+//   name            display name
+//   aliases         other names users may send (lowercase)
+//   sourceFile      file the code is written to, relative to the work directory
+//   compile(dir, toolchain, project)   optional [command, args] producing the program
+//   run(dir, mb, toolchain, project)   [command, args] starting the program with a memory limit in MB
+//   timeMultiplier               slower runtimes get proportionally more time than the problem's limit
+//   versionCommand               [command, args] printing the toolchain version, or a function of the toolchain
+// Optional: compileTimeLimit (ms), env (extra environment variables), compileEnv(dir) (extra variables
+// for the compiler only), prepareCompiler() resolving once the toolchain can build, validate(code)
+// returning an error message, and limitAddressSpace for native runtimes that tolerate a hard address space limit
+// (managed runtimes reserve far more virtual memory than they use and are capped by heap flags instead).
+// Toolchains: flags are the default compiler flags (JUDGE_<LANGUAGE>_FLAGS overrides them, e.g.
+// JUDGE_CPP_FLAGS="-O2 -Wall"), standards is the whitelist users pick from per submission
+// ({ name, flags, command }) and defaultStandard the one used when they don't.
+// Projects: every program is a project { entry, sources } of paths relative to the work directory,
+// sources being all files with the sourceFile's extension. A submission is the project made of
+// sourceFile alone; workspaces can have several files and any entry point.
+const defaultFlags = (id, flags) => {
+  const configured = process.env[`JUDGE_${id.toUpperCase()}_FLAGS`];
+  return configured !== undefined ? configured.split(/\s+/).filter(Boolean) : flags;
+};
+
+// Go's build cache, filled by the server with the whole standard library before the first Go build
+// (under a minute). Builds only read it: a cold cache rebuilds the standard library every time, and
+// a cache the sandbox user could write to would let one submission plant objects in another's
+// build. Go can't build a package missing from a cache it can't write to, hence all of std.
+const GO_CACHE_DIR = path.join(os.tmpdir(), `skypad-go-cache-${process.pid}`);
+const GO_BUILD_ENV = { GOTOOLCHAIN: 'local', CGO_ENABLED: '0' };
+let goCacheReady;
+
+process.on('exit', () => {
+  rmSync(GO_CACHE_DIR, { recursive: true, force: true });
+});
+
+const stripWriteAccess = async (target) => {
+  const stat = await fs.lstat(target);
+  if (stat.isSymbolicLink()) return;
+  await fs.chmod(target, stat.mode & 0o755);
+  if (stat.isDirectory()) {
+    for (const entry of await fs.readdir(target)) {
+      await stripWriteAccess(path.join(target, entry));
+    }
+  }
+};
+
+const warmGoCache = () => {
+  if (!goCacheReady) {
+    goCacheReady = (async () => {
+      await fs.mkdir(GO_CACHE_DIR, { recursive: true, mode: 0o755 });
+      await new Promise((resolve) => {
+        execFile('go', ['build', 'std'], {
+          cwd: GO_CACHE_DIR,
+          env: { ...process.env, ...GO_BUILD_ENV, GOCACHE: GO_CACHE_DIR },
+          timeout: 10 * 60 * 1000
+        }, (error) => {
+          if (error) console.warn(`[Judge] Could not fill the Go build cache (${error.message}), Go programs may fail to build`);
+          resolve();
+        });
+      });
+      await stripWriteAccess(GO_CACHE_DIR);
+    })();
+  }
+  return goCacheReady;
+};
+
+// Java classes live in directories named after their package
+const javaClassName = (entry) => entry.replace(/\.java$/, '').split('/').join('.');
+
+const LANGUAGES = {
+  python: {
+    name: 'Python',
+    aliases: ['py', 'python3'],
+    sourceFile: 'main.py',
+    limitAddressSpace: true,
+    timeMultiplier: 2,
+    standards: {
+      '3': { name: 'Python 3', command: 'python' },
+      '3.10': { name: 'Python 3.10', command: 'python3.10' },
+      '3.11': { name: 'Python 3.11', command: 'python3.11' },
+      '3.12': { name: 'Python 3.12', command: 'python3.12' }
+    },
+    defaultStandard: '3',
+    versionCommand: (toolchain) => [toolchain.command, ['--version']],
+    run: (dir, memoryLimit, toolchain, project) => [toolchain.command, [project.entry]]
+  },
+  javascript: {
+    name: 'JavaScript',
+    aliases: ['js', 'node'],
+    sourceFile: 'main.js',
+    timeMultiplier: 1,
+    versionCommand: [process.execPath, ['--version']],
+    run: (dir, memoryLimit, toolchain, project) => [process.execPath, [`--max-old-space-size=${memoryLimit}`, project.entry]]
+  },
+  typescript: {
+    name: 'TypeScript',
+    aliases: ['ts'],
+    sourceFile: 'main.ts',
+    timeMultiplier: 1,
+    compileTimeLimit: 30000,
+    versionCommand: ['tsc', ['--version']],
+    // Imported modules are compiled along with the entry point
+    compile: (dir, toolchain, project) => ['tsc', ['--target', 'es2020', '--module', 'commonjs', '--skipLibCheck', project.entry]],
+    run: (dir, memoryLimit, toolchain, project) => [process.execPath, [`--max-old-space-size=${memoryLimit}`, project.entry.replace(/\.ts$/, '.js')]]
+  },
+  c: {
+    name: 'C',
+    aliases: [],
+    sourceFile: 'main.c',
+    limitAddressSpace: true,
+    timeMultiplier: 1,
+    flags: defaultFlags('c', ['-O2', '-Wall']),
+    standards: {
+      c99: { name: 'C99', flags: ['-std=c99'] },
+      c11: { name: 'C11', flags: ['-std=c11'] },
+      c17: { name: 'C17', flags: ['-std=c17'] }
+    },
+    defaultStandard: 'c17',
+    versionCommand: ['gcc', ['--version']],
+    compile: (dir, toolchain, project) => ['gcc', [...toolchain.flags, ...project.sources, '-o', 'main']],
+    run: (dir) => [path.join(dir, 'main'), []]
+  },
+  cpp: {
+    name: 'C++',
+    aliases: ['c++'],
+    sourceFile: 'main.cpp',
+    limitAddressSpace: true,
+    timeMultiplier: 1,
+    flags: defaultFlags('cpp', ['-O2', '-Wall']),
+    standards: {
+      'c++14': { name: 'C++14', flags: ['-std=c++14'] },
+      'c++17': { name: 'C++17', flags: ['-std=c++17'] },
+      'c++20': { name: 'C++20', flags: ['-std=c++20'] }
+    },
+    defaultStandard: 'c++17',
+    versionCommand: ['g++', ['--version']],
+    compile: (dir, toolchain, project) => ['g++', [...toolchain.flags, ...project.sources, '-o', 'main']],
+    run: (dir) => [path.join(dir, 'main'), []]
+  },
+  java: {
+    name: 'Java',
+    aliases: [],
+    sourceFile: 'Main.java',
+    timeMultiplier: 2,
+    flags: defaultFlags('java', []),
+    standards: {
+      '11': { name: 'Java 11', flags: ['--release', '11'] },
+      '17': { name: 'Java 17', flags: ['--release', '17'] },
+      '21': { name: 'Java 21', flags: ['--release', '21'] }
+    },
+    defaultStandard: '17',
+    versionCommand: ['javac', ['-version']],
+    // Java special rule: must contain "public class Main"
+    validate: (code) => code.includes('public class Main') ? null : 'Java code must include "public class Main"',
+    compile: (dir, toolchain, project) => ['javac', [...toolchain.flags, ...project.sources]],
+    run: (dir, memoryLimit, toolchain, project) => ['java', [`-Xmx${memoryLimit}m`, '-cp', '.', javaClassName(project.entry)]]
+  },
+  kotlin: {
+    name: 'Kotlin',
+    aliases: ['kt'],
+    sourceFile: 'main.kt',
+    timeMultiplier: 2,
+    compileTimeLimit: 60000,
+    versionCommand: ['kotlinc', ['-version']],
+    compile: (dir, toolchain, project) => ['kotlinc', [...project.sources, '-include-runtime', '-d', 'main.jar']],
+    run: (dir, memoryLimit) => ['java', [`-Xmx${memoryLimit}m`, '-jar', 'main.jar']]
+  },
+  go: {
+    name: 'Go',
+    aliases: ['golang'],
+    sourceFile: 'main.go',
+    timeMultiplier: 1,
+    compileTimeLimit: 30000,
+    versionCommand: ['go', ['version']],
+    // Builds share the server's read only cache (see warmGoCache), the program itself gets none of it
+    prepareCompiler: warmGoCache,
+    compileEnv: (dir) => ({ ...GO_BUILD_ENV, GOCACHE: GO_CACHE_DIR, GOPATH: path.join(dir, '.go') }),
+    compile: (dir, toolchain, project) => ['go', ['build', '-o', 'main', ...project.sources]],
+    run: (dir) => [path.join(dir, 'main'), []]
+  },
+  rust: {
+    name: 'Rust',
+    aliases: ['rs'],
+    sourceFile: 'main.rs',
+    limitAddressSpace: true,
+    timeMultiplier: 1,
+    compileTimeLimit: 30000,
+    flags: defaultFlags('rust', ['-O']),
+    standards: {
+      '2018': { name: 'Rust 2018', flags: ['--edition=2018'] },
+      '2021': { name: 'Rust 2021', flags: ['--edition=2021'] }
+    },
+    defaultStandard: '2021',
+    versionCommand: ['rustc', ['--version']],
+    // Other files are reached through `mod` declarations in the entry point
+    compile: (dir, toolchain, project) => ['rustc', [...toolchain.flags, '-o', 'main', project.entry]],
+    run: (dir) => [path.join(dir, 'main'), []]
+  },
+  ruby: {
+    name: 'Ruby',
+    aliases: ['rb'],
+    sourceFile: 'main.rb',
+    timeMultiplier: 2,
+    versionCommand: ['ruby', ['--version']],
+    run: (dir, memoryLimit, toolchain, project) => ['ruby', [project.entry]]
+  }
+};
+
+const LANGUAGE_IDS = Object.keys(LANGUAGES);
+
+const LANGUAGE_ALIASES = Object.fromEntries(
+  Object.entries(LANGUAGES).flatMap(([id, config]) => config.aliases.map(alias => [alias, id]))
+);
+
+// Map user supplied language names (e.g. "C++", "js") to a supported language id
+const normalizeLanguage = (language) => {
+  const lang = String(language || '').toLowerCase();
+  const id = LANGUAGE_ALIASES[lang] || lang;
+  return LANGUAGES[id] ? id : null;
+};
+
+const isSupportedLanguage = (language) => normalizeLanguage(language) !== null;
+
+// Source extensions other than the sourceFile's that files in problem packages use
+const EXTENSION_ALIASES = { '.cc': 'cpp', '.cxx': 'cpp', '.c++': 'cpp', '.mjs': 'javascript' };
+
+// Language id of a source file from its extension ("check.cc" -> "cpp"), or null
+const languageForFile = (fileName) => {
+  const extension = path.extname(String(fileName || '')).toLowerCase();
+  return LANGUAGE_IDS.find(id => path.extname(LANGUAGES[id].sourceFile) === extension) ||
+    EXTENSION_ALIASES[extension] ||
+    null;
+};
+
+// Extension a language's source files are written with (".cpp")
+const sourceExtension = (id) => path.extname(LANGUAGES[id].sourceFile);
+
+// Map a user supplied standard (e.g. "C++20", "17") to one from the language's whitelist, or null
+const normalizeStandard = (id, standard) => {
+  const standards = LANGUAGES[id]?.standards || {};
+  const wanted = String(standard ?? '').toLowerCase();
+  return Object.keys(standards).find(key => key === wanted || standards[key].name.toLowerCase() === wanted) ?? null;
+};
+
+// The toolchain a program is built and run with: its standard (the language's default when none is
+// asked for), the compiler flags and, for interpreters picked by version, the command.
+// Returns null when the language does not offer the requested standard.
+const resolveToolchain = (id, standard) => {
+  const config = LANGUAGES[id];
+  const standardId = standard == null || standard === '' ? config.defaultStandard ?? null : normalizeStandard(id, standard);
+  if (standard != null && standard !== '' && !standardId) return null;
+
+  const selected = standardId ? config.standards[standardId] : {};
+  return {
+    standard: standardId,
+    flags: [...(config.flags || []), ...(selected.flags || [])],
+    command: selected.command
+  };
+};
+
+// Toolchain versions are probed once, on first request; null means the toolchain is missing
+const versions = new Map();
+
+const getLanguageVersion = (id, standard) => {
+  const toolchain = resolveToolchain(id, standard);
+  const key = `${id}:${toolchain?.standard ?? ''}`;
+  if (!toolchain) return Promise.resolve(null);
+  if (!versions.has(key)) {
+    const { versionCommand } = LANGUAGES[id];
+    const [command, args] = typeof versionCommand === 'function' ? versionCommand(toolchain) : versionCommand;
+    versions.set(key, new Promise((resolve) => {
+      execFile(command, args, { timeout: 5000 }, (error, stdout, stderr) => {
+        const output = `${stdout}${stderr}`.trim().split('\n')[0];
+        resolve(error || !output ? null : output);
+      });
+    }));
+  }
+  return versions.get(key);
+};
+
+// Returns an error message when a requested standard is not whitelisted or its toolchain is missing
+// on this host, null otherwise (no standard means the language's default)
+const validateStandard = async (id, standard) => {
+  if (standard == null || standard === '') return null;
+  const config = LANGUAGES[id];
+  const standardId = normalizeStandard(id, standard);
+  if (!standardId) {
+    const offered = Object.keys(config.standards || {});
+    return offered.length
+      ? `Unsupported ${config.name} standard, choose one of: ${offered.join(', ')}`
+      : `${config.name} has no selectable standards`;
+  }
+  if (await getLanguageVersion(id, standardId) === null) {
+    return `${config.standards[standardId].name} is not available on this server`;
+  }
+  return null;
+};
+
+// What a judging ran with, recorded on submissions
+const describeToolchain = async (id, toolchain) => ({
+  language: id,
+  standard: toolchain.standard,
+  flags: toolchain.flags,
+  version: await getLanguageVersion(id, toolchain.standard)
+});
+
+// Public description of every registered language, for /languages endpoints
+const listLanguages = () => Promise.all(LANGUAGE_IDS.map(async (id) => {
+  const config = LANGUAGES[id];
+  const version = await getLanguageVersion(id);
+  return {
+    id,
+    name: config.name,
+    aliases: config.aliases,
+    extension: sourceExtension(id),
+    timeMultiplier: config.timeMultiplier,
+    version,
+    available: version !== null,
+    flags: config.flags || [],
+    defaultStandard: config.defaultStandard ?? null,
+    standards: await Promise.all(Object.entries(config.standards || {}).map(async ([standard, { name }]) => ({
+      id: standard,
+      name,
+      available: await getLanguageVersion(id, standard) !== null
+    })))
+  };
+}));
+
+export {
+  LANGUAGES,
+  LANGUAGE_IDS,
+  normalizeLanguage,
+  isSupportedLanguage,
+  languageForFile,
+  sourceExtension,
+  normalizeStandard,
+  validateStandard,
+  resolveToolchain,
+  getLanguageVersion,
+  describeToolchain,
+  listLanguages
+};
@@ -0,0 +1,115 @@
+import crypto from "crypto";
+import os from "os";
+import { judge } from "./engine.js";
+
+// Number of submissions judged at the same time; each one runs its tests sequentially
+const WORKER_COUNT = Number(process.env.JUDGE_WORKERS) || Math.max(1, os.cpus().length);
+const MAX_QUEUE_LENGTH = Number(process.env.JUDGE_MAX_QUEUE) || 500;
+const FINISHED_JOB_TTL = 30 * 60 * 1000; // keep results around for polling for 30 minutes
+
+const jobs = new Map(); // jobId -> job
+const pending = [];
+let activeWorkers = 0;
+
+class QueueFullError extends Error {
+  constructor() {
+    super('Judge queue is full. Please try again shortly.');
+    this.name = 'QueueFullError';
+  }
+}
+
+const forgetLater = (job) => {
+  setTimeout(() => jobs.delete(job.id), FINISHED_JOB_TTL).unref();
+};
+
+// Pull jobs off the queue while there are free workers
+const drain = () => {
+  while (activeWorkers < WORKER_COUNT && pending.length > 0) {
+    const job = pending.shift();
+    activeWorkers++;
+
+    job.status = 'running';
+    job.startedAt = new Date();
+
+    judge({
+      ...job.judgeOptions,
+      onTestResult: (testResult) => {
+        job.completedTests++;
+        if (job.onTestResult) job.onTestResult(testResult, job);
+      }
+    })
+      .then((result) => {
+        job.status = 'finished';
+        job.verdict = result.verdict;
+        job.resolve(result);
+      })
+      .catch((err) => {
+        console.error(`Judge job ${job.id} failed:`, err);
+        job.status = 'failed';
+        job.error = err.message;
+        job.reject(err);
+      })
+      .finally(() => {
+        job.finishedAt = new Date();
+        activeWorkers--;
+        forgetLater(job);
+        drain();
+      });
+  }
+};
+
+// Queue code for judging and return the job right away.
+// job.promise settles with the engine's result once a worker has judged it.
+const enqueueJudge = ({ id, userId, judgeOptions, onTestResult }) => {
+  if (pending.length >= MAX_QUEUE_LENGTH) {
+    throw new QueueFullError();
+  }
+
+  const job = {
+    id: id || crypto.randomUUID(),
+    userId: userId ? String(userId) : null,
+    status: 'queued',
+    completedTests: 0,
+    totalTests: judgeOptions.testCases?.length || 0,
+    createdAt: new Date(),
+    judgeOptions,
+    onTestResult
+  };
+
+  job.promise = new Promise((resolve, reject) => {
+    job.resolve = resolve;
+    job.reject = reject;
+  });
+  // Callers that only poll should not trigger unhandled rejections
+  job.promise.catch(() => {});
+
+  jobs.set(job.id, job);
+  pending.push(job);
+  drain();
+
+  return job;
+};
+
+const getJob = (id) => jobs.get(id) || null;
+
+// Public view of a job for status endpoints and socket events
+const describeJob = (job) => ({
+  submissionId: job.id,
+  status: job.status,
+  position: job.status === 'queued' ? pending.indexOf(job) + 1 : 0,
+  completedTests: job.completedTests,
+  totalTests: job.totalTests,
+  verdict: job.verdict,
+  error: job.error,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt
+});
+
+const getQueueStats = () => ({
+  workers: WORKER_COUNT,
+  activeWorkers,
+  queued: pending.length
+});
+
+export { enqueueJudge, getJob, describeJob, getQueueStats, QueueFullError };
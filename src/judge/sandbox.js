@@ -0,0 +1,395 @@
+import { spawn, spawnSync } from "child_process";
+import { promises as fs, mkdirSync, rmSync } from "fs";
+import os from "os";
+import path from "path";
+
+const MAX_OUTPUT_BYTES = 10 * 1024 * 1024; // 10MB of stdout + stderr
+const MEMORY_POLL_INTERVAL = 10; // ms
+const ADDRESS_SPACE_HEADROOM_MB = 64; // runtimes map more than they touch
+
+// Host wide sandbox settings, overridable through the environment
+const SANDBOX_CONFIG = {
+  maxProcesses: Number(process.env.SANDBOX_MAX_PROCESSES) || 64,
+  maxFileSizeMb: Number(process.env.SANDBOX_MAX_FILE_SIZE_MB) || 16,
+  // Unprivileged account to run submissions as (requires the server to run as root)
+  uid: process.env.SANDBOX_UID ? Number(process.env.SANDBOX_UID) : undefined,
+  gid: process.env.SANDBOX_GID ? Number(process.env.SANDBOX_GID) : undefined,
+  allowNetwork: process.env.SANDBOX_ALLOW_NETWORK === 'true',
+  // Run submissions as the server's own user anyway, for local development only
+  allowUnisolated: process.env.SANDBOX_ALLOW_UNISOLATED === 'true'
+};
+
+// Only these variables reach submitted code; secrets such as JWT_SECRET or MONGODB_URI never do
+const ENV_PASSTHROUGH = ['PATH', 'HOME', 'LANG', 'LC_ALL', 'JAVA_HOME'];
+
+// Messages runtimes print when an allocation fails under the address space limit
+const OUT_OF_MEMORY_PATTERN = /MemoryError|std::bad_alloc|heap out of memory|OutOfMemoryError|Cannot allocate memory/;
+// Runtimes that ignore SIGXFSZ report the file size limit as a failed write instead
+const FILE_TOO_LARGE_PATTERN = /File too large/;
+
+const IS_LINUX = process.platform === 'linux';
+
+// Submitted code running as the server's user can read everything the server can: the app, its
+// .env, the judge caches. Without a separate account nothing runs unless explicitly allowed.
+const IS_ISOLATED = SANDBOX_CONFIG.uid !== undefined && SANDBOX_CONFIG.uid !== process.getuid?.();
+const UNISOLATED_MESSAGE = 'The sandbox has no separate user to run submissions as: set SANDBOX_UID (and SANDBOX_GID) '
+  + 'and run the server as root, or set SANDBOX_ALLOW_UNISOLATED=true on a development machine';
+
+if (!IS_ISOLATED) {
+  if (SANDBOX_CONFIG.allowUnisolated) {
+    console.warn('[Sandbox] SANDBOX_ALLOW_UNISOLATED is set: submissions run as the server\'s user and can read its files');
+  } else {
+    console.error(`[Sandbox] ${UNISOLATED_MESSAGE}. Judging and editor runs are refused.`);
+  }
+}
+
+// Probe once whether the host provides a tool we rely on
+const hostSupports = (command, args) => {
+  try {
+    const result = spawnSync(command, args, { stdio: 'ignore', timeout: 2000 });
+    return result.status === 0;
+  } catch {
+    return false;
+  }
+};
+
+const HAS_PRLIMIT = IS_LINUX && hostSupports('prlimit', ['--version']);
+const HAS_NETWORK_NAMESPACE = IS_LINUX && !SANDBOX_CONFIG.allowNetwork && hostSupports('unshare', ['-rn', 'true']);
+
+if (IS_LINUX && !HAS_PRLIMIT) {
+  console.warn('[Sandbox] prlimit not found, submissions run without CPU, process and file size limits');
+}
+if (IS_LINUX && !SANDBOX_CONFIG.allowNetwork && !HAS_NETWORK_NAMESPACE) {
+  console.warn('[Sandbox] Network namespaces unavailable, submissions keep network access');
+}
+
+// Polling /proc misses programs that exit between two polls, so the program runs under a small
+// helper that waits for it with wait4 and writes its peak resident set size (ru_maxrss, KB) to fd 3
+const PEAK_MEMORY_HELPER_SOURCE = `
+#include <errno.h>
+#include <fcntl.h>
+#include <signal.h>
+#include <stdio.h>
+#include <stdlib.h>
+#include <sys/resource.h>
+#include <sys/wait.h>
+#include <unistd.h>
+
+int main(int argc, char **argv) {
+  if (argc < 3) return 127;
+  int fd = atoi(argv[1]);
+  fcntl(fd, F_SETFD, FD_CLOEXEC);
+  pid_t pid = fork();
+  if (pid < 0) { perror("fork"); return 127; }
+  if (pid == 0) {
+    execvp(argv[2], argv + 2);
+    perror(argv[2]);
+    _exit(127);
+  }
+  int status;
+  struct rusage usage;
+  while (wait4(pid, &status, 0, &usage) < 0) {
+    if (errno != EINTR) return 127;
+  }
+  dprintf(fd, "%ld\\n", usage.ru_maxrss);
+  close(fd);
+  if (WIFSIGNALED(status)) {
+    struct rlimit noCore = { 0, 0 };
+    setrlimit(RLIMIT_CORE, &noCore);
+    signal(WTERMSIG(status), SIG_DFL);
+    kill(getpid(), WTERMSIG(status));
+  }
+  return WIFEXITED(status) ? WEXITSTATUS(status) : 128 + WTERMSIG(status);
+}
+`;
+
+const buildPeakMemoryHelper = () => {
+  if (!IS_LINUX) return null;
+  const dir = path.join(os.tmpdir(), `skypad-sandbox-${process.pid}`);
+  const binary = path.join(dir, 'peak-memory');
+  try {
+    mkdirSync(dir, { recursive: true, mode: 0o755 });
+    const result = spawnSync('gcc', ['-O2', '-x', 'c', '-', '-o', binary], {
+      input: PEAK_MEMORY_HELPER_SOURCE,
+      stdio: ['pipe', 'ignore', 'pipe'],
+      timeout: 30000
+    });
+    if (result.status !== 0) {
+      throw new Error(result.error?.message || result.stderr?.toString() || 'gcc failed');
+    }
+    process.on('exit', () => rmSync(dir, { recursive: true, force: true }));
+    return binary;
+  } catch (err) {
+    rmSync(dir, { recursive: true, force: true });
+    console.warn(`[Sandbox] Could not build the peak memory helper (${err.message}), memory is only sampled from /proc`);
+    return null;
+  }
+};
+
+const PEAK_MEMORY_HELPER = buildPeakMemoryHelper();
+const PEAK_MEMORY_FD = 3;
+
+// Folders programs are built and run in. They belong to the sandbox user, so compilers and programs
+// can write there, and sit under a folder it can pass through but not list, so one program can't
+// find another's. Everything else the judge keeps (the artifact cache, generated tests) stays
+// unreadable to the sandbox user.
+const WORK_ROOT = path.join(os.tmpdir(), `skypad-work-${process.pid}`);
+let workRootReady;
+
+process.on('exit', () => {
+  rmSync(WORK_ROOT, { recursive: true, force: true });
+});
+
+// Hand a file or folder, with everything in it, to the sandbox user
+const grantSandboxAccess = async (target) => {
+  if (!IS_ISOLATED) return;
+  await fs.lchown(target, SANDBOX_CONFIG.uid, SANDBOX_CONFIG.gid ?? -1);
+  if ((await fs.lstat(target)).isDirectory()) {
+    for (const entry of await fs.readdir(target)) {
+      await grantSandboxAccess(path.join(target, entry));
+    }
+  }
+};
+
+// A new, empty work folder owned by the sandbox user
+const createWorkDir = async (prefix = 'skypad-') => {
+  if (!workRootReady) {
+    workRootReady = fs.mkdir(WORK_ROOT, { recursive: true, mode: 0o711 }).then(() => fs.chmod(WORK_ROOT, 0o711));
+  }
+  await workRootReady;
+  const dir = await fs.mkdtemp(path.join(WORK_ROOT, prefix));
+  await grantSandboxAccess(dir);
+  return dir;
+};
+
+// extra holds language specific variables from the registry (e.g. Go's build cache)
+const sandboxEnv = (cwd, extra) => {
+  const env = { TMPDIR: cwd, ...extra };
+  for (const key of ENV_PASSTHROUGH) {
+    if (process.env[key]) env[key] = process.env[key];
+  }
+  return env;
+};
+
+// Wrap a command with rlimits and a private network namespace where the host allows it
+const buildCommand = (command, args, { timeLimit, memoryLimit, limitAddressSpace, maxFileSizeMb }) => {
+  let wrapped = [command, ...args];
+
+  if (PEAK_MEMORY_HELPER) {
+    wrapped = [PEAK_MEMORY_HELPER, String(PEAK_MEMORY_FD), ...wrapped];
+  }
+
+  if (HAS_PRLIMIT) {
+    const limits = [
+      `--cpu=${Math.ceil(timeLimit / 1000) + 1}`,
+      `--nproc=${SANDBOX_CONFIG.maxProcesses}`,
+      `--fsize=${(maxFileSizeMb || SANDBOX_CONFIG.maxFileSizeMb) * 1024 * 1024}`
+    ];
+    if (limitAddressSpace && memoryLimit) {
+      limits.push(`--as=${(memoryLimit + ADDRESS_SPACE_HEADROOM_MB) * 1024 * 1024}`);
+    }
+    wrapped = ['prlimit', ...limits, '--', ...wrapped];
+  }
+
+  if (HAS_NETWORK_NAMESPACE) {
+    wrapped = ['unshare', '-rn', ...wrapped];
+  }
+
+  return wrapped;
+};
+
+// The process to sample: the helper's child when the peak memory helper runs the program
+const programPid = async (pid) => {
+  if (!PEAK_MEMORY_HELPER) return pid;
+  try {
+    const children = await fs.readFile(`/proc/${pid}/task/${pid}/children`, 'utf8');
+    return Number(children.split(' ')[0]) || null;
+  } catch {
+    return null;
+  }
+};
+
+// Peak resident set size in KB, read from /proc while the process is alive
+const readPeakMemory = async (pid) => {
+  if (!pid) return 0;
+  try {
+    const status = await fs.readFile(`/proc/${pid}/status`, 'utf8');
+    const peak = status.match(/VmHWM:\s+(\d+)/) || status.match(/VmRSS:\s+(\d+)/);
+    return peak ? Number(peak[1]) : 0;
+  } catch {
+    return 0;
+  }
+};
+
+const SIGNAL_DESCRIPTIONS = {
+  SIGSEGV: 'Segmentation fault',
+  SIGFPE: 'Floating point exception',
+  SIGABRT: 'Aborted',
+  SIGBUS: 'Bus error',
+  SIGILL: 'Illegal instruction',
+  SIGKILL: 'Killed'
+};
+
+// Human readable reason a program stopped, e.g. "Segmentation fault (SIGSEGV)"
+const describeExit = (exitCode, signal) => {
+  if (signal) {
+    return SIGNAL_DESCRIPTIONS[signal] ? `${SIGNAL_DESCRIPTIONS[signal]} (${signal})` : `Killed by ${signal}`;
+  }
+  return `Process exited with code ${exitCode}`;
+};
+
+// Start a command in a resource-limited child process.
+// Returns { child, done, kill } where done resolves with the run's outcome and kill stops the
+// program and everything it forked. When no input is given, stdin stays open so the caller can
+// stream to it (used for interactive problems and editor runs).
+// Throws when the host can't isolate submissions (see IS_ISOLATED), which judges report as a judge error.
+const spawnSandboxed = (command, args, { cwd, env, input, timeLimit, memoryLimit, limitAddressSpace = false, maxFileSizeMb }) => {
+  if (!IS_ISOLATED && !SANDBOX_CONFIG.allowUnisolated) {
+    throw new Error(UNISOLATED_MESSAGE);
+  }
+
+  let child;
+  let killGroup = () => {};
+
+  const done = new Promise((resolve) => {
+    let stdout = '';
+    let stderr = '';
+    let outputBytes = 0;
+    let memory = 0;
+    let timedOut = false;
+    let memoryExceeded = false;
+    let outputExceeded = false;
+    let polling = false;
+
+    const [wrappedCommand, ...wrappedArgs] = buildCommand(command, args, {
+      timeLimit,
+      memoryLimit,
+      limitAddressSpace,
+      maxFileSizeMb
+    });
+
+    const start = Date.now();
+
+    try {
+      child = spawn(wrappedCommand, wrappedArgs, {
+        cwd,
+        env: sandboxEnv(cwd, env),
+        stdio: ['pipe', 'pipe', 'pipe', ...(PEAK_MEMORY_HELPER ? ['pipe'] : [])],
+        // Own process group so forked children die with the program
+        detached: IS_LINUX,
+        uid: SANDBOX_CONFIG.uid,
+        gid: SANDBOX_CONFIG.gid
+      });
+    } catch (err) {
+      return resolve({ stdout, stderr, exitCode: null, signal: null, time: 0, memory, timedOut, memoryExceeded, outputExceeded, error: err.message });
+    }
+
+    killGroup = () => {
+      try {
+        if (IS_LINUX) {
+          process.kill(-child.pid, 'SIGKILL');
+        } else {
+          child.kill('SIGKILL');
+        }
+      } catch {}
+    };
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killGroup();
+    }, timeLimit);
+
+    const memoryPoller = IS_LINUX && setInterval(async () => {
+      if (polling) return;
+      polling = true;
+      memory = Math.max(memory, await readPeakMemory(await programPid(child.pid)));
+      polling = false;
+      if (memoryLimit && memory > memoryLimit * 1024) {
+        memoryExceeded = true;
+        killGroup();
+      }
+    }, MEMORY_POLL_INTERVAL);
+
+    const collect = (stream) => (data) => {
+      outputBytes += data.length;
+      if (outputBytes > MAX_OUTPUT_BYTES) {
+        outputExceeded = true;
+        killGroup();
+        return;
+      }
+      if (stream === 'stdout') {
+        stdout += data.toString();
+      } else {
+        stderr += data.toString();
+      }
+    };
+
+    child.stdout.on('data', collect('stdout'));
+    child.stderr.on('data', collect('stderr'));
+
+    let peakReport = '';
+    child.stdio[PEAK_MEMORY_FD]?.on('data', (data) => {
+      peakReport = (peakReport + data.toString()).slice(-64);
+    });
+
+    // The child may exit before reading all of its input
+    child.stdin.on('error', () => {});
+
+    const finish = (result) => {
+      clearTimeout(timer);
+      if (memoryPoller) clearInterval(memoryPoller);
+      resolve({
+        stdout,
+        stderr,
+        time: Date.now() - start,
+        memory,
+        timedOut,
+        memoryExceeded,
+        outputExceeded,
+        ...result
+      });
+    };
+
+    child.on('error', (err) => {
+      finish({ exitCode: null, signal: null, error: err.message });
+    });
+
+    // Make sure nothing the program forked outlives it (and keeps its pipes open)
+    child.on('exit', killGroup);
+
+    child.on('close', (exitCode, signal) => {
+      // The helper's report is exact; it is missing when the program was killed along with the helper
+      const reported = Number(peakReport.trim().split('\n').pop());
+      if (Number.isFinite(reported)) {
+        memory = Math.max(memory, reported);
+      }
+      if (memoryLimit && memory > memoryLimit * 1024) {
+        memoryExceeded = true;
+      }
+
+      if (signal === 'SIGXCPU') {
+        timedOut = true;
+      } else if (signal === 'SIGXFSZ' || (exitCode !== 0 && FILE_TOO_LARGE_PATTERN.test(stderr))) {
+        outputExceeded = true;
+      } else if (exitCode !== 0 && OUT_OF_MEMORY_PATTERN.test(stderr)) {
+        memoryExceeded = true;
+      }
+
+      finish({ exitCode, signal });
+    });
+
+    if (input != null) {
+      child.stdin.write(String(input));
+      child.stdin.end();
+    }
+  });
+
+  return { child, done, kill: () => killGroup() };
+};
+
+// Run a command in a resource-limited child process, feeding it input and collecting its output
+const runSandboxed = (command, args, options) => {
+  return spawnSandboxed(command, args, { ...options, input: options.input ?? '' }).done;
+};
+
+export { runSandboxed, spawnSandboxed, describeExit, hostSupports, createWorkDir, grantSandboxAccess, SANDBOX_CONFIG };
@@ -0,0 +1,73 @@
+import { VERDICTS } from "./verdicts.js";
+import { enqueueJudge } from "./queue.js";
+import { generateInputs } from "./generators.js";
+
+// Stress testing: feed random inputs to a solution and a trusted brute force until their outputs
+// disagree. Inputs come from a generator following the generators.js protocol (seed and arguments
+// on stdin, one test input on stdout). Every step is an ordinary judging through the queue, and
+// compiled programs are cached, so each batch only pays for running the programs.
+
+const BATCH_SIZE = 10;
+
+const runJudge = (judgeOptions) => enqueueJudge({ judgeOptions }).promise;
+
+// Run the solution against the brute force for up to `iterations` inputs or `timeBudget` ms.
+// judgeOptions holds the problem's limits, checker and signature; seeds start at firstSeed and
+// skipSeed(seed) can rule seeds out. Resolves with the first input whose outputs differ, if any.
+const stressTest = async ({ code, language, brute, generator, generatorArgs = [], iterations, timeBudget, firstSeed, skipSeed = () => false, judgeOptions = {} }) => {
+  const started = Date.now();
+  let tested = 0;
+  let seed = firstSeed;
+
+  const summary = (extra) => ({ iterations: tested, elapsed: Date.now() - started, ...extra });
+
+  while (tested < iterations && Date.now() - started < timeBudget) {
+    const specs = [];
+    while (specs.length < Math.min(BATCH_SIZE, iterations - tested)) {
+      if (!skipSeed(seed)) specs.push({ seed, args: generatorArgs });
+      seed++;
+    }
+
+    const inputs = await generateInputs(generator, specs);
+
+    const bruteResult = await runJudge({
+      ...judgeOptions,
+      code: brute.code,
+      language: brute.language,
+      testCases: inputs.map(input => ({ input, unchecked: true }))
+    });
+    if (bruteResult.compileOutput) {
+      return summary({ found: false, bruteFailure: { verdict: bruteResult.verdict, compileOutput: bruteResult.compileOutput } });
+    }
+    const bruteFailed = bruteResult.testResults.findIndex(testResult => !testResult.passed);
+    if (bruteFailed !== -1) {
+      const testResult = bruteResult.testResults[bruteFailed];
+      return summary({
+        found: false,
+        bruteFailure: { seed: specs[bruteFailed].seed, input: inputs[bruteFailed], verdict: testResult.verdict, error: testResult.error }
+      });
+    }
+
+    // The brute force's answers become the expected outputs, compared with the problem's checker
+    const result = await runJudge({
+      ...judgeOptions,
+      code,
+      language,
+      testCases: inputs.map((input, i) => ({ input, expectedOutput: bruteResult.testResults[i].actualOutput }))
+    });
+    if (result.compileOutput) {
+      return summary({ found: false, verdict: result.verdict, compileOutput: result.compileOutput });
+    }
+
+    const failed = result.testResults.findIndex(testResult => !testResult.passed);
+    if (failed !== -1) {
+      tested += failed + 1;
+      return summary({ found: true, seed: specs[failed].seed, counterexample: result.testResults[failed] });
+    }
+    tested += specs.length;
+  }
+
+  return summary({ found: false, verdict: VERDICTS.ACCEPTED });
+};
+
+export { stressTest };
@@ -0,0 +1,103 @@
+import { VERDICTS } from "./verdicts.js";
+
+// IOI style subtasks: groups of tests, each worth points only when every one of its tests passes.
+// A subtask looks like { name, points, tests, dependencies, stopOnFirstFailure }:
+//   tests               indexes into the problem's hidden tests (a test may belong to several subtasks)
+//   dependencies        indexes of earlier subtasks that must also be fully solved for this one to score
+//   stopOnFirstFailure  skip the subtask's remaining tests once one fails, and skip it entirely
+//                       when a dependency failed
+
+// Returns an error message, or null when the subtasks are usable with testCount tests
+const validateSubtasks = (subtasks, testCount) => {
+  if (subtasks === undefined || subtasks === null) return null;
+  if (!Array.isArray(subtasks)) return 'Subtasks must be a list';
+
+  for (const [index, subtask] of subtasks.entries()) {
+    const label = subtask?.name ? `Subtask "${subtask.name}"` : `Subtask ${index + 1}`;
+    if (!subtask || typeof subtask !== 'object') return `${label} is invalid`;
+    if (typeof subtask.points !== 'number' || !Number.isFinite(subtask.points) || subtask.points < 0) {
+      return `${label} needs a non-negative number of points`;
+    }
+    if (!Array.isArray(subtask.tests) || subtask.tests.length === 0) {
+      return `${label} needs at least one test`;
+    }
+    const badTest = subtask.tests.find(test => !Number.isInteger(test) || test < 0 || test >= testCount);
+    if (badTest !== undefined) {
+      return `${label} refers to test ${badTest}, but there are only ${testCount} hidden tests`;
+    }
+    // Only earlier subtasks can be depended on, which also rules out cycles
+    const badDependency = (subtask.dependencies || []).find(dep => !Number.isInteger(dep) || dep < 0 || dep >= index);
+    if (badDependency !== undefined) {
+      return `${label} can only depend on earlier subtasks (got ${badDependency})`;
+    }
+  }
+  return null;
+};
+
+// Judge tests subtask by subtask. runTest(index) judges one test and resolves with its result.
+// Tests that belong to no subtask are judged last; they count towards the verdict but carry no points.
+// Resolves with results indexed by test, null where a test was skipped.
+const runSubtasks = async (subtasks, testCount, runTest) => {
+  const results = new Array(testCount).fill(null);
+  const solved = [];
+
+  const judgeTest = async (index) => {
+    if (!results[index]) results[index] = await runTest(index);
+    return results[index];
+  };
+
+  for (const [index, subtask] of subtasks.entries()) {
+    const blocked = (subtask.dependencies || []).some(dep => !solved[dep]);
+    if (blocked && subtask.stopOnFirstFailure) {
+      solved[index] = false;
+      continue;
+    }
+
+    let passed = !blocked;
+    for (const test of subtask.tests) {
+      const result = await judgeTest(test);
+      if (!result.passed) {
+        passed = false;
+        if (subtask.stopOnFirstFailure) break;
+      }
+    }
+    solved[index] = passed;
+  }
+
+  const grouped = new Set(subtasks.flatMap(subtask => subtask.tests));
+  for (let index = 0; index < testCount; index++) {
+    if (!grouped.has(index)) await judgeTest(index);
+  }
+
+  return results;
+};
+
+// Score judged tests: every subtask is all-or-nothing and needs its dependencies solved too
+const scoreSubtasks = (subtasks, testResults) => {
+  const subtaskResults = [];
+
+  subtasks.forEach((subtask, index) => {
+    const tests = subtask.tests.map(test => testResults[test]);
+    const failedTest = tests.find(result => result && !result.passed && result.verdict !== VERDICTS.SKIPPED);
+    const failedDependencies = (subtask.dependencies || []).filter(dep => !subtaskResults[dep].passed);
+    const passed = !failedTest && failedDependencies.length === 0 && tests.every(result => result?.passed);
+
+    subtaskResults.push({
+      subtaskIndex: index,
+      name: subtask.name,
+      passed,
+      verdict: passed ? VERDICTS.ACCEPTED : (failedTest ? failedTest.verdict : VERDICTS.SKIPPED),
+      score: passed ? subtask.points : 0,
+      maxScore: subtask.points,
+      failedDependencies
+    });
+  });
+
+  return {
+    subtaskResults,
+    score: subtaskResults.reduce((sum, result) => sum + result.score, 0),
+    maxScore: subtasks.reduce((sum, subtask) => sum + subtask.points, 0)
+  };
+};
+
+export { validateSubtasks, runSubtasks, scoreSubtasks };
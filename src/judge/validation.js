@@ -0,0 +1,102 @@
+import { enqueueJudge } from "./queue.js";
+
+// Checks a problem's test data before it is saved:
+//   validator           program reading one test input on stdin, exiting 0 when the input is valid
+//                       (anything else rejects it, stderr explains why)
+//   referenceSolution   the setter's solution, which must be accepted on every test
+// Both are { code, language } and both are optional; missing ones are reported as skipped.
+
+const VALIDATOR_TIME_LIMIT = 10000; // ms per input
+const VALIDATOR_MEMORY_LIMIT = 256; // MB
+
+// Judge through the queue so validation shares the workers with submissions
+const runJudge = (judgeOptions) => enqueueJudge({ judgeOptions }).promise;
+
+// Number the tests of both sets so report entries point at what the setter edits
+const labelTests = (sampleTestCases = [], hiddenTestCases = []) => [
+  ...sampleTestCases.map((testCase, index) => ({ testCase, set: 'sample', index })),
+  ...hiddenTestCases.map((testCase, index) => ({ testCase, set: 'hidden', index }))
+];
+
+const runValidator = async (validator, tests) => {
+  const result = await runJudge({
+    code: validator.code,
+    language: validator.language,
+    testCases: tests.map(({ testCase }) => ({ input: testCase.input ?? '', unchecked: true })),
+    timeLimit: VALIDATOR_TIME_LIMIT,
+    memoryLimit: VALIDATOR_MEMORY_LIMIT
+  });
+
+  if (result.compileOutput) {
+    return { passed: false, compileOutput: result.compileOutput, invalidTests: [] };
+  }
+
+  const invalidTests = result.testResults
+    .map((testResult, i) => ({ testResult, ...tests[i] }))
+    .filter(({ testResult }) => !testResult.passed)
+    .map(({ testResult, set, index }) => ({
+      set,
+      index,
+      verdict: testResult.verdict,
+      message: testResult.stderr?.trim() || testResult.error
+    }));
+
+  return { passed: invalidTests.length === 0, invalidTests };
+};
+
+const runReferenceSolution = async (referenceSolution, tests, judgeOptions) => {
+  const result = await runJudge({
+    ...judgeOptions,
+    code: referenceSolution.code,
+    language: referenceSolution.language,
+    testCases: tests.map(({ testCase }) => testCase)
+  });
+
+  // Nothing ran: the solution, checker or interactor did not build
+  if (result.compileOutput) {
+    return { passed: false, verdict: result.verdict, compileOutput: result.compileOutput, failedTests: [] };
+  }
+
+  const failedTests = result.testResults
+    .map((testResult, i) => ({ testResult, ...tests[i] }))
+    .filter(({ testResult }) => !testResult.passed)
+    .map(({ testResult, set, index }) => ({
+      set,
+      index,
+      verdict: testResult.verdict,
+      error: testResult.error,
+      checkerMessage: testResult.checkerMessage,
+      diff: testResult.diff,
+      executionTime: testResult.executionTime
+    }));
+
+  return {
+    passed: failedTests.length === 0,
+    verdict: result.verdict,
+    failedTests,
+    executionTime: result.executionTime,
+    memoryUsed: result.memoryUsed
+  };
+};
+
+// Run the validator over every input and the reference solution against every test.
+// judgeOptions carries the problem's limits, checker, interactor and signature.
+// Resolves with a report whose passed flag says whether the problem may be saved.
+const validateProblemData = async ({ sampleTestCases, hiddenTestCases, validator, referenceSolution, judgeOptions = {} }) => {
+  const tests = labelTests(sampleTestCases, hiddenTestCases);
+
+  const [validatorReport, referenceReport] = await Promise.all([
+    validator?.code ? runValidator(validator, tests) : null,
+    referenceSolution?.code ? runReferenceSolution(referenceSolution, tests, judgeOptions) : null
+  ]);
+
+  return {
+    passed: (validatorReport?.passed ?? true) && (referenceReport?.passed ?? true),
+    testCount: tests.length,
+    validator: validatorReport ?? { skipped: true },
+    referenceSolution: referenceReport ?? { skipped: true },
+    checkedAt: new Date()
+  };
+};
+
+export { validateProblemData };
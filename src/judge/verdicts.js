@@ -0,0 +1,40 @@
+// Verdict codes shared by every judge path (practice, contests and challenges).
+// Values match the status enum stored on ContestSubmission.
+const VERDICTS = {
+  ACCEPTED: 'accepted',
+  WRONG_ANSWER: 'wrong_answer',
+  // Right tokens, wrong whitespace or line layout
+  PRESENTATION_ERROR: 'presentation_error',
+  RUNTIME_ERROR: 'runtime_error',
+  TIME_LIMIT_EXCEEDED: 'time_limit_exceeded',
+  MEMORY_LIMIT_EXCEEDED: 'memory_limit_exceeded',
+  OUTPUT_LIMIT_EXCEEDED: 'output_limit_exceeded',
+  COMPILATION_ERROR: 'compilation_error',
+  // The problem's own tooling (e.g. a custom checker) failed, not the submission
+  JUDGE_ERROR: 'judge_error',
+  // Not run, its subtask had already failed
+  SKIPPED: 'skipped'
+};
+
+// Human readable labels for verdict codes
+const VERDICT_LABELS = {
+  [VERDICTS.ACCEPTED]: 'Accepted',
+  [VERDICTS.WRONG_ANSWER]: 'Wrong Answer',
+  [VERDICTS.PRESENTATION_ERROR]: 'Presentation Error',
+  [VERDICTS.RUNTIME_ERROR]: 'Runtime Error',
+  [VERDICTS.TIME_LIMIT_EXCEEDED]: 'Time Limit Exceeded',
+  [VERDICTS.MEMORY_LIMIT_EXCEEDED]: 'Memory Limit Exceeded',
+  [VERDICTS.OUTPUT_LIMIT_EXCEEDED]: 'Output Limit Exceeded',
+  [VERDICTS.COMPILATION_ERROR]: 'Compilation Error',
+  [VERDICTS.JUDGE_ERROR]: 'Judge Error',
+  [VERDICTS.SKIPPED]: 'Skipped'
+};
+
+// Hidden tests are reported by verdict only, never with their data or the program's output
+const toHiddenTestResponse = (testResult) => ({
+  verdict: testResult.verdict,
+  executionTime: testResult.executionTime,
+  memoryUsed: testResult.memoryUsed
+});
+
+export { VERDICTS, VERDICT_LABELS, toHiddenTestResponse };
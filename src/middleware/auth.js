@@ -25,7 +25,8 @@ const authenticateToken = async (req, res, next) => {
       sub: user._id.toString(), // Use 'sub' for consistency with JWT decode
       id: user._id,
       email: user.email,
-      username: user.username
+      username: user.username,
+      role: user.role
     };
     
     next();
@@ -41,4 +42,9 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Like authenticateToken for routes that also serve anonymous visitors: requests without a token
+// pass through without req.user
+const optionalAuth = (req, res, next) => (req.headers['authorization'] ? authenticateToken(req, res, next) : next());
+
+export { optionalAuth };
 export default authenticateToken;
\ No newline at end of file
@@ -47,7 +47,15 @@ const challengeRoomSchema = new mongoose.Schema(
       language: { type: String, required: true },
       result: { type: String, enum: ['pending', 'accepted', 'rejected'], default: 'pending' },
       submittedAt: { type: Date, default: Date.now },
-      testResults: { type: Object }
+      testResults: { type: Object },
+      problemRevision: { type: Number }, // revision of the problem it was judged against
+      // Toolchain the code was judged with
+      toolchain: {
+        language: { type: String },
+        standard: { type: String },
+        flags: [{ type: String }],
+        version: { type: String }
+      }
     }],
     // Match metadata
     matchDuration: { 
@@ -1,4 +1,13 @@
 import {mongoose} from "mongoose";
+import { CHECKER_TYPES } from "../judge/checkers.js";
+import { PROBLEM_TYPES } from "../judge/engine.js";
+import { SIGNATURE_TYPES } from "../judge/harness.js";
+import { LANGUAGE_IDS } from "../judge/languages.js";
+
+// Interactive questions may leave the expected answer empty, the interactor judges the run
+function answerRequired() {
+  return this.parent().type !== 'interactive';
+}
 
 const contestSchema = new mongoose.Schema(
   {
@@ -47,7 +56,7 @@ const contestSchema = new mongoose.Schema(
     // Contest settings
     allowedLanguages: [{
       type: String,
-      enum: ['javascript', 'python', 'cpp', 'java']
+      enum: LANGUAGE_IDS
     }],
     maxParticipants: {
       type: Number,
@@ -67,13 +76,42 @@ const contestSchema = new mongoose.Schema(
       constraints: { type: String, required: true },
       sampleTestCases: [{
         input: { type: String, required: true },
-        output: { type: String, required: true },
+        output: { type: String, required: answerRequired },
         explanation: { type: String }
       }],
       hiddenTestCases: [{
         input: { type: String, required: true },
-        output: { type: String, required: true }
+        output: { type: String, required: answerRequired }
+      }],
+      subtasks: [{
+        _id: false,
+        name: { type: String },
+        points: { type: Number, required: true },
+        tests: [{ type: Number }],
+        dependencies: [{ type: Number }],
+        stopOnFirstFailure: { type: Boolean, default: false }
       }],
+      checker: {
+        type: { type: String, enum: CHECKER_TYPES, default: 'default' },
+        absoluteError: { type: Number },
+        relativeError: { type: Number },
+        code: { type: String },
+        language: { type: String }
+      },
+      type: { type: String, enum: PROBLEM_TYPES, default: 'standard' },
+      signature: {
+        functionName: { type: String },
+        params: [{
+          _id: false,
+          name: { type: String },
+          type: { type: String, enum: Object.keys(SIGNATURE_TYPES) }
+        }],
+        returnType: { type: String, enum: Object.keys(SIGNATURE_TYPES) }
+      },
+      interactor: {
+        code: { type: String },
+        language: { type: String }
+      },
       timeLimit: { type: Number, default: 2000 },
       memoryLimit: { type: Number, default: 256 },
       points: { type: Number, required: true, default: 100 },
@@ -26,6 +26,13 @@ const contestRegistrationSchema = new mongoose.Schema(
       solvedAt: { type: Date, required: true },
       points: { type: Number, required: true }
     }],
+    // Best score per question (partial on questions with subtasks); full marks also land in problemsSolved
+    questionScores: [{
+      _id: false,
+      problemId: { type: String, required: true },
+      points: { type: Number, required: true },
+      achievedAt: { type: Date, required: true }
+    }],
     submissionsCount: {
       type: Number,
       default: 0
@@ -1,4 +1,6 @@
 import {mongoose} from "mongoose";
+import { LANGUAGE_IDS } from "../judge/languages.js";
+import { VERDICTS } from "../judge/verdicts.js";
 
 const contestSubmissionSchema = new mongoose.Schema(
   {
@@ -23,16 +25,41 @@ const contestSubmissionSchema = new mongoose.Schema(
     language: {
       type: String,
       required: true,
-      enum: ['javascript', 'python', 'cpp', 'java']
+      enum: LANGUAGE_IDS
     },
     status: {
       type: String,
-      enum: ['pending', 'accepted', 'wrong_answer', 'runtime_error', 'time_limit_exceeded', 'compilation_error'],
+      enum: ['pending', ...Object.values(VERDICTS)],
       default: 'pending'
     },
     testResults: {
       type: Object
     },
+    compileOutput: {
+      type: String
+    },
+    // Compiler warnings of a successful build, kept apart from compileOutput (errors)
+    compileWarnings: {
+      type: String
+    },
+    // Toolchain the code was judged with
+    toolchain: {
+      language: { type: String },
+      standard: { type: String },
+      flags: [{ type: String }],
+      version: { type: String }
+    },
+    // Per subtask outcome on problems with subtasks
+    subtaskResults: [{
+      _id: false,
+      subtaskIndex: { type: Number },
+      name: { type: String },
+      passed: { type: Boolean },
+      verdict: { type: String },
+      score: { type: Number },
+      maxScore: { type: Number },
+      failedDependencies: [{ type: Number }]
+    }],
     points: {
       type: Number,
       default: 0
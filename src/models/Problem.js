@@ -1,4 +1,12 @@
 import {mongoose} from "mongoose";
+import { CHECKER_TYPES } from "../judge/checkers.js";
+import { PROBLEM_TYPES } from "../judge/engine.js";
+import { SIGNATURE_TYPES } from "../judge/harness.js";
+
+// Interactive problems may leave the expected answer empty, the interactor judges the run
+function answerRequired() {
+  return this.parent().type !== 'interactive';
+}
 
 const problemSchema = new mongoose.Schema(
   {
@@ -19,25 +27,108 @@ const problemSchema = new mongoose.Schema(
     constraints: { type: String },
     sampleTestCases: [{
       input: { type: String, required: true },
-      expectedOutput: { type: String, required: true },
+      expectedOutput: { type: String, required: answerRequired },
       explanation: { type: String }
     }],
     hiddenTestCases: [{
       input: { type: String, required: true },
-      expectedOutput: { type: String, required: true }
+      expectedOutput: { type: String, required: answerRequired }
+    }],
+    // Programs printing test inputs, expanded after hiddenTestCases (see judge/generators.js)
+    generators: [{
+      _id: false,
+      name: { type: String, required: true },
+      code: { type: String, required: true },
+      language: { type: String, required: true }
+    }],
+    generatedTests: [{
+      _id: false,
+      generator: { type: String, required: true }, // generator name
+      seed: { type: String, required: true },
+      args: [{ type: String }]
+    }],
+    // Optional IOI style grouping of the hidden tests (stored, then generated), see judge/subtasks.js
+    subtasks: [{
+      _id: false,
+      name: { type: String },
+      points: { type: Number, required: true },
+      tests: [{ type: Number }], // indexes into hiddenTestCases
+      dependencies: [{ type: Number }], // indexes of earlier subtasks
+      stopOnFirstFailure: { type: Boolean, default: false }
     }],
+    // How contestant output is compared with expectedOutput
+    checker: {
+      type: { type: String, enum: CHECKER_TYPES, default: 'default' },
+      absoluteError: { type: Number }, // 'float' checker
+      relativeError: { type: Number }, // 'float' checker
+      code: { type: String }, // 'custom' checker program
+      language: { type: String }
+    },
+    type: { type: String, enum: PROBLEM_TYPES, default: 'standard' },
+    // Function problems: the user implements this function, see judge/harness.js
+    signature: {
+      functionName: { type: String },
+      params: [{
+        _id: false,
+        name: { type: String },
+        type: { type: String, enum: Object.keys(SIGNATURE_TYPES) }
+      }],
+      returnType: { type: String, enum: Object.keys(SIGNATURE_TYPES) }
+    },
+    // Program that talks to the solution on interactive problems
+    interactor: {
+      code: { type: String },
+      language: { type: String }
+    },
+    // Setter's solution and input validator, run against the tests on every save (see judge/validation.js)
+    referenceSolution: {
+      code: { type: String },
+      language: { type: String }
+    },
+    validator: {
+      code: { type: String },
+      language: { type: String }
+    },
+    validationReport: { type: Object }, // outcome of the last check
     allowedLanguages: [{ type: String }],
     timeLimit: { type: Number, default: 1000 }, // in milliseconds
     memoryLimit: { type: Number, default: 256 }, // in MB
     points: { type: Number, default: 10 },
-    isActive: { type: Boolean, default: true },
+    revision: { type: Number, default: 1 }, // current revision, see ProblemRevision
+    // Publishing workflow, see services/problemWorkflow.js. Problems stored before it existed
+    // read as published, or archived when they had been deleted.
+    status: {
+      type: String,
+      enum: ['draft', 'in_review', 'published', 'archived'],
+      default() {
+        if (this.isNew) return 'draft';
+        return this.isActive === false ? 'archived' : 'published';
+      }
+    },
+    isActive: { type: Boolean, default: true }, // true exactly while published: listed and judged
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     solvedBy: [{ 
       userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
       solvedAt: { type: Date, default: Date.now },
       timeSpent: { type: Number, default: 0 },
       language: { type: String }
-    }]
+    }],
+    // Engagement aggregates, maintained from judged submissions by services/problemStats.js
+    stats: {
+      submissions: { type: Number, default: 0 }, // judged, judge errors left out
+      accepted: { type: Number, default: 0 },
+      acceptanceRate: { type: Number, default: null }, // percent, null until the first submission
+      attempters: { type: Number, default: 0 }, // unique users who submitted
+      solvers: { type: Number, default: 0 }, // unique users with an accepted submission
+      medianSolveTime: { type: Number, default: null }, // minutes from a solver's first submission to their first accepted one
+      languages: [{
+        _id: false,
+        language: { type: String },
+        submissions: { type: Number },
+        accepted: { type: Number }
+      }],
+      updatedAt: { type: Date }
+    }
   },
   { timestamps: true }
 );
@@ -45,6 +136,12 @@ const problemSchema = new mongoose.Schema(
 // Index for efficient queries
 problemSchema.index({ difficulty: 1, topic: 1 });
 problemSchema.index({ isActive: 1 });
+problemSchema.index({ status: 1, updatedAt: 1 });
+// Sorting the problem list by its stats
+problemSchema.index({ isActive: 1, 'stats.acceptanceRate': 1 });
+problemSchema.index({ isActive: 1, 'stats.submissions': 1 });
+problemSchema.index({ isActive: 1, 'stats.solvers': 1 });
+problemSchema.index({ isActive: 1, 'stats.medianSolveTime': 1 });
 
 const Problem = mongoose.models.Problem || mongoose.model('Problem', problemSchema);
 export default Problem;
\ No newline at end of file
@@ -0,0 +1,63 @@
+import {mongoose} from "mongoose";
+
+// A curated, ordered list of problems (a study sheet) split into sections. Lists are private to
+// their owner or public for anyone to browse, follow and fork; admins feature lists on the sheets page.
+const problemListSchema = new mongoose.Schema(
+  {
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 120
+    },
+    description: {
+      type: String,
+      maxlength: 5000
+    },
+    visibility: {
+      type: String,
+      enum: ['private', 'public'],
+      default: 'private'
+    },
+    featured: {
+      type: Boolean,
+      default: false // only admins set it
+    },
+    sections: [{
+      title: { type: String, required: true, trim: true, maxlength: 120 },
+      description: { type: String, maxlength: 2000 },
+      problems: [{
+        _id: false,
+        problemId: { type: mongoose.Schema.Types.ObjectId, ref: 'Problem', required: true },
+        note: { type: String, maxlength: 500 } // the owner's hint or reason for picking it
+      }]
+    }],
+    // The list this one was copied from
+    forkedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProblemList'
+    },
+    followerCount: {
+      type: Number,
+      default: 0
+    },
+    forkCount: {
+      type: Number,
+      default: 0
+    }
+  },
+  { timestamps: true }
+);
+
+problemListSchema.index({ visibility: 1, featured: 1, followerCount: -1 });
+problemListSchema.index({ title: 'text', description: 'text' });
+
+const ProblemList = mongoose.models.ProblemList || mongoose.model('ProblemList', problemListSchema);
+
+export default ProblemList;
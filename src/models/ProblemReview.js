@@ -0,0 +1,52 @@
+import {mongoose} from "mongoose";
+
+// One step of a problem's review timeline: a comment, or a workflow action moving the problem
+// between statuses (see services/problemWorkflow.js). Entries are never edited.
+const problemReviewSchema = new mongoose.Schema(
+  {
+    problemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Problem',
+      required: true,
+      immutable: true
+    },
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      immutable: true
+    },
+    action: {
+      type: String,
+      enum: ['comment', 'submit', 'withdraw', 'request_changes', 'approve', 'archive', 'restore'],
+      required: true,
+      immutable: true
+    },
+    body: {
+      type: String,
+      maxlength: 5000,
+      immutable: true
+    },
+    // Status change made by the action, unset for comments
+    from: {
+      type: String,
+      immutable: true
+    },
+    to: {
+      type: String,
+      immutable: true
+    },
+    // Problem revision the entry was made on, so comments can be matched with the edits after them
+    revision: {
+      type: Number,
+      immutable: true
+    }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+problemReviewSchema.index({ problemId: 1, createdAt: 1 });
+
+const ProblemReview = mongoose.models.ProblemReview || mongoose.model('ProblemReview', problemReviewSchema);
+
+export default ProblemReview;
@@ -0,0 +1,54 @@
+import {mongoose} from "mongoose";
+
+// One immutable entry per edit of a problem: who made it, the problem's content afterwards and
+// what changed from the revision before. Rollbacks add a new revision rather than rewriting history.
+const problemRevisionSchema = new mongoose.Schema(
+  {
+    problemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Problem',
+      required: true,
+      immutable: true
+    },
+    revision: {
+      type: Number,
+      required: true,
+      immutable: true
+    },
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      immutable: true
+    },
+    message: {
+      type: String,
+      maxlength: 500,
+      immutable: true
+    },
+    // Set when the revision restores an older one
+    restoredFrom: {
+      type: Number,
+      immutable: true
+    },
+    // Every versioned field of the problem as of this revision
+    snapshot: {
+      type: Object,
+      required: true,
+      immutable: true
+    },
+    // Field level changes from the previous revision: { field, change, diff } with a line diff of
+    // the field's text (JSON for structured fields), see services/revisions.js
+    changes: {
+      type: [Object],
+      immutable: true
+    }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Also serializes concurrent edits: only one of them gets the next number
+problemRevisionSchema.index({ problemId: 1, revision: -1 }, { unique: true });
+
+const ProblemRevision = mongoose.models.ProblemRevision || mongoose.model('ProblemRevision', problemRevisionSchema);
+
+export default ProblemRevision;
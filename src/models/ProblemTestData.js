@@ -0,0 +1,20 @@
+import {mongoose} from "mongoose";
+
+// Test cases that problem revisions refer to, stored once per distinct content under its sha256.
+// Revisions hold { ref, size, preview } entries instead of the tests themselves, so a problem's
+// history doesn't repeat all of its test data on every edit (see services/revisions.js).
+const problemTestDataSchema = new mongoose.Schema(
+  {
+    _id: { type: String }, // sha256 of the test case as JSON
+    test: {
+      type: Object,
+      required: true,
+      immutable: true
+    }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+const ProblemTestData = mongoose.models.ProblemTestData || mongoose.model('ProblemTestData', problemTestDataSchema);
+
+export default ProblemTestData;
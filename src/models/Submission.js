@@ -0,0 +1,97 @@
+import {mongoose} from "mongoose";
+import { LANGUAGE_IDS } from "../judge/languages.js";
+import { VERDICTS } from "../judge/verdicts.js";
+
+// A practice submission judged against a problem's hidden tests
+const submissionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    problemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Problem',
+      required: true
+    },
+    code: {
+      type: String,
+      required: true
+    },
+    language: {
+      type: String,
+      required: true,
+      enum: LANGUAGE_IDS
+    },
+    status: {
+      type: String,
+      enum: ['pending', ...Object.values(VERDICTS)],
+      default: 'pending'
+    },
+    // Verdicts only, hidden test data never leaves the server
+    testResults: [{
+      _id: false,
+      verdict: { type: String },
+      executionTime: { type: Number }, // in milliseconds
+      memoryUsed: { type: Number } // in KB
+    }],
+    compileOutput: {
+      type: String
+    },
+    // Compiler warnings of a successful build, kept apart from compileOutput (errors)
+    compileWarnings: {
+      type: String
+    },
+    // Revision of the problem (see ProblemRevision) the verdict was given against
+    problemRevision: {
+      type: Number
+    },
+    // Toolchain the code was judged with
+    toolchain: {
+      language: { type: String },
+      standard: { type: String },
+      flags: [{ type: String }],
+      version: { type: String }
+    },
+    // Per subtask outcome on problems with subtasks
+    subtaskResults: [{
+      _id: false,
+      subtaskIndex: { type: Number },
+      name: { type: String },
+      passed: { type: Boolean },
+      verdict: { type: String },
+      score: { type: Number },
+      maxScore: { type: Number },
+      failedDependencies: [{ type: Number }]
+    }],
+    score: {
+      type: Number,
+      default: 0
+    },
+    maxScore: {
+      type: Number
+    },
+    passedCount: {
+      type: Number,
+      default: 0
+    },
+    totalCount: {
+      type: Number,
+      default: 0
+    },
+    executionTime: {
+      type: Number // in milliseconds
+    },
+    memory: {
+      type: Number // in KB
+    }
+  },
+  { timestamps: true }
+);
+
+submissionSchema.index({ userId: 1, problemId: 1, createdAt: -1 });
+submissionSchema.index({ problemId: 1, status: 1 }); // problem stats
+
+const Submission = mongoose.models.Submission || mongoose.model('Submission', submissionSchema);
+export default Submission;
@@ -13,6 +13,8 @@ const userSchema = new mongoose.Schema(
     passwordHash: { type: String, required: false }, // Optional for OAuth users
     profilePictureUrl: { type: String },
     lastLoginAt: { type: Date },
+    // Reviewers approve other setters' problems for publishing, admins also manage any problem
+    role: { type: String, enum: ['user', 'reviewer', 'admin'], default: 'user' },
     
     // User Statistics
     stats: {
@@ -91,9 +93,18 @@ const userSchema = new mongoose.Schema(
       topic: { type: String, required: false, default: 'General' },
       solvedAt: { type: Date, default: Date.now },
       timeSpent: { type: Number, default: 0 }, // in minutes
-      points: { type: Number, default: 0 }
+      points: { type: Number, default: 0 },
+      language: { type: String },
+      submissionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Submission' } // the accepted submission
     }],
     
+    // Problems whose solve already paid out XP and coins; a solve dropped by a rejudge and recorded
+    // again doesn't pay twice
+    rewardedSolves: [{ type: String }],
+
+    // Public problem lists the user follows, see ProblemList
+    followedLists: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ProblemList' }],
+
     // Contest Participation
     contestHistory: [{
       contestId: { type: String, required: true },
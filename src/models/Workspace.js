@@ -0,0 +1,42 @@
+import {mongoose} from "mongoose";
+import { LANGUAGE_IDS } from "../judge/languages.js";
+
+// A user's multi-file project in the code editor: a small virtual file tree of sources,
+// headers and input files, run as a whole from its entry point
+const workspaceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100
+    },
+    language: {
+      type: String,
+      required: true,
+      enum: LANGUAGE_IDS
+    },
+    // Path of the file the program starts from (the main class for Java)
+    entryPoint: {
+      type: String
+    },
+    files: [{
+      _id: false,
+      path: { type: String, required: true }, // relative, "/" separated
+      content: { type: String, default: '' }
+    }]
+  },
+  { timestamps: true }
+);
+
+workspaceSchema.index({ userId: 1, updatedAt: -1 });
+
+const Workspace = mongoose.models.Workspace || mongoose.model('Workspace', workspaceSchema);
+
+export default Workspace;
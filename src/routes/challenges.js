@@ -5,6 +5,10 @@ import authenticateToken from "../middleware/auth.js";
 import { setLobbyTimer, notifyMatchFinished } from "../socketServer.js";
 import User from "../models/User.js";
 import { mongoose } from "mongoose";
+import { VERDICTS } from "../judge/verdicts.js";
+import { enqueueJudge, QueueFullError } from "../judge/queue.js";
+import { getHiddenTests } from "../judge/generators.js";
+import { normalizeLanguage, validateStandard } from "../judge/languages.js";
 
 const router = express.Router();
 
@@ -38,7 +42,8 @@ router.post("/rooms/create", authenticateToken, async (req, res) => {
       problem = await Problem.findOne({ problemId: problemId });
     }
 
-    if (!problem) {
+    // Matches are only played on published problems
+    if (!problem || !problem.isActive) {
       return res.status(404).json({ message: "Problem not found" });
     }
 
@@ -275,7 +280,7 @@ router.get("/rooms/:roomId", authenticateToken, async (req, res) => {
 router.post("/rooms/:roomId/submit", authenticateToken, async (req, res) => {
   try {
     const { roomId } = req.params;
-    const { code, language } = req.body;
+    const { code, language, standard } = req.body;
 
     if (!code || !language) {
       return res
@@ -283,6 +288,13 @@ router.post("/rooms/:roomId/submit", authenticateToken, async (req, res) => {
         .json({ message: "Code and language are required" });
     }
 
+    // Optional language standard, e.g. "c++20"
+    const languageId = normalizeLanguage(language);
+    const standardError = languageId ? await validateStandard(languageId, standard) : null;
+    if (standardError) {
+      return res.status(400).json({ message: standardError });
+    }
+
     // Check if database is connected
     if (mongoose.connection.readyState !== 1) {
       return res
@@ -340,23 +352,31 @@ router.post("/rooms/:roomId/submit", authenticateToken, async (req, res) => {
       problemData = await Problem.findOne({ problemId: room.problemId });
     }
 
-    if (
-      !problemData ||
-      !problemData.hiddenTestCases ||
-      problemData.hiddenTestCases.length === 0
-    ) {
+    const hiddenTests = problemData ? await getHiddenTests(problemData) : [];
+    if (hiddenTests.length === 0) {
       return res.status(500).json({ message: "Problem test cases not found" });
     }
 
-    // Execute code against test cases (simplified for now)
-    // In production, this should use a sandboxed execution environment
-    const testResults = await executeCode(
-      code,
-      language,
-      problemData.hiddenTestCases
-    );
+    // Judge code against the problem's hidden test cases.
+    // Matches wait for their verdict, but still go through the shared worker pool.
+    const job = enqueueJudge({
+      userId,
+      judgeOptions: {
+        code,
+        language,
+        standard,
+        testCases: hiddenTests,
+        timeLimit: problemData.timeLimit,
+        memoryLimit: problemData.memoryLimit,
+        checker: problemData.checker,
+        interactor: problemData.type === "interactive" ? problemData.interactor : undefined,
+        signature: problemData.type === "function" ? problemData.signature : undefined,
+      },
+    });
+    const judgeResult = await job.promise;
+    const testResults = judgeResult.testResults;
 
-    const allPassed = testResults.every((result) => result.passed);
+    const allPassed = judgeResult.verdict === VERDICTS.ACCEPTED;
     const result = allPassed ? "accepted" : "rejected";
 
     // Add submission
@@ -366,6 +386,8 @@ router.post("/rooms/:roomId/submit", authenticateToken, async (req, res) => {
       language,
       result,
       testResults,
+      problemRevision: problemData.revision,
+      toolchain: judgeResult.toolchain,
       submittedAt: new Date(),
     });
 
@@ -397,11 +419,18 @@ router.post("/rooms/:roomId/submit", authenticateToken, async (req, res) => {
 
     return res.json({
       result,
+      verdict: judgeResult.verdict,
+      compileOutput: judgeResult.compileOutput,
+      compileWarnings: judgeResult.compileWarnings,
+      toolchain: judgeResult.toolchain,
       testResults,
       isWinner: room.winnerId && room.winnerId.toString() === userId,
       matchFinished: room.status === "finished",
     });
   } catch (err) {
+    if (err instanceof QueueFullError) {
+      return res.status(503).json({ message: err.message });
+    }
     console.error("Submit code error:", err);
     return res
       .status(500)
@@ -700,155 +729,6 @@ async function checkAndDetermineWinner(room, problemData) {
   }
 }
 
-// Simple code execution function (improved evaluation)
-async function executeCode(code, language, testCases) {
-  console.log(
-    `Executing ${language} code against ${testCases.length} test cases`
-  );
-
-  const { spawn } = require("child_process");
-  const fs = require("fs");
-  const os = require("os");
-  const path = require("path");
-
-  function trimOutput(s) {
-    return String(s ?? "")
-      .replace(/\r/g, "")
-      .replace(/\n+$/g, "")
-      .trim();
-  }
-
-  async function runOnce({ lang, code, input, timeLimitMs }) {
-    return new Promise((resolve) => {
-      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "skypad-"));
-      let filePath;
-      let child;
-      let stdout = "";
-      let stderr = "";
-      let timedOut = false;
-
-      try {
-        if (lang === "python") {
-          filePath = path.join(tmpDir, "Main.py");
-          fs.writeFileSync(filePath, code, "utf8");
-          child = spawn("python", [filePath], {
-            stdio: ["pipe", "pipe", "pipe"],
-          });
-        } else if (lang === "javascript" || lang === "js") {
-          filePath = path.join(tmpDir, "main.js");
-          fs.writeFileSync(filePath, code, "utf8");
-          child = spawn(process.execPath, [filePath], {
-            stdio: ["pipe", "pipe", "pipe"],
-          });
-        } else {
-          return resolve({
-            success: false,
-            output: "",
-            error: "Language not supported",
-            timeMs: 0,
-            memory: 0,
-          });
-        }
-      } catch (err) {
-        return resolve({
-          success: false,
-          output: "",
-          error: err.message,
-          timeMs: 0,
-          memory: 0,
-        });
-      }
-
-      const start = Date.now();
-      const to = setTimeout(() => {
-        timedOut = true;
-        try {
-          child.kill("SIGKILL");
-        } catch {}
-      }, Math.max(1000, timeLimitMs || 3000));
-
-      child.stdout.on("data", (d) => (stdout += d.toString()));
-      child.stderr.on("data", (d) => (stderr += d.toString()));
-
-      child.on("error", (err) => {
-        clearTimeout(to);
-        resolve({
-          success: false,
-          output: "",
-          error: err.message,
-          timeMs: Date.now() - start,
-          memory: 0,
-        });
-      });
-
-      child.on("close", (codeExit) => {
-        clearTimeout(to);
-        const elapsed = Date.now() - start;
-        if (timedOut) {
-          resolve({
-            success: false,
-            output: trimOutput(stdout),
-            error: "Time Limit Exceeded",
-            timeMs: elapsed,
-            memory: 0,
-          });
-        } else if (codeExit !== 0 && stderr) {
-          resolve({
-            success: false,
-            output: trimOutput(stdout),
-            error: trimOutput(stderr),
-            timeMs: elapsed,
-            memory: 0,
-          });
-        } else {
-          resolve({
-            success: true,
-            output: trimOutput(stdout),
-            error: "",
-            timeMs: elapsed,
-            memory: 0,
-          });
-        }
-      });
-
-      // Write input and end
-      if (input != null) {
-        child.stdin.write(String(input));
-      }
-      child.stdin.end();
-    });
-  }
-
-  const results = [];
-  const lang = String(language).toLowerCase();
-  const timeLimitMs = 3000; // 3 seconds default
-
-  for (let i = 0; i < testCases.length; i++) {
-    const testCase = testCases[i];
-    const input = testCase.input ?? testCase.stdin ?? "";
-    const expected = trimOutput(
-      testCase.output ?? testCase.expectedOutput ?? ""
-    );
-
-    const execRes = await runOnce({ lang, code, input, timeLimitMs });
-    const actual = trimOutput(execRes.output);
-    const passed = execRes.success && actual === expected;
-
-    results.push({
-      testCaseIndex: i,
-      input,
-      expectedOutput: expected,
-      actualOutput: actual,
-      passed,
-      error: execRes.error || undefined,
-      executionTime: execRes.timeMs,
-      isSample: i < 2, // First 2 are sample tests
-    });
-  }
-
-  return results;
-}
-
 // Award tie rewards when both players perform equally
 async function awardTieRewards(room, problemData) {
   try {
@@ -4,12 +4,13 @@ import ContestRegistration from "../models/ContestRegistration.js";
 import ContestSubmission from "../models/ContestSubmission.js";
 import Problem from "../models/Problem.js";
 import authenticateToken from "../middleware/auth.js";
-import {broadcastLeaderboardUpdate} from "../socketServer.js";
+import {broadcastLeaderboardUpdate, notifySubmissionUpdate} from "../socketServer.js";
 import {mongoose} from "mongoose";
-import {spawn} from "child_process";
-import fs from "fs";
-import os from "os";
-import path from "path";
+import { VERDICTS, toHiddenTestResponse } from "../judge/verdicts.js";
+import { enqueueJudge, getJob, describeJob, QueueFullError } from "../judge/queue.js";
+import { isSupportedLanguage, normalizeLanguage, normalizeStandard, validateStandard } from "../judge/languages.js";
+import { generateStarterCode, supportsFunctionProblems, validateSignature } from "../judge/harness.js";
+import { validateSubtasks } from "../judge/subtasks.js";
 
 const router = express.Router();
 
@@ -61,6 +62,28 @@ router.post('/create', authenticateToken, async (req, res) => {
       return res.status(400).json({ message: 'At least one question is required' });
     }
 
+    const missingInteractor = questions.find(q =>
+      q.type === 'interactive' && (!q.interactor?.code || !isSupportedLanguage(q.interactor.language))
+    );
+    if (missingInteractor) {
+      return res.status(400).json({ message: `Interactive question "${missingInteractor.title}" needs interactor code and a supported language` });
+    }
+
+    const unknownLanguage = (allowedLanguages || []).find(language => !isSupportedLanguage(language));
+    if (unknownLanguage) {
+      return res.status(400).json({ message: `Unsupported language: ${unknownLanguage}` });
+    }
+
+    const invalidFunction = questions.find(q => q.type === 'function' && validateSignature(q.signature));
+    if (invalidFunction) {
+      return res.status(400).json({ message: `Question "${invalidFunction.title}": ${validateSignature(invalidFunction.signature)}` });
+    }
+
+    const invalidSubtasks = questions.find(q => validateSubtasks(q.subtasks, (q.hiddenTestCases || []).length));
+    if (invalidSubtasks) {
+      return res.status(400).json({ message: `Question "${invalidSubtasks.title}": ${validateSubtasks(invalidSubtasks.subtasks, (invalidSubtasks.hiddenTestCases || []).length)}` });
+    }
+
     // Validate time slots if provided
     let hasValidTimeSlots = false;
     let selectedSlot = null;
@@ -145,7 +168,7 @@ router.post('/create', authenticateToken, async (req, res) => {
       creatorId: req.user.sub,
       questions: processedQuestions,
       timeSlots: timeSlots || [],
-      allowedLanguages: allowedLanguages || ['javascript', 'python', 'cpp', 'java'],
+      allowedLanguages: allowedLanguages ? allowedLanguages.map(normalizeLanguage) : ['javascript', 'python', 'cpp', 'java'],
       maxParticipants,
       status: 'scheduled'
     });
@@ -476,7 +499,7 @@ router.post('/:contestId/submit', authenticateToken, async (req, res) => {
     if (!checkDB(res)) return;
 
     const { contestId } = req.params;
-    const { questionId, code, language } = req.body;
+    const { questionId, code, language, standard } = req.body;
     const userId = req.user.sub;
 
     if (!questionId || !code || !language) {
@@ -500,6 +523,17 @@ router.post('/:contestId/submit', authenticateToken, async (req, res) => {
       return res.status(403).json({ message: 'You must register for the contest first' });
     }
 
+    const languageId = normalizeLanguage(language);
+    if (!languageId || (contest.allowedLanguages.length > 0 && !contest.allowedLanguages.includes(languageId))) {
+      return res.status(400).json({ message: 'Language not allowed in this contest' });
+    }
+
+    const standardError = await validateStandard(languageId, standard);
+    if (standardError) {
+      return res.status(400).json({ message: standardError });
+    }
+    const standardId = normalizeStandard(languageId, standard) ?? undefined;
+
     // Check if question is part of contest
     const contestQuestion = contest.questions.find(q => q.questionId === questionId);
     if (!contestQuestion) {
@@ -509,69 +543,206 @@ router.post('/:contestId/submit', authenticateToken, async (req, res) => {
     // Check if already solved
     const alreadySolved = registration.problemsSolved.some(p => p.problemId === questionId);
 
-    // Execute code using the contest question's test cases
-    const testResults = await executeCode(code, language, contestQuestion.hiddenTestCases || []);
-    const allPassed = testResults.every(result => result.passed);
-    const status = allPassed ? 'accepted' : 'wrong_answer';
-
     // Calculate time taken from contest start
     const timeTaken = Math.floor((Date.now() - new Date(contest.startTime).getTime()) / 1000);
 
-    // Create submission
+    // Create a pending submission; the judge queue fills in the verdict
     const submission = await ContestSubmission.create({
       contestId,
       problemId: questionId, // Using questionId in place of problemId for consistency
       userId,
       code,
-      language,
-      status,
-      testResults,
-      points: allPassed && !alreadySolved ? contestQuestion.points : 0,
+      language: languageId,
+      // The full toolchain is filled in once judged
+      toolchain: { language: languageId, standard: standardId },
+      status: 'pending',
       timestamp: new Date(),
       timeTaken
     });
 
-    // Update registration if accepted and not already solved
-    if (allPassed && !alreadySolved) {
-      registration.score += contestQuestion.points;
-      registration.problemsSolved.push({
-        problemId: questionId, // Storing questionId as problemId for compatibility
-        solvedAt: new Date(),
-        points: contestQuestion.points
+    let job;
+    try {
+      job = enqueueJudge({
+        id: submission._id.toString(),
+        userId,
+        judgeOptions: {
+          code,
+          language: languageId,
+          standard: standardId,
+          testCases: contestQuestion.hiddenTestCases || [],
+          timeLimit: contestQuestion.timeLimit,
+          memoryLimit: contestQuestion.memoryLimit,
+          checker: contestQuestion.checker,
+          interactor: contestQuestion.type === 'interactive' ? contestQuestion.interactor : undefined,
+          signature: contestQuestion.type === 'function' ? contestQuestion.signature : undefined,
+          subtasks: contestQuestion.subtasks?.length ? contestQuestion.toObject().subtasks : undefined
+        },
+        onTestResult: (testResult, job) => {
+          notifySubmissionUpdate(userId, 'submission-test-result', {
+            submissionId: job.id,
+            contestId,
+            questionId,
+            testResult: toContestTestResponse(testResult),
+            completedTests: job.completedTests,
+            totalTests: job.totalTests
+          });
+        }
       });
-      registration.lastSubmissionTime = new Date();
-      registration.submissionsCount += 1;
-      await registration.save();
-
-      // Update contest stats
-      contest.stats.problemsSolved += 1;
-      contest.stats.totalSubmissions += 1;
-      await contest.save();
-    } else {
-      registration.submissionsCount += 1;
-      registration.lastSubmissionTime = new Date();
-      await registration.save();
+    } catch (err) {
+      await ContestSubmission.deleteOne({ _id: submission._id });
+      throw err;
+    }
+
+    job.promise
+      .then((judgeResult) => finalizeContestSubmission(submission, contestQuestion, judgeResult))
+      .catch(async (err) => {
+        console.error('Judge contest submission error:', err);
+        // The judge failed, not the contestant
+        await ContestSubmission.updateOne({ _id: submission._id }, { status: VERDICTS.JUDGE_ERROR });
+        notifySubmissionUpdate(userId, 'submission-finished', describeJob(job));
+      });
+
+    // Count the attempt right away
+    await ContestRegistration.updateOne(
+      { contestId, userId },
+      { $inc: { submissionsCount: 1 }, $set: { lastSubmissionTime: new Date() } }
+    );
+    await Contest.updateOne({ contestId }, { $inc: { 'stats.totalSubmissions': 1 } });
 
-      contest.stats.totalSubmissions += 1;
-      await contest.save();
+    return res.status(202).json({
+      ...describeJob(job),
+      status: submission.status,
+      alreadySolved
+    });
+  } catch (err) {
+    if (err instanceof QueueFullError) {
+      return res.status(503).json({ message: err.message });
     }
+    console.error('Submit contest solution error:', err);
+    return res.status(500).json({ message: 'Failed to submit solution', error: err.message });
+  }
+});
 
-    // Broadcast leaderboard update if score changed
-    if (allPassed && !alreadySolved) {
-      await broadcastLeaderboardUpdate(contestId);
+// GET SUBMISSION STATUS (poll while the judge queue works on it)
+router.get('/:contestId/submissions/:submissionId', authenticateToken, async (req, res) => {
+  try {
+    if (!checkDB(res)) return;
+
+    const { contestId, submissionId } = req.params;
+    const userId = req.user.sub;
+
+    if (!mongoose.Types.ObjectId.isValid(submissionId)) {
+      return res.status(404).json({ message: 'Submission not found' });
     }
 
+    const submission = await ContestSubmission.findOne({ _id: submissionId, contestId, userId });
+
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    const job = getJob(submissionId);
+
     return res.json({
       submissionId: submission._id,
+      problemId: submission.problemId,
+      language: submission.language,
+      status: submission.status,
+      points: submission.points,
+      // Submissions judged before results were trimmed still hold the test data
+      testResults: submission.testResults?.map(toContestTestResponse),
+      compileOutput: submission.compileOutput,
+      compileWarnings: submission.compileWarnings,
+      toolchain: submission.toolchain,
+      executionTime: submission.executionTime,
+      memory: submission.memory,
+      timestamp: submission.timestamp,
+      queue: job && submission.status === 'pending' ? describeJob(job) : null
+    });
+  } catch (err) {
+    console.error('Get submission status error:', err);
+    return res.status(500).json({ message: 'Failed to fetch submission', error: err.message });
+  }
+});
+
+// REJUDGE EVERY SUBMISSION TO A QUESTION (contest creator, e.g. after fixing its tests)
+router.post('/:contestId/questions/:questionId/rejudge', authenticateToken, async (req, res) => {
+  try {
+    if (!checkDB(res)) return;
+
+    const { contestId, questionId } = req.params;
+
+    const contest = await Contest.findOne({ contestId });
+    if (!contest) {
+      return res.status(404).json({ message: 'Contest not found' });
+    }
+    if (contest.creatorId.toString() !== req.user.sub) {
+      return res.status(403).json({ message: 'Only the contest creator can rejudge submissions' });
+    }
+    if (!contest.questions.some(q => q.questionId === questionId)) {
+      return res.status(404).json({ message: 'Question not found in this contest' });
+    }
+
+    // Submissions still being judged are left out, they keep the tests they were queued with
+    const submissions = await ContestSubmission.find({ contestId, problemId: questionId, status: { $ne: 'pending' } })
+      .sort({ timestamp: 1 });
+
+    rejudgeContestSubmissions(contest, submissions)
+      .catch(err => console.error('Rejudge contest question error:', err));
+
+    return res.status(202).json({ message: 'Rejudge started', submissions: submissions.length });
+  } catch (err) {
+    console.error('Rejudge contest question error:', err);
+    return res.status(500).json({ message: 'Failed to start rejudge', error: err.message });
+  }
+});
+
+// REJUDGE ONE SUBMISSION (contest creator)
+router.post('/:contestId/submissions/:submissionId/rejudge', authenticateToken, async (req, res) => {
+  try {
+    if (!checkDB(res)) return;
+
+    const { contestId, submissionId } = req.params;
+
+    const contest = await Contest.findOne({ contestId });
+    if (!contest) {
+      return res.status(404).json({ message: 'Contest not found' });
+    }
+    if (contest.creatorId.toString() !== req.user.sub) {
+      return res.status(403).json({ message: 'Only the contest creator can rejudge submissions' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(submissionId)) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+    const submission = await ContestSubmission.findOne({ _id: submissionId, contestId });
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+    if (submission.status === 'pending') {
+      return res.status(409).json({ message: 'Submission is still being judged' });
+    }
+
+    await rejudgeContestSubmissions(contest, [submission]);
+
+    return res.json({
+      submissionId: submission._id,
+      problemId: submission.problemId,
+      language: submission.language,
       status: submission.status,
       points: submission.points,
       testResults: submission.testResults,
-      score: registration.score,
-      alreadySolved
+      subtaskResults: submission.subtaskResults,
+      compileOutput: submission.compileOutput,
+      compileWarnings: submission.compileWarnings,
+      toolchain: submission.toolchain,
+      executionTime: submission.executionTime,
+      memory: submission.memory,
+      timestamp: submission.timestamp
     });
   } catch (err) {
-    console.error('Submit contest solution error:', err);
-    return res.status(500).json({ message: 'Failed to submit solution', error: err.message });
+    console.error('Rejudge contest submission error:', err);
+    return res.status(500).json({ message: 'Failed to rejudge submission', error: err.message });
   }
 });
 
@@ -631,6 +802,14 @@ router.get('/:contestId/questions', authenticateToken, async (req, res) => {
       return res.status(403).json({ message: 'You must join the contest first' });
     }
 
+    // Function questions come with their signature and a stub per language
+    const starterCodeFor = (signature, languages) => ({
+      signature,
+      starterCode: Object.fromEntries(languages
+        .filter(language => supportsFunctionProblems(normalizeLanguage(language)))
+        .map(language => [language, generateStarterCode(signature, normalizeLanguage(language))]))
+    });
+
     // Return questions without hidden test cases
     const questionsForParticipant = contest.questions.map(q => ({
       questionId: q.questionId,
@@ -639,9 +818,15 @@ router.get('/:contestId/questions', authenticateToken, async (req, res) => {
       difficulty: q.difficulty,
       constraints: q.constraints,
       sampleTestCases: q.sampleTestCases,
+      type: q.type,
+      ...(q.type === 'function' && starterCodeFor(q.toObject().signature, contest.allowedLanguages)),
       timeLimit: q.timeLimit,
       memoryLimit: q.memoryLimit,
       points: q.points,
+      // Subtask weights are public, which tests they group is not
+      subtasks: q.subtasks?.length
+        ? q.subtasks.map(subtask => ({ name: subtask.name, points: subtask.points, dependencies: subtask.dependencies }))
+        : undefined,
       order: q.order,
       tags: q.tags
     })).sort((a, b) => a.order - b.order);
@@ -704,103 +889,214 @@ router.get('/:contestId/problems/:problemId', async (req, res) => {
   }
 });
 
-// Helper function for code execution (mock)
-async function executeCode(code, language, testCases) {
-  console.log(`Executing ${language} code against ${testCases.length} test cases`);
-  
-  
-
-  function trimOutput(s) {
-    return String(s ?? '')
-      .replace(/\r/g, '')
-      .replace(/\n+$/g, '')
-      .trim();
+// Raise a participant's best score on a question to points, if it improves on it.
+// Full marks also mark the question solved. Each update is conditional on the best score it read,
+// so two submissions judged at once cannot both count; the loser retries against the new state.
+async function raiseQuestionScore(contestId, userId, questionId, points, fullPoints) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const current = await ContestRegistration.findOne({ contestId, userId });
+    if (!current || current.problemsSolved.some(p => p.problemId === questionId)) {
+      return null;
+    }
+
+    const previous = current.questionScores.find(q => q.problemId === questionId);
+    const best = previous ? previous.points : 0;
+    if (points <= best) {
+      return null;
+    }
+
+    const now = new Date();
+    const filter = { contestId, userId, 'problemsSolved.problemId': { $ne: questionId } };
+    const update = { $inc: { score: points - best }, $set: { lastSubmissionTime: now }, $push: {} };
+
+    if (previous) {
+      filter.questionScores = { $elemMatch: { problemId: questionId, points: best } };
+      update.$set['questionScores.$.points'] = points;
+      update.$set['questionScores.$.achievedAt'] = now;
+    } else {
+      filter['questionScores.problemId'] = { $ne: questionId };
+      update.$push.questionScores = { problemId: questionId, points, achievedAt: now };
+    }
+    if (points >= fullPoints) {
+      update.$push.problemsSolved = {
+        problemId: questionId, // Storing questionId as problemId for compatibility
+        solvedAt: now,
+        points
+      };
+    }
+    if (Object.keys(update.$push).length === 0) {
+      delete update.$push;
+    }
+
+    const registration = await ContestRegistration.findOneAndUpdate(filter, update, { new: true });
+    if (registration) {
+      return registration;
+    }
+  }
+  return null;
+}
+
+// Contest tests are all hidden: contestants see each test's verdict, never its data or their output
+function toContestTestResponse(testResult) {
+  return { testCaseIndex: testResult.testCaseIndex, ...toHiddenTestResponse(testResult) };
+}
+
+// Copy a judging onto a contest submission; the points are what this submission earns on its own.
+// Questions with subtasks earn their share of the points, others are all or nothing.
+function applyContestVerdict(submission, contestQuestion, judgeResult) {
+  const fullPoints = contestQuestion.points;
+  submission.status = judgeResult.verdict;
+  submission.testResults = judgeResult.testResults.map(toContestTestResponse);
+  submission.compileOutput = judgeResult.compileOutput;
+  submission.compileWarnings = judgeResult.compileWarnings;
+  submission.toolchain = judgeResult.toolchain;
+  submission.subtaskResults = judgeResult.subtaskResults;
+  submission.points = judgeResult.subtaskResults
+    ? (judgeResult.maxScore > 0 ? Math.round((fullPoints * judgeResult.score) / judgeResult.maxScore) : 0)
+    : (judgeResult.verdict === VERDICTS.ACCEPTED ? fullPoints : 0);
+  submission.executionTime = judgeResult.executionTime;
+  submission.memory = judgeResult.memoryUsed;
+}
+
+// Store the judge's verdict on a contest submission and update the standings
+async function finalizeContestSubmission(submission, contestQuestion, judgeResult) {
+  const { contestId, userId } = submission;
+  const questionId = submission.problemId;
+  const fullPoints = contestQuestion.points;
+
+  applyContestVerdict(submission, contestQuestion, judgeResult);
+  const earned = submission.points;
+
+  const registration = earned > 0
+    ? await raiseQuestionScore(contestId, userId, questionId, earned, fullPoints)
+    : null;
+
+  await submission.save();
+
+  if (registration) {
+    if (earned >= fullPoints) {
+      await Contest.updateOne({ contestId }, { $inc: { 'stats.problemsSolved': 1 } });
+    }
+    await broadcastLeaderboardUpdate(contestId);
   }
 
-  async function runOnce({ lang, code, input, timeLimitMs }) {
-    return new Promise((resolve) => {
-      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'skypad-'));
-      let filePath;
-      let child;
-      let stdout = '';
-      let stderr = '';
-      let timedOut = false;
-
-      try {
-        if (lang === 'python') {
-          filePath = path.join(tmpDir, 'Main.py');
-          fs.writeFileSync(filePath, code, 'utf8');
-          child = spawn('python', [filePath], { stdio: ['pipe', 'pipe', 'pipe'] });
-        } else if (lang === 'javascript' || lang === 'js') {
-          filePath = path.join(tmpDir, 'main.js');
-          fs.writeFileSync(filePath, code, 'utf8');
-          child = spawn(process.execPath, [filePath], { stdio: ['pipe', 'pipe', 'pipe'] });
-        } else {
-          return resolve({ success: false, output: '', error: 'Language not supported', timeMs: 0, memory: 0 });
-        }
-      } catch (err) {
-        return resolve({ success: false, output: '', error: err.message, timeMs: 0, memory: 0 });
-      }
+  notifySubmissionUpdate(userId.toString(), 'submission-finished', {
+    submissionId: submission._id,
+    contestId,
+    questionId,
+    status: submission.status,
+    points: submission.points,
+    testResults: submission.testResults,
+    subtaskResults: judgeResult.subtaskResults,
+    compileOutput: submission.compileOutput,
+    compileWarnings: submission.compileWarnings,
+    score: registration?.score
+  });
+}
 
-      const start = Date.now();
-      const to = setTimeout(() => {
-        timedOut = true;
-        try { child.kill('SIGKILL'); } catch {}
-      }, Math.max(1000, timeLimitMs || 3000));
+// Rebuild every participant's score, solved questions and rank from their submissions' points.
+// Scores only ever rise while a contest runs; after a rejudge they are recomputed from scratch.
+async function recomputeContestStandings(contest) {
+  const { contestId } = contest;
+  const fullPoints = new Map(contest.questions.map(q => [q.questionId, q.points]));
+
+  const submissions = await ContestSubmission.find({ contestId, points: { $gt: 0 } })
+    .select('userId problemId points timestamp')
+    .sort({ timestamp: 1 });
+
+  // userId -> questionId -> { points, achievedAt, solvedAt }
+  const best = new Map();
+  for (const submission of submissions) {
+    const userId = submission.userId.toString();
+    if (!best.has(userId)) best.set(userId, new Map());
+    const questions = best.get(userId);
+    const current = questions.get(submission.problemId);
+    if (!current || submission.points > current.points) {
+      questions.set(submission.problemId, { points: submission.points, achievedAt: submission.timestamp });
+    }
+  }
 
-      child.stdout.on('data', (d) => (stdout += d.toString()));
-      child.stderr.on('data', (d) => (stderr += d.toString()));
+  const registrations = await ContestRegistration.find({ contestId });
+  let problemsSolved = 0;
+
+  for (const registration of registrations) {
+    const questions = best.get(registration.userId.toString()) || new Map();
+    registration.questionScores = [...questions].map(([problemId, { points, achievedAt }]) => ({ problemId, points, achievedAt }));
+    registration.problemsSolved = [...questions]
+      .filter(([problemId, { points }]) => points >= (fullPoints.get(problemId) ?? Infinity))
+      .map(([problemId, { points, achievedAt }]) => ({ problemId, solvedAt: achievedAt, points }));
+    registration.score = registration.questionScores.reduce((sum, q) => sum + q.points, 0);
+    problemsSolved += registration.problemsSolved.length;
+  }
 
-      child.on('error', (err) => {
-        clearTimeout(to);
-        resolve({ success: false, output: '', error: err.message, timeMs: Date.now() - start, memory: 0 });
-      });
+  // Same order as the leaderboard
+  registrations
+    .sort((a, b) => (b.score - a.score) || ((a.lastSubmissionTime || 0) - (b.lastSubmissionTime || 0)))
+    .forEach((registration, index) => {
+      registration.rank = index + 1;
+    });
+
+  await Promise.all(registrations.map(registration => registration.save()));
+  await Contest.updateOne({ contestId }, { $set: { 'stats.problemsSolved': problemsSolved } });
+  await broadcastLeaderboardUpdate(contestId);
+}
 
-      child.on('close', (codeExit) => {
-        clearTimeout(to);
-        const elapsed = Date.now() - start;
-        if (timedOut) {
-          resolve({ success: false, output: trimOutput(stdout), error: 'Time Limit Exceeded', timeMs: elapsed, memory: 0 });
-        } else if (codeExit !== 0 && stderr) {
-          resolve({ success: false, output: trimOutput(stdout), error: trimOutput(stderr), timeMs: elapsed, memory: 0 });
-        } else {
-          resolve({ success: true, output: trimOutput(stdout), error: '', timeMs: elapsed, memory: 0 });
+// Judge stored contest submissions again, one at a time so live submissions keep getting workers,
+// then recompute the standings once
+async function rejudgeContestSubmissions(contest, submissions) {
+  for (const submission of submissions) {
+    const contestQuestion = contest.questions.find(q => q.questionId === submission.problemId);
+    if (!contestQuestion) continue;
+
+    const previousStatus = submission.status;
+    try {
+      const job = enqueueJudge({
+        id: submission._id.toString(),
+        userId: submission.userId.toString(),
+        judgeOptions: {
+          code: submission.code,
+          language: submission.language,
+          standard: submission.toolchain?.standard,
+          testCases: contestQuestion.hiddenTestCases || [],
+          timeLimit: contestQuestion.timeLimit,
+          memoryLimit: contestQuestion.memoryLimit,
+          checker: contestQuestion.checker,
+          interactor: contestQuestion.type === 'interactive' ? contestQuestion.interactor : undefined,
+          signature: contestQuestion.type === 'function' ? contestQuestion.signature : undefined,
+          subtasks: contestQuestion.subtasks?.length ? contestQuestion.toObject().subtasks : undefined
         }
       });
-
-      // Write input and end
-      if (input != null) {
-        child.stdin.write(String(input));
+      submission.status = 'pending';
+      await submission.save();
+      applyContestVerdict(submission, contestQuestion, await job.promise);
+    } catch (err) {
+      console.error(`Rejudge contest submission ${submission._id} error:`, err);
+      if (err instanceof QueueFullError) {
+        submission.status = previousStatus;
+      } else {
+        // The old verdict no longer stands, so neither do its points
+        submission.status = VERDICTS.JUDGE_ERROR;
+        submission.points = 0;
+        submission.subtaskResults = [];
       }
-      child.stdin.end();
-    });
-  }
+    }
+    await submission.save();
 
-  const results = [];
-  const lang = String(language).toLowerCase();
-  const timeLimitMs = 3000; // 3 seconds default
-  
-  for (let i = 0; i < testCases.length; i++) {
-    const testCase = testCases[i];
-    const input = testCase.input ?? testCase.stdin ?? '';
-    const expected = trimOutput(testCase.output ?? testCase.expectedOutput ?? '');
-    
-    const execRes = await runOnce({ lang, code, input, timeLimitMs });
-    const actual = trimOutput(execRes.output);
-    const passed = execRes.success && actual === expected;
-    
-    results.push({
-      testCaseIndex: i,
-      input,
-      expectedOutput: expected,
-      actualOutput: actual,
-      passed,
-      error: execRes.error || undefined,
-      executionTime: execRes.timeMs
+    notifySubmissionUpdate(submission.userId.toString(), 'submission-finished', {
+      submissionId: submission._id,
+      contestId: contest.contestId,
+      questionId: submission.problemId,
+      rejudged: true,
+      status: submission.status,
+      points: submission.points,
+      testResults: submission.testResults,
+      subtaskResults: submission.subtaskResults,
+      compileOutput: submission.compileOutput,
+      compileWarnings: submission.compileWarnings
     });
   }
-  
-  return results;
+
+  await recomputeContestStandings(contest);
 }
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,129 @@
+import express from "express";
+import authenticateToken, { optionalAuth } from "../middleware/auth.js";
+import {
+  ListError,
+  browseLists,
+  getMyLists,
+  getList,
+  createList,
+  updateList,
+  deleteList,
+  forkList,
+  setFollowing,
+  getNextProblem
+} from "../services/problemLists.js";
+
+// Problem lists (study sheets): public lists can be read without an account, progress and
+// following need one
+const router = express.Router();
+
+// Helper function to answer with a list error, or a 500 for anything else
+const sendError = (res, error, label, message) => {
+  if (error instanceof ListError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ message });
+};
+
+// GET /api/lists - Browse public lists (?search=&page=&limit=)
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    res.json(await browseLists(req.user, req.query));
+  } catch (error) {
+    sendError(res, error, 'Browse lists', 'Failed to fetch lists');
+  }
+});
+
+// GET /api/lists/featured - The featured sheets
+router.get('/featured', optionalAuth, async (req, res) => {
+  try {
+    res.json(await browseLists(req.user, { ...req.query, featured: true }));
+  } catch (error) {
+    sendError(res, error, 'Featured lists', 'Failed to fetch featured lists');
+  }
+});
+
+// GET /api/lists/mine - The current user's lists and the lists they follow
+router.get('/mine', authenticateToken, async (req, res) => {
+  try {
+    res.json(await getMyLists(req.user));
+  } catch (error) {
+    sendError(res, error, 'My lists', 'Failed to fetch your lists');
+  }
+});
+
+// POST /api/lists - Create a list from { title, description?, visibility?, sections? }
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    res.status(201).json(await createList(req.user, req.body));
+  } catch (error) {
+    sendError(res, error, 'Create list', 'Failed to create list');
+  }
+});
+
+// GET /api/lists/:id - A list with its problems, and the user's progress when signed in
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    res.json(await getList(req.user, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Get list', 'Failed to fetch list');
+  }
+});
+
+// PUT /api/lists/:id - Change the title, description, visibility or sections (admins: featured)
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    res.json(await updateList(req.user, req.params.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'Update list', 'Failed to update list');
+  }
+});
+
+// DELETE /api/lists/:id - Delete a list
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    await deleteList(req.user, req.params.id);
+    res.json({ message: 'List deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Delete list', 'Failed to delete list');
+  }
+});
+
+// POST /api/lists/:id/fork - Copy a list into a new private list ({ title? })
+router.post('/:id/fork', authenticateToken, async (req, res) => {
+  try {
+    res.status(201).json(await forkList(req.user, req.params.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'Fork list', 'Failed to fork list');
+  }
+});
+
+// POST /api/lists/:id/follow - Follow a public list
+router.post('/:id/follow', authenticateToken, async (req, res) => {
+  try {
+    res.json(await setFollowing(req.user, req.params.id, true));
+  } catch (error) {
+    sendError(res, error, 'Follow list', 'Failed to follow list');
+  }
+});
+
+// DELETE /api/lists/:id/follow - Stop following a list
+router.delete('/:id/follow', authenticateToken, async (req, res) => {
+  try {
+    res.json(await setFollowing(req.user, req.params.id, false));
+  } catch (error) {
+    sendError(res, error, 'Unfollow list', 'Failed to unfollow list');
+  }
+});
+
+// GET /api/lists/:id/next - The first problem of the list the user hasn't solved yet
+router.get('/:id/next', authenticateToken, async (req, res) => {
+  try {
+    res.json(await getNextProblem(req.user, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Next problem', 'Failed to fetch the next problem');
+  }
+});
+
+export default router;
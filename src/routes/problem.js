@@ -1,24 +1,78 @@
 import express from "express";
 import dotenv from "dotenv";
-import { spawnSync } from "child_process";
-import fs from "fs";
 import path from "path";
-import crypto from "crypto";
-import { fileURLToPath } from "url";  // ✅ Add this
 import Problem from "../models/Problem.js";
+import Submission from "../models/Submission.js";
 import authenticateToken from "../middleware/auth.js";
 import { mongoose } from "mongoose";
-     // ✅ Add this
+import { VERDICTS, VERDICT_LABELS, toHiddenTestResponse } from "../judge/verdicts.js";
+import { CHECKER_TYPES } from "../judge/checkers.js";
+import { PROBLEM_TYPES } from "../judge/engine.js";
+import { validateSubtasks } from "../judge/subtasks.js";
+import { validateProblemData } from "../judge/validation.js";
+import { validateGenerators, expandGeneratedTests, getHiddenTests, GeneratorError } from "../judge/generators.js";
+import { stressTest } from "../judge/stress.js";
+import { isSupportedLanguage, normalizeLanguage, normalizeStandard, validateStandard } from "../judge/languages.js";
+import {
+  HARNESS_LANGUAGES,
+  validateSignature,
+  validateTestInput,
+  supportsFunctionProblems,
+  generateStarterCode
+} from "../judge/harness.js";
+import { enqueueJudge, getJob, describeJob, QueueFullError } from "../judge/queue.js";
+import { notifySubmissionUpdate } from "../socketServer.js";
+import { diffText } from "../utils/diff.js";
+import { recordSolve, syncSolve } from "../services/solves.js";
+import { refreshProblemStats } from "../services/problemStats.js";
+import {
+  RevisionConflictError,
+  revisionSnapshot,
+  loadSnapshot,
+  diffSnapshots,
+  ensureBaseline,
+  recordInitialRevision,
+  saveWithRevision,
+  applySnapshot,
+  summarizeRevision
+} from "../services/revisions.js";
+import ProblemRevision from "../models/ProblemRevision.js";
+import { exportProblemPackage, readProblemPackage, PackageError } from "../services/problemPackages.js";
+import {
+  WorkflowError,
+  isOwner,
+  isReviewer,
+  canView,
+  submitForReview,
+  withdrawFromReview,
+  addReview,
+  requireEditable,
+  resubmitEdited,
+  archiveProblem,
+  restoreProblem,
+  getReviewTimeline,
+  toReviewResponse
+} from "../services/problemWorkflow.js";
 
 const router = express.Router();
-const TEMP_DIR = path.join(process.cwd(), "temp");
-// Create temp directory for code execution
 dotenv.config({ path: path.resolve(process.cwd(), '..', '.env') });
-if (!fs.existsSync(TEMP_DIR)) {
-  fs.mkdirSync(TEMP_DIR, { recursive: true });
-}
+
+// Problem fields only the setter and the judge may see
+const HIDDEN_PROBLEM_FIELDS = '-hiddenTestCases -checker.code -interactor.code -referenceSolution -validator -validationReport -generators -generatedTests -__v';
+
+// Sort keys of the problem list, see problem.stats
+const PROBLEM_SORT_FIELDS = {
+  newest: 'createdAt',
+  acceptance: 'stats.acceptanceRate',
+  submissions: 'stats.submissions',
+  solvers: 'stats.solvers',
+  solveTime: 'stats.medianSolveTime'
+};
 
 // GET /api/problems - Get all problems (public)
+// ?sort=newest|acceptance|submissions|solvers|solveTime&order=asc|desc sorts them, and
+// ?minSubmissions=N leaves out problems with too few submissions for their stats to mean much.
+// Problems without the stat sorted by (no submissions yet) come last in either order.
 router.get('/', async (req, res) => {
   try {
     // Check if database is connected
@@ -33,29 +87,51 @@ router.get('/', async (req, res) => {
       });
     }
 
-    const { difficulty, search, page = 1, limit = 0 } = req.query;
-    const query = { isActive: true };
+    const { difficulty, search, page = 1, limit = 0, sort = 'newest', order = 'desc', minSubmissions } = req.query;
+    const query = { isActive: true }; // published problems only
+    
+    if (!PROBLEM_SORT_FIELDS[sort]) {
+      return res.status(400).json({ message: `sort must be one of: ${Object.keys(PROBLEM_SORT_FIELDS).join(', ')}` });
+    }
+    if (order !== 'asc' && order !== 'desc') {
+      return res.status(400).json({ message: 'order must be asc or desc' });
+    }
+    if (minSubmissions !== undefined && !/^\d+$/.test(minSubmissions)) {
+      return res.status(400).json({ message: 'minSubmissions must be a whole number' });
+    }
     
     if (difficulty) {
       query.difficulty = difficulty;
     }
     
+    if (minSubmissions !== undefined) {
+      query['stats.submissions'] = { $gte: parseInt(minSubmissions, 10) };
+    }
+    
     if (search) {
       query.$text = { $search: search };
     }
     
-    // Build query with optional pagination
-    let problemsQuery = Problem.find(query)
-      .select('-hiddenTestCases -__v')
-      .populate('createdBy', 'username fullName')
-      .sort({ createdAt: -1 });
+    // The page's ids in order first: a plain sort puts missing stats first when ascending
+    const field = PROBLEM_SORT_FIELDS[sort];
+    const direction = order === 'asc' ? 1 : -1;
+    const pipeline = [
+      { $match: query },
+      { $project: { [field]: 1, missing: { $eq: [{ $ifNull: [`$${field}`, null] }, null] } } },
+      { $sort: { missing: 1, [field]: direction, _id: direction } }
+    ];
     
     // Only apply pagination if limit is specified and greater than 0
     if (limit > 0) {
-      problemsQuery = problemsQuery.limit(limit * 1).skip((page - 1) * limit);
+      pipeline.push({ $skip: (page - 1) * limit }, { $limit: limit * 1 });
     }
     
-    const problems = await problemsQuery;
+    const ids = (await Problem.aggregate(pipeline)).map(entry => entry._id.toString());
+    const found = await Problem.find({ _id: { $in: ids } })
+      .select(HIDDEN_PROBLEM_FIELDS)
+      .populate('createdBy', 'username fullName');
+    const byId = new Map(found.map(problem => [problem._id.toString(), problem]));
+    const problems = ids.map(id => byId.get(id)).filter(Boolean);
     
     const total = await Problem.countDocuments(query);
     
@@ -85,13 +161,23 @@ router.get('/', async (req, res) => {
 router.get('/:id', async (req, res) => {
   try {
     const problem = await Problem.findOne({ _id: req.params.id, isActive: true })
-      .select('-hiddenTestCases -__v')
+      .select(HIDDEN_PROBLEM_FIELDS)
       .populate('createdBy', 'username fullName');
     
     if (!problem) {
       return res.status(404).json({ message: 'Problem not found' });
     }
     
+    // Function problems come with the function stub for every allowed language
+    if (problem.type === 'function') {
+      const problemObj = problem.toObject();
+      const starterCode = Object.fromEntries(problemObj.allowedLanguages.map(language => [
+        language,
+        generateStarterCode(problemObj.signature, normalizeLanguage(language))
+      ]));
+      return res.json({ ...problemObj, starterCode });
+    }
+    
     res.json(problem);
   } catch (error) {
     console.error('Get problem error:', error);
@@ -99,82 +185,233 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// POST /api/problems - Create new problem (authenticated)
-router.post('/', authenticateToken, async (req, res) => {
-  try {
-    const {
-      title,
-      description,
-      difficulty,
-      topic,
-      constraints,
-      sampleTestCases,
-      hiddenTestCases,
-      allowedLanguages,
-      timeLimit,
-      memoryLimit,
-      tags
-    } = req.body;
-    
-    // Validation
-    if (!title || !description || !difficulty || !constraints) {
-      return res.status(400).json({ message: 'Title, description, difficulty, and constraints are required' });
-    }
-    
-    if (!sampleTestCases || sampleTestCases.length === 0) {
-      return res.status(400).json({ message: 'At least one sample test case is required' });
-    }
-    
-    if (!hiddenTestCases || hiddenTestCases.length === 0) {
-      return res.status(400).json({ message: 'At least one hidden test case is required' });
-    }
-    
-    if (!allowedLanguages || allowedLanguages.length === 0) {
-      return res.status(400).json({ message: 'At least one programming language must be selected' });
-    }
-    
-    // Generate problemId from title (kebab-case)
-    const problemId = title
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-+|-+$/g, '');
-    
-    const problem = new Problem({
-      problemId,
-      title,
-      description,
-      difficulty,
-      topic,
-      constraints,
-      sampleTestCases,
-      hiddenTestCases,
-      allowedLanguages,
-      timeLimit: timeLimit || 1000,
-      memoryLimit: memoryLimit || 256,
-      createdBy: req.user.id,
-      tags: tags || []
-    });
-    
-    await problem.save();
-    
-    // Return full problem data for frontend to sync to DSA sheet
-    const fullProblem = await Problem.findById(problem._id)
-      .select('-hiddenTestCases -__v')
-      .populate('createdBy', 'username fullName');
-    
-    res.status(201).json({
+// Helper function to validate a checker definition, returns an error message or null
+const validateChecker = (checker) => {
+  if (!checker) return null;
+  if (checker.type && !CHECKER_TYPES.includes(checker.type)) {
+    return `Checker type must be one of: ${CHECKER_TYPES.join(', ')}`;
+  }
+  if (checker.type === 'custom' && (!checker.code || !isSupportedLanguage(checker.language))) {
+    return 'A custom checker needs code and a supported language';
+  }
+  return null;
+};
+
+// Helper function to validate the problem type and its interactor, returns an error message or null
+const validateInteractor = (type, interactor) => {
+  if (type && !PROBLEM_TYPES.includes(type)) {
+    return `Problem type must be one of: ${PROBLEM_TYPES.join(', ')}`;
+  }
+  if (type === 'interactive' && (!interactor?.code || !isSupportedLanguage(interactor.language))) {
+    return 'An interactive problem needs interactor code and a supported language';
+  }
+  return null;
+};
+
+// Helper function to validate a function problem's signature, languages and test inputs, returns an error message or null
+const validateFunctionProblem = (type, signature, allowedLanguages = [], testCases = []) => {
+  if (type !== 'function') return null;
+  const signatureError = validateSignature(signature);
+  if (signatureError) return signatureError;
+  if (!allowedLanguages.every(language => supportsFunctionProblems(normalizeLanguage(language)))) {
+    return `Function problems can only be solved in: ${HARNESS_LANGUAGES.join(', ')}`;
+  }
+  for (const testCase of testCases) {
+    const inputError = validateTestInput(signature, testCase.input);
+    if (inputError) return inputError;
+  }
+  return null;
+};
+
+// Helper function to validate a reference solution or validator program, returns an error message or null
+const validateSetterProgram = (program, label) => {
+  if (!program) return null;
+  if (!program.code || !isSupportedLanguage(program.language)) {
+    return `The ${label} needs code and a supported language`;
+  }
+  return null;
+};
+
+// Helper function to check a problem's tests, generated ones included, with its validator and reference solution
+const checkProblemData = async (problem) => validateProblemData({
+  sampleTestCases: problem.sampleTestCases,
+  hiddenTestCases: await getHiddenTests(problem),
+  validator: problem.validator,
+  referenceSolution: problem.referenceSolution,
+  judgeOptions: judgeOptionsFor(problem)
+});
+
+// Helper function to validate, store and describe a new problem, for the create and import routes.
+// Resolves with the { status, body } to answer with.
+const createProblem = async (data, createdBy) => {
+  const {
+    title,
+    description,
+    difficulty,
+    topic,
+    constraints,
+    sampleTestCases,
+    hiddenTestCases,
+    allowedLanguages,
+    checker,
+    type,
+    interactor,
+    signature,
+    subtasks,
+    referenceSolution,
+    validator,
+    generators,
+    generatedTests,
+    timeLimit,
+    memoryLimit,
+    tags
+  } = data;
+  
+  // Validation
+  if (!title || !description || !difficulty || !constraints) {
+    return { status: 400, body: { message: 'Title, description, difficulty, and constraints are required' } };
+  }
+  
+  if (!sampleTestCases || sampleTestCases.length === 0) {
+    return { status: 400, body: { message: 'At least one sample test case is required' } };
+  }
+  
+  if (!hiddenTestCases?.length && !generatedTests?.length) {
+    return { status: 400, body: { message: 'At least one hidden test case or generated test is required' } };
+  }
+  
+  if (!allowedLanguages || allowedLanguages.length === 0) {
+    return { status: 400, body: { message: 'At least one programming language must be selected' } };
+  }
+  
+  const checkerError = validateChecker(checker) ||
+    validateInteractor(type, interactor) ||
+    validateFunctionProblem(type, signature, allowedLanguages, [...sampleTestCases, ...(hiddenTestCases || [])]) ||
+    validateGenerators(generators, generatedTests) ||
+    validateSubtasks(subtasks, (hiddenTestCases?.length || 0) + (generatedTests?.length || 0)) ||
+    validateSetterProgram(referenceSolution, 'reference solution') ||
+    validateSetterProgram(validator, 'validator');
+  if (checkerError) {
+    return { status: 400, body: { message: checkerError } };
+  }
+  
+  // Generate problemId from title (kebab-case)
+  const problemId = title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  
+  const problem = new Problem({
+    problemId,
+    title,
+    description,
+    difficulty,
+    topic,
+    constraints,
+    sampleTestCases,
+    hiddenTestCases: hiddenTestCases || [],
+    generators: generators || [],
+    generatedTests: generatedTests || [],
+    allowedLanguages,
+    checker: checker || { type: 'default' },
+    type: type || 'standard',
+    interactor: type === 'interactive' ? interactor : undefined,
+    signature: type === 'function' ? signature : undefined,
+    subtasks: subtasks || [],
+    referenceSolution,
+    validator,
+    timeLimit: timeLimit || 1000,
+    memoryLimit: memoryLimit || 256,
+    createdBy,
+    tags: tags || [],
+    // New problems are drafts until a reviewer approves them
+    status: 'draft',
+    isActive: false
+  });
+  
+  // Refuse tests that the setter's own validator or reference solution disagree with
+  const validationReport = await checkProblemData(problem);
+  if (!validationReport.passed) {
+    return { status: 422, body: { message: 'Test data failed validation', validationReport } };
+  }
+  problem.validationReport = validationReport;
+  
+  await problem.save();
+  // A failure here is recovered by the first edit, which records the missing baseline
+  await recordInitialRevision(problem, createdBy).catch(err => console.error('Record revision error:', err));
+  
+  // Return full problem data for frontend to sync to DSA sheet
+  const fullProblem = await Problem.findById(problem._id)
+    .select(HIDDEN_PROBLEM_FIELDS)
+    .populate('createdBy', 'username fullName');
+  
+  return {
+    status: 201,
+    body: {
       message: 'Problem created successfully',
       problem: {
         ...fullProblem.toObject(),
         id: fullProblem.problemId || fullProblem._id.toString()
-      }
-    });
+      },
+      validationReport
+    }
+  };
+};
+
+// POST /api/problems - Create new problem (authenticated)
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { status, body } = await createProblem(req.body, req.user.id);
+    res.status(status).json(body);
   } catch (error) {
+    if (error instanceof QueueFullError) {
+      return res.status(503).json({ message: error.message });
+    }
+    if (error instanceof GeneratorError) {
+      return res.status(422).json({ message: error.message });
+    }
     console.error('Create problem error:', error);
     res.status(500).json({ message: 'Failed to create problem' });
   }
 });
 
+const MAX_PACKAGE_SIZE = '50mb';
+
+// POST /api/problems/import - Create a problem from a package zip sent as the request body
+// (see docs/problem-packages.md). Polygon packages take difficulty, topic and languages from the query.
+router.post('/import', authenticateToken, express.raw({ type: ['application/zip', 'application/octet-stream'], limit: MAX_PACKAGE_SIZE }), async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ message: 'Send the package zip as the request body (Content-Type: application/zip)' });
+    }
+    
+    const { format, data, warnings } = await readProblemPackage(req.body, {
+      difficulty: req.query.difficulty,
+      topic: req.query.topic,
+      allowedLanguages: req.query.languages ? String(req.query.languages).split(',').map(language => language.trim()) : undefined
+    });
+    const { status, body } = await createProblem(data, req.user.id);
+    
+    res.status(status).json({ ...body, package: { format, warnings } });
+  } catch (error) {
+    // Package content that the schema refuses, e.g. an unknown difficulty
+    if (error instanceof PackageError || error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error?.code === 11000) {
+      return res.status(409).json({ message: 'A problem with this title already exists' });
+    }
+    if (error instanceof QueueFullError) {
+      return res.status(503).json({ message: error.message });
+    }
+    if (error instanceof GeneratorError) {
+      return res.status(422).json({ message: error.message });
+    }
+    console.error('Import problem error:', error);
+    res.status(500).json({ message: 'Failed to import problem' });
+  }
+});
+
 // PUT /api/problems/:id - Update problem (authenticated, only by creator)
 router.put('/:id', authenticateToken, async (req, res) => {
   try {
@@ -183,37 +420,367 @@ router.put('/:id', authenticateToken, async (req, res) => {
     if (!problem) {
       return res.status(404).json({ message: 'Problem not found or you are not authorized to edit it' });
     }
+    requireEditable(problem);
     
     const updates = req.body;
     delete updates.createdBy; // Prevent changing creator
     delete updates._id; // Prevent changing ID
+    delete updates.validationReport; // Only the server writes the report
+    delete updates.revision; // Revisions are numbered by the server
+    delete updates.status; // Statuses change through the review workflow
+    delete updates.isActive;
+    delete updates.stats; // Maintained from judged submissions
+    const { revisionMessage } = updates; // Optional note stored with the revision
+    delete updates.revisionMessage;
+    
+    const type = updates.type ?? problem.type;
+    const checkerError = validateChecker(updates.checker) ||
+      validateInteractor(type, updates.interactor ?? problem.interactor) ||
+      validateFunctionProblem(
+        type,
+        updates.signature ?? problem.toObject().signature,
+        updates.allowedLanguages ?? problem.allowedLanguages,
+        [...(updates.sampleTestCases ?? problem.sampleTestCases), ...(updates.hiddenTestCases ?? problem.hiddenTestCases)]
+      ) ||
+      validateGenerators(updates.generators ?? problem.generators, updates.generatedTests ?? problem.generatedTests) ||
+      validateSubtasks(
+        updates.subtasks ?? problem.toObject().subtasks,
+        (updates.hiddenTestCases ?? problem.hiddenTestCases).length + (updates.generatedTests ?? problem.generatedTests).length
+      ) ||
+      validateSetterProgram(updates.referenceSolution, 'reference solution') ||
+      validateSetterProgram(updates.validator, 'validator');
+    if (checkerError) {
+      return res.status(400).json({ message: checkerError });
+    }
     
+    await ensureBaseline(problem);
+    const before = revisionSnapshot(problem);
     Object.assign(problem, updates);
-    await problem.save();
     
-    res.json({ message: 'Problem updated successfully' });
+    // Every edit is checked again, nothing is saved when the tests disagree
+    const validationReport = await checkProblemData(problem);
+    if (!validationReport.passed) {
+      return res.status(422).json({ message: 'Test data failed validation', validationReport });
+    }
+    problem.validationReport = validationReport;
+    const revision = await saveWithRevision(problem, before, { authorId: req.user.id, message: revisionMessage });
+    if (revision) await resubmitEdited(problem, req.user);
+    
+    res.json({
+      message: 'Problem updated successfully',
+      status: problem.status,
+      revision: problem.revision,
+      changes: revision ? summarizeRevision(revision).changes : [],
+      validationReport
+    });
   } catch (error) {
+    if (error instanceof WorkflowError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error instanceof QueueFullError) {
+      return res.status(503).json({ message: error.message });
+    }
+    if (error instanceof RevisionConflictError) {
+      return res.status(409).json({ message: error.message });
+    }
+    if (error instanceof GeneratorError) {
+      return res.status(422).json({ message: error.message });
+    }
     console.error('Update problem error:', error);
     res.status(500).json({ message: 'Failed to update problem' });
   }
 });
 
-// DELETE /api/problems/:id - Delete problem (authenticated, only by creator)
-router.delete('/:id', authenticateToken, async (req, res) => {
+// Helper function to load a problem for a workflow step; permissions are checked by the workflow
+const findWorkflowProblem = (id) => (mongoose.Types.ObjectId.isValid(id) ? Problem.findById(id) : null);
+
+// Helper function to run a workflow step and answer with the problem's new status
+const workflowStep = (label, done, step) => async (req, res) => {
+  try {
+    const problem = await findWorkflowProblem(req.params.id);
+    if (!problem || !canView(problem, req.user)) {
+      return res.status(404).json({ message: 'Problem not found' });
+    }
+    
+    const entry = await step(problem, req.user, req.body?.message);
+    
+    res.json({ message: done, status: problem.status, review: toReviewResponse(entry) });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(`${label} error:`, error);
+    res.status(500).json({ message: `Failed to ${label.toLowerCase()}` });
+  }
+};
+
+// DELETE /api/problems/:id - Archive problem, kept so it can be restored (by its creator or an admin)
+router.delete('/:id', authenticateToken, workflowStep('Archive problem', 'Problem archived', archiveProblem));
+
+// POST /api/problems/:id/archive - Same as DELETE, with an optional { message }
+router.post('/:id/archive', authenticateToken, workflowStep('Archive problem', 'Problem archived', archiveProblem));
+
+// POST /api/problems/:id/restore - Bring an archived problem back to the status it was archived from
+router.post('/:id/restore', authenticateToken, workflowStep('Restore problem', 'Problem restored', restoreProblem));
+
+// POST /api/problems/:id/submit-review - Send a draft to the reviewers (only by creator)
+router.post('/:id/submit-review', authenticateToken, workflowStep('Submit for review', 'Problem submitted for review', submitForReview));
+
+// POST /api/problems/:id/withdraw-review - Take a problem back from review to keep editing (only by creator)
+router.post('/:id/withdraw-review', authenticateToken, workflowStep('Withdraw from review', 'Problem withdrawn from review', withdrawFromReview));
+
+// GET /api/problems/reviews/pending - Problems waiting for review, oldest first (reviewers, own problems excluded)
+router.get('/reviews/pending', authenticateToken, async (req, res) => {
+  try {
+    if (!isReviewer(req.user)) {
+      return res.status(403).json({ message: 'Only reviewers can see the review queue' });
+    }
+    
+    const problems = await Problem.find({ status: 'in_review', createdBy: { $ne: req.user.id } })
+      .select('title problemId difficulty topic tags type revision createdBy validationReport.passed updatedAt')
+      .populate('createdBy', 'username fullName')
+      .sort({ updatedAt: 1 });
+    
+    res.json({ problems });
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    res.status(500).json({ message: 'Failed to fetch the review queue' });
+  }
+});
+
+// GET /api/problems/:id/reviews - The problem with its hidden data and review timeline (creator and reviewers)
+router.get('/:id/reviews', authenticateToken, async (req, res) => {
+  try {
+    const problem = await findWorkflowProblem(req.params.id);
+    if (!problem || (!isOwner(problem, req.user) && !isReviewer(req.user))) {
+      return res.status(404).json({ message: 'Problem not found or you are not authorized to review it' });
+    }
+    
+    const timeline = await getReviewTimeline(problem);
+    
+    res.json({
+      status: problem.status,
+      problem: await problem.populate('createdBy', 'username fullName'),
+      reviews: timeline.map(toReviewResponse)
+    });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({ message: 'Failed to fetch reviews' });
+  }
+});
+
+// POST /api/problems/:id/reviews - Comment, request changes or approve: { body, decision }
+router.post('/:id/reviews', authenticateToken, async (req, res) => {
+  try {
+    const problem = await findWorkflowProblem(req.params.id);
+    if (!problem || !canView(problem, req.user)) {
+      return res.status(404).json({ message: 'Problem not found' });
+    }
+    
+    const entry = await addReview(problem, req.user, { decision: req.body?.decision, body: req.body?.body });
+    
+    res.status(201).json({ status: problem.status, review: toReviewResponse(entry) });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Add review error:', error);
+    res.status(500).json({ message: 'Failed to add review' });
+  }
+});
+
+// POST /api/problems/:id/tests/regenerate - Rebuild generated tests, e.g. after a constraint change (only by creator)
+router.post('/:id/tests/regenerate', authenticateToken, async (req, res) => {
   try {
     const problem = await Problem.findOne({ _id: req.params.id, createdBy: req.user.id });
     
     if (!problem) {
-      return res.status(404).json({ message: 'Problem not found or you are not authorized to delete it' });
+      return res.status(404).json({ message: 'Problem not found or you are not authorized to edit it' });
+    }
+    
+    if (!problem.generatedTests.length) {
+      return res.status(400).json({ message: 'This problem has no generated tests' });
     }
     
-    problem.isActive = false;
+    const generated = await expandGeneratedTests(problem, { force: true });
+    
+    // The fresh tests go through the same checks as an edit
+    const validationReport = await checkProblemData(problem);
+    problem.validationReport = validationReport;
     await problem.save();
     
-    res.json({ message: 'Problem deleted successfully' });
+    res.json({
+      message: 'Tests regenerated',
+      tests: generated.map(test => ({
+        generator: test.generator,
+        seed: test.seed,
+        inputSize: test.input.length,
+        outputSize: test.expectedOutput.length
+      })),
+      validationReport
+    });
+  } catch (error) {
+    if (error instanceof QueueFullError) {
+      return res.status(503).json({ message: error.message });
+    }
+    if (error instanceof GeneratorError) {
+      return res.status(422).json({ message: error.message });
+    }
+    console.error('Regenerate tests error:', error);
+    res.status(500).json({ message: 'Failed to regenerate tests' });
+  }
+});
+
+// GET /api/problems/:id/export - Download the problem as a package zip, hidden tests included (only by creator)
+router.get('/:id/export', authenticateToken, async (req, res) => {
+  try {
+    const problem = await Problem.findOne({ _id: req.params.id, createdBy: req.user.id });
+    
+    if (!problem) {
+      return res.status(404).json({ message: 'Problem not found or you are not authorized to export it' });
+    }
+    
+    res.attachment(`${problem.problemId || problem._id}.zip`);
+    res.type('application/zip');
+    res.send(exportProblemPackage(problem));
+  } catch (error) {
+    console.error('Export problem error:', error);
+    res.status(500).json({ message: 'Failed to export problem' });
+  }
+});
+
+// Helper function to find one stored revision of a problem, null when it doesn't exist
+const findRevision = (problem, revision) => {
+  const number = Number(revision);
+  return Number.isInteger(number) && number > 0
+    ? ProblemRevision.findOne({ problemId: problem._id, revision: number }).populate('authorId', 'username fullName')
+    : null;
+};
+
+// GET /api/problems/:id/revisions - Edit history of a problem, newest first (only by creator)
+router.get('/:id/revisions', authenticateToken, async (req, res) => {
+  try {
+    const problem = await Problem.findOne({ _id: req.params.id, createdBy: req.user.id });
+    
+    if (!problem) {
+      return res.status(404).json({ message: 'Problem not found or you are not authorized to view its history' });
+    }
+    
+    await ensureBaseline(problem);
+    const revisions = await ProblemRevision.find({ problemId: problem._id })
+      .select('-snapshot')
+      .sort({ revision: -1 })
+      .populate('authorId', 'username fullName');
+    
+    res.json({ currentRevision: problem.revision, revisions: revisions.map(summarizeRevision) });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({ message: 'Failed to fetch revisions' });
+  }
+});
+
+// GET /api/problems/:id/revisions/:revision - One revision with its content and diffs (only by creator)
+router.get('/:id/revisions/:revision', authenticateToken, async (req, res) => {
+  try {
+    const problem = await Problem.findOne({ _id: req.params.id, createdBy: req.user.id });
+    const revision = problem && await findRevision(problem, req.params.revision);
+    
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found or you are not authorized to view it' });
+    }
+    
+    res.json({
+      ...summarizeRevision(revision),
+      current: revision.revision === problem.revision,
+      snapshot: await loadSnapshot(revision.snapshot),
+      changes: revision.changes
+    });
   } catch (error) {
-    console.error('Delete problem error:', error);
-    res.status(500).json({ message: 'Failed to delete problem' });
+    console.error('Get revision error:', error);
+    res.status(500).json({ message: 'Failed to fetch revision' });
+  }
+});
+
+// GET /api/problems/:id/revisions/:revision/diff/:otherRevision - Compare any two revisions (only by creator)
+router.get('/:id/revisions/:revision/diff/:otherRevision', authenticateToken, async (req, res) => {
+  try {
+    const problem = await Problem.findOne({ _id: req.params.id, createdBy: req.user.id });
+    const [base, compare] = problem
+      ? await Promise.all([findRevision(problem, req.params.revision), findRevision(problem, req.params.otherRevision)])
+      : [];
+    
+    if (!base || !compare) {
+      return res.status(404).json({ message: 'Revision not found or you are not authorized to view it' });
+    }
+    
+    res.json({
+      base: summarizeRevision(base),
+      compare: summarizeRevision(compare),
+      changes: diffSnapshots(base.snapshot, compare.snapshot)
+    });
+  } catch (error) {
+    console.error('Diff revisions error:', error);
+    res.status(500).json({ message: 'Failed to compare revisions' });
+  }
+});
+
+// POST /api/problems/:id/revisions/:revision/rollback - Restore an older revision as a new one (only by creator)
+router.post('/:id/revisions/:revision/rollback', authenticateToken, async (req, res) => {
+  try {
+    const problem = await Problem.findOne({ _id: req.params.id, createdBy: req.user.id });
+    
+    if (!problem) {
+      return res.status(404).json({ message: 'Problem not found or you are not authorized to edit it' });
+    }
+    requireEditable(problem);
+    
+    await ensureBaseline(problem);
+    const target = await findRevision(problem, req.params.revision);
+    if (!target) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+    if (target.revision === problem.revision) {
+      return res.status(400).json({ message: 'This revision is already the current one' });
+    }
+    
+    const before = revisionSnapshot(problem);
+    applySnapshot(problem, await loadSnapshot(target.snapshot));
+    
+    // The restored tests are checked like any edit, generators may have changed their output since
+    const validationReport = await checkProblemData(problem);
+    if (!validationReport.passed) {
+      return res.status(422).json({ message: 'Test data of this revision failed validation', validationReport });
+    }
+    problem.validationReport = validationReport;
+    const revision = await saveWithRevision(problem, before, {
+      authorId: req.user.id,
+      message: req.body?.message || `Rolled back to revision ${target.revision}`,
+      restoredFrom: target.revision
+    });
+    if (revision) await resubmitEdited(problem, req.user);
+    
+    res.json({
+      message: `Rolled back to revision ${target.revision}`,
+      status: problem.status,
+      revision: problem.revision,
+      changes: revision ? summarizeRevision(revision).changes : [],
+      validationReport
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error instanceof QueueFullError) {
+      return res.status(503).json({ message: error.message });
+    }
+    if (error instanceof GeneratorError) {
+      return res.status(422).json({ message: error.message });
+    }
+    if (error instanceof RevisionConflictError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('Rollback problem error:', error);
+    res.status(500).json({ message: 'Failed to roll back problem' });
   }
 });
 
@@ -231,245 +798,579 @@ router.get('/my/problems', authenticateToken, async (req, res) => {
   }
 });
 
-// Helper function to preprocess output for comparison
-const preprocessOutput = (output) => {
-  if (!output) return '';
-  return output
-    .trim()                           // Remove leading/trailing whitespace
-    .replace(/\r\n/g, '\n')          // Normalize line endings (Windows -> Unix)
-    .replace(/\r/g, '\n')            // Normalize line endings (Mac -> Unix)
-    .replace(/\n+$/g, '')            // Remove trailing newlines
-    .replace(/\s+$/gm, '');          // Remove trailing spaces from each line
+// Verdicts where the program ran to completion, so its output is worth showing
+const OUTPUT_VERDICTS = [VERDICTS.WRONG_ANSWER, VERDICTS.PRESENTATION_ERROR];
+
+// Helper function to shape a judged test case for the client
+const toTestResponse = (testResult) => ({
+  input: testResult.input,
+  expectedOutput: testResult.expectedOutput,
+  // Errors keep the old "<verdict>: <details>" format in place of the program output
+  actualOutput: testResult.passed || OUTPUT_VERDICTS.includes(testResult.verdict)
+    ? testResult.actualOutput
+    : `${VERDICT_LABELS[testResult.verdict]}${testResult.error ? ': ' + testResult.error : ''}`,
+  passed: testResult.passed,
+  verdict: testResult.verdict,
+  error: testResult.error,
+  exitCode: testResult.verdict === VERDICTS.RUNTIME_ERROR ? testResult.exitCode : undefined,
+  signal: testResult.verdict === VERDICTS.RUNTIME_ERROR ? testResult.signal : undefined,
+  checkerMessage: testResult.checkerMessage,
+  diff: testResult.diff,
+  transcript: testResult.transcript,
+  executionTime: testResult.executionTime,
+  memoryUsed: testResult.memoryUsed
+});
+
+// Helper function to build the run result from the judge output
+const buildRunResult = (result, sampleCount) => {
+  const sampleResults = result.testResults.slice(0, sampleCount).map(toTestResponse);
+  const customResults = result.testResults.slice(sampleCount).map(toTestResponse);
+  const samplesPassed = sampleResults.filter(test => test.passed).length;
+
+  return {
+    verdict: result.verdict,
+    compileOutput: result.compileOutput,
+    compileWarnings: result.compileWarnings,
+    toolchain: result.toolchain,
+    sampleResults,
+    customResults,
+    score: sampleCount > 0 ? Math.round((samplesPassed / sampleCount) * 100) : 0,
+    executionTime: result.executionTime,
+    // Peak memory across all test cases, measured in KB by the sandbox
+    memoryUsed: Math.round((result.memoryUsed / 1024) * 100) / 100 // MB
+  };
 };
 
-// Execute code for Python and JavaScript (interpreted languages)
-const executeInterpreted = (language, code, input, timeLimit) => {
-  let command, args;
-  
-  if (language === 'python') {
-    command = 'python';
-    args = ['-c', code];
-  } else if (language === 'javascript') {
-    command = 'node';
-    args = ['-e', code];
+// Helper function to load the problem a run or submission targets, checking the language and the
+// optional standard. Returns { problem, languageId, standard } or { status, message } describing the failure.
+// Only published problems are found, unless a user is given who may see the problem unpublished
+// (its setter and reviewers, testing it before it goes live).
+const findProblemForJudging = async ({ problemId, code, language, standard }, user) => {
+  if (!problemId || !code || !language) {
+    return { status: 400, message: 'problemId, code, and language are required' };
   }
-  
-  const result = spawnSync(command, args, {
-    input: input,
-    timeout: timeLimit || 1000,
-    encoding: 'utf-8',
-    maxBuffer: 10 * 1024 * 1024 // 10MB
-  });
-  
-  if (result.error) {
-    if (result.error.code === 'ETIMEDOUT') {
-      return { error: 'Time Limit Exceeded', stderr: '', stdout: '' };
-    }
-    return { error: 'Runtime Error', stderr: result.error.message, stdout: '' };
+
+  if (!mongoose.Types.ObjectId.isValid(problemId)) {
+    return { status: 404, message: 'Problem not found' };
   }
-  
-  if (result.status !== 0 && result.status !== null) {
-    return { error: 'Runtime Error', stderr: result.stderr, stdout: result.stdout };
+
+  const problem = await Problem.findById(problemId);
+  if (!problem || !(problem.isActive || (user && problem.status !== 'archived' && canView(problem, user)))) {
+    return { status: 404, message: 'Problem not found' };
   }
-  
-  return { stdout: result.stdout, stderr: result.stderr, time: result.time };
+
+  const languageId = normalizeLanguage(language);
+  if (!languageId || !problem.allowedLanguages.some(allowed => normalizeLanguage(allowed) === languageId)) {
+    return { status: 400, message: 'Language not supported for this problem' };
+  }
+
+  const standardError = await validateStandard(languageId, standard);
+  if (standardError) {
+    return { status: 400, message: standardError };
+  }
+
+  return { problem, languageId, standard: normalizeStandard(languageId, standard) ?? undefined };
 };
 
-// Execute compiled languages (C, C++, Java)
-const executeCompiled = (language, code, input, timeLimit) => {
-  const uuid = crypto.randomUUID();
-  let sourceFile, compileCmd, compileArgs, executeCmd, executeArgs;
-  const filesToClean = [];
-  
+// Helper function to build the judge options shared by runs and submissions
+const judgeOptionsFor = (problem, code, language, testCases, standard) => ({
+  code,
+  language,
+  standard,
+  testCases,
+  timeLimit: problem.timeLimit,
+  memoryLimit: problem.memoryLimit,
+  checker: problem.checker,
+  interactor: problem.type === 'interactive' ? problem.interactor : undefined,
+  signature: problem.type === 'function' ? problem.signature : undefined
+});
+
+const MAX_CUSTOM_INPUTS = 10;
+const MAX_CUSTOM_INPUT_LENGTH = 1024 * 1024; // characters per input
+
+// POST /api/problems/run - Run code on the sample tests plus optional custom stdin
+router.post('/run', authenticateToken, async (req, res) => {
   try {
-    // Java special rule: must contain "public class Main"
-    if (language === 'java') {
-      if (!code.includes('public class Main')) {
-        return { 
-          error: 'Compilation Error', 
-          stderr: 'Java code must include "public class Main"',
-          stdout: '' 
-        };
+    const { customInput, customInputs } = req.body;
+    const userId = req.user.sub;
+
+    const { problem, languageId, standard, status, message } = await findProblemForJudging(req.body, req.user);
+    if (!problem) {
+      return res.status(status).json({ message });
+    }
+
+    // Accept a single customInput string or a customInputs array
+    const inputs = customInputs ?? (customInput != null ? [customInput] : []);
+    if (!Array.isArray(inputs) || inputs.length > MAX_CUSTOM_INPUTS) {
+      return res.status(400).json({ message: `At most ${MAX_CUSTOM_INPUTS} custom inputs are allowed` });
+    }
+    if (inputs.some(input => typeof input !== 'string' || input.length > MAX_CUSTOM_INPUT_LENGTH)) {
+      return res.status(400).json({ message: 'Custom inputs must be strings of at most 1MB' });
+    }
+
+    // Samples and custom inputs run in one job so the code is compiled once
+    const sampleCount = problem.sampleTestCases.length;
+    const job = enqueueJudge({
+      userId,
+      judgeOptions: judgeOptionsFor(problem, req.body.code, languageId, [
+        ...problem.sampleTestCases,
+        ...inputs.map(input => ({ input, unchecked: true }))
+      ], standard),
+      onTestResult: (testResult, job) => {
+        notifySubmissionUpdate(userId, 'submission-test-result', {
+          submissionId: job.id,
+          mode: 'run',
+          isSample: testResult.testCaseIndex < sampleCount,
+          testResult: toTestResponse(testResult),
+          completedTests: job.completedTests,
+          totalTests: job.totalTests
+        });
       }
-      sourceFile = path.join(TEMP_DIR, 'Main.java');
-      filesToClean.push(sourceFile);
-      filesToClean.push(path.join(TEMP_DIR, 'Main.class'));
-      compileCmd = 'javac';
-      compileArgs = [sourceFile];
-      executeCmd = 'java';
-      executeArgs = ['-cp', TEMP_DIR, 'Main'];
-    } else if (language === 'c') {
-      sourceFile = path.join(TEMP_DIR, `${uuid}.c`);
-      const outputFile = path.join(TEMP_DIR, `${uuid}.out`);
-      filesToClean.push(sourceFile, outputFile);
-      compileCmd = 'gcc';
-      compileArgs = [sourceFile, '-o', outputFile];
-      executeCmd = outputFile;
-      executeArgs = [];
-    } else if (language === 'cpp' || language === 'c++') {
-      sourceFile = path.join(TEMP_DIR, `${uuid}.cpp`);
-      const outputFile = path.join(TEMP_DIR, `${uuid}.out`);
-      filesToClean.push(sourceFile, outputFile);
-      compileCmd = 'g++';
-      compileArgs = [sourceFile, '-o', outputFile];
-      executeCmd = outputFile;
-      executeArgs = [];
-    }
-    
-    // Write source code to file
-    fs.writeFileSync(sourceFile, code, 'utf-8');
-    
-    // Compile
-    const compileResult = spawnSync(compileCmd, compileArgs, {
-      encoding: 'utf-8',
-      timeout: 5000 // 5 second compile timeout
     });
-    
-    if (compileResult.error || compileResult.status !== 0) {
-      return { 
-        error: 'Compilation Error', 
-        stderr: compileResult.stderr || compileResult.error?.message || 'Compilation failed',
-        stdout: '' 
-      };
+
+    job.mode = 'run';
+    job.promise
+      .then((result) => {
+        job.result = buildRunResult(result, sampleCount);
+        notifySubmissionUpdate(userId, 'submission-finished', { ...describeJob(job), mode: 'run', result: job.result });
+      })
+      .catch(() => {
+        notifySubmissionUpdate(userId, 'submission-finished', { ...describeJob(job), mode: 'run' });
+      });
+
+    res.status(202).json(describeJob(job));
+  } catch (error) {
+    if (error instanceof QueueFullError) {
+      return res.status(503).json({ message: error.message });
     }
-    
-    // Execute
-    const execResult = spawnSync(executeCmd, executeArgs, {
-      input: input,
-      timeout: timeLimit || 1000,
-      encoding: 'utf-8',
-      maxBuffer: 10 * 1024 * 1024
-    });
-    
-    if (execResult.error) {
-      if (execResult.error.code === 'ETIMEDOUT') {
-        return { error: 'Time Limit Exceeded', stderr: '', stdout: '' };
-      }
-      return { error: 'Runtime Error', stderr: execResult.error.message, stdout: '' };
+    console.error('Code execution error:', error);
+    res.status(500).json({ message: 'Code execution failed' });
+  }
+});
+
+const MAX_STRESS_ITERATIONS = 1000;
+const MAX_STRESS_TIME_BUDGET = 30000; // ms
+
+// POST /api/problems/stress - Compare code with a brute force on generated inputs until they disagree
+router.post('/stress', authenticateToken, async (req, res) => {
+  try {
+    const { bruteCode, bruteLanguage, generator, generatorName, generatorArgs = [], seed } = req.body;
+
+    const { problem, languageId, status, message } = await findProblemForJudging(req.body, req.user);
+    if (!problem) {
+      return res.status(status).json({ message });
     }
-    
-    if (execResult.status !== 0 && execResult.status !== null) {
-      return { error: 'Runtime Error', stderr: execResult.stderr, stdout: execResult.stdout };
+
+    if (problem.type === 'interactive') {
+      return res.status(400).json({ message: 'Stress testing is not available for interactive problems' });
     }
-    
-    return { stdout: execResult.stdout, stderr: execResult.stderr };
-    
-  } finally {
-    // Clean up all temporary files
-    filesToClean.forEach(file => {
-      try {
-        if (fs.existsSync(file)) {
-          fs.unlinkSync(file);
-        }
-      } catch (err) {
-        console.error(`Failed to delete ${file}:`, err.message);
+    if (!bruteCode || !isSupportedLanguage(bruteLanguage)) {
+      return res.status(400).json({ message: 'bruteCode and a supported bruteLanguage are required' });
+    }
+    if (!Array.isArray(generatorArgs) || generatorArgs.some(arg => /\s/.test(String(arg)))) {
+      return res.status(400).json({ message: 'Generator arguments must be a list of values without whitespace' });
+    }
+
+    // Either a generator sent along, or one of the problem's stored generators
+    let generatorProgram;
+    let skipSeed;
+    if (generatorName) {
+      generatorProgram = problem.generators.find(stored => stored.name === generatorName);
+      if (!generatorProgram) {
+        return res.status(404).json({ message: 'Generator not found' });
       }
+      // Never replay a stored generator on the seeds behind the hidden tests
+      const hiddenSeeds = new Set(problem.generatedTests
+        .filter(test => test.generator === generatorName)
+        .map(test => test.seed));
+      skipSeed = (candidate) => hiddenSeeds.has(String(candidate));
+    } else if (generator?.code && isSupportedLanguage(generator.language)) {
+      generatorProgram = { name: 'generator', code: generator.code, language: generator.language };
+    } else {
+      return res.status(400).json({ message: 'A generator with code and a supported language, or generatorName, is required' });
+    }
+
+    const iterations = Math.min(MAX_STRESS_ITERATIONS, Math.max(1, parseInt(req.body.iterations, 10) || 100));
+    const timeBudget = Math.min(MAX_STRESS_TIME_BUDGET, Math.max(1000, parseInt(req.body.timeBudget, 10) || 10000));
+    // Stored generators always start from a random seed
+    const firstSeed = !generatorName && Number.isInteger(seed) ? seed : Math.floor(Math.random() * 1e9) + 1;
+
+    const report = await stressTest({
+      code: req.body.code,
+      language: languageId,
+      brute: { code: bruteCode, language: bruteLanguage },
+      generator: generatorProgram,
+      generatorArgs: generatorArgs.map(String),
+      iterations,
+      timeBudget,
+      firstSeed,
+      skipSeed,
+      judgeOptions: judgeOptionsFor(problem)
     });
-  }
-};
 
-// Main execution function
-const executeCode = (language, code, input, timeLimit) => {
-  const normalizedLang = language.toLowerCase();
-  
-  // Validate language
-  const supportedLanguages = ['python', 'javascript', 'c', 'cpp', 'c++', 'java'];
-  if (!supportedLanguages.includes(normalizedLang)) {
-    return { 
-      error: 'Runtime Error', 
-      stderr: `Unsupported language: ${language}`,
-      stdout: '' 
-    };
+    res.json({
+      found: report.found,
+      iterations: report.iterations,
+      elapsed: report.elapsed,
+      seed: report.seed,
+      counterexample: report.counterexample ? toTestResponse(report.counterexample) : undefined,
+      bruteFailure: report.bruteFailure,
+      verdict: report.verdict,
+      compileOutput: report.compileOutput
+    });
+  } catch (error) {
+    if (error instanceof QueueFullError) {
+      return res.status(503).json({ message: error.message });
+    }
+    if (error instanceof GeneratorError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Stress test error:', error);
+    res.status(500).json({ message: 'Stress test failed' });
   }
-  
-  // Execute based on language type
-  if (normalizedLang === 'python' || normalizedLang === 'javascript') {
-    return executeInterpreted(normalizedLang, code, input, timeLimit);
+});
+
+// Helper function to store the judge's verdicts on a submission
+const finalizeSubmission = async (submission, result) => {
+  submission.status = result.verdict;
+  submission.testResults = result.testResults.map(toHiddenTestResponse);
+  submission.compileOutput = result.compileOutput;
+  submission.compileWarnings = result.compileWarnings;
+  submission.toolchain = result.toolchain;
+  submission.passedCount = result.passedCount;
+  submission.totalCount = result.totalCount;
+  // Subtask points when the problem has subtasks, otherwise the percentage of tests passed
+  if (result.subtaskResults) {
+    submission.subtaskResults = result.subtaskResults;
+    submission.score = result.score;
+    submission.maxScore = result.maxScore;
   } else {
-    return executeCompiled(normalizedLang === 'c++' ? 'cpp' : normalizedLang, code, input, timeLimit);
+    submission.score = result.totalCount > 0 ? Math.round((result.passedCount / result.totalCount) * 100) : 0;
+    submission.maxScore = 100;
   }
+  submission.executionTime = result.executionTime;
+  submission.memory = result.memoryUsed;
+  await submission.save();
+  return submission;
 };
 
-// POST /api/problems/run - Execute code against test cases
-router.post('/run', authenticateToken, async (req, res) => {
+// Helper function to shape a stored submission for its owner
+const toSubmissionResponse = (submission) => ({
+  submissionId: submission._id,
+  problemId: submission.problemId,
+  problemRevision: submission.problemRevision,
+  language: submission.language,
+  status: submission.status,
+  testResults: submission.testResults,
+  compileOutput: submission.compileOutput,
+  compileWarnings: submission.compileWarnings,
+  toolchain: submission.toolchain,
+  passedCount: submission.passedCount,
+  totalCount: submission.totalCount,
+  subtaskResults: submission.subtaskResults?.length ? submission.subtaskResults : undefined,
+  score: submission.maxScore != null
+    ? submission.score
+    : (submission.totalCount > 0 ? Math.round((submission.passedCount / submission.totalCount) * 100) : 0),
+  maxScore: submission.maxScore ?? 100,
+  executionTime: submission.executionTime,
+  memory: submission.memory,
+  createdAt: submission.createdAt
+});
+
+// POST /api/problems/submit - Judge code against the hidden tests and record the submission
+router.post('/submit', authenticateToken, async (req, res) => {
   try {
-    const { problemId, code, language } = req.body;
-    
-    if (!problemId || !code || !language) {
-      return res.status(400).json({ message: 'problemId, code, and language are required' });
-    }
+    const { code } = req.body;
+    const userId = req.user.sub;
 
-    const problem = await Problem.findOne({ _id: problemId, isActive: true });
+    const { problem, languageId, standard, status, message } = await findProblemForJudging(req.body);
     if (!problem) {
-      return res.status(404).json({ message: 'Problem not found' });
+      return res.status(status).json({ message });
+    }
+
+    const hiddenTests = await getHiddenTests(problem);
+
+    const submission = await Submission.create({
+      userId: req.user.id,
+      problemId: problem._id,
+      code,
+      language: languageId,
+      problemRevision: problem.revision,
+      // The full toolchain is filled in once judged
+      toolchain: { language: languageId, standard },
+      status: 'pending',
+      totalCount: hiddenTests.length
+    });
+
+    let job;
+    try {
+      job = enqueueJudge({
+        id: submission._id.toString(),
+        userId,
+        judgeOptions: {
+          ...judgeOptionsFor(problem, code, languageId, hiddenTests, standard),
+          subtasks: problem.subtasks?.length ? problem.toObject().subtasks : undefined
+        },
+        onTestResult: (testResult, job) => {
+          notifySubmissionUpdate(userId, 'submission-test-result', {
+            submissionId: job.id,
+            mode: 'submit',
+            testResult: { testCaseIndex: testResult.testCaseIndex, ...toHiddenTestResponse(testResult) },
+            completedTests: job.completedTests,
+            totalTests: job.totalTests
+          });
+        }
+      });
+    } catch (err) {
+      await Submission.deleteOne({ _id: submission._id });
+      throw err;
+    }
+
+    job.promise
+      .then((result) => finalizeSubmission(submission, result))
+      .then(async (finalized) => {
+        // Accepted submissions are what records a solve and its rewards
+        const solve = finalized.status === VERDICTS.ACCEPTED
+          ? await recordSolve({ userId: req.user.id, problem, submission: finalized }).catch((err) => {
+            console.error('Record solve error:', err);
+            return null;
+          })
+          : null;
+        notifySubmissionUpdate(userId, 'submission-finished', { mode: 'submit', ...toSubmissionResponse(finalized), solve });
+        await refreshProblemStats(problem._id).catch(err => console.error('Refresh problem stats error:', err));
+      })
+      .catch(async (err) => {
+        console.error('Finalize submission error:', err);
+        submission.status = VERDICTS.JUDGE_ERROR;
+        await submission.save().catch(() => {});
+        notifySubmissionUpdate(userId, 'submission-finished', { mode: 'submit', ...toSubmissionResponse(submission) });
+      });
+
+    res.status(202).json({ ...describeJob(job), mode: 'submit' });
+  } catch (error) {
+    if (error instanceof QueueFullError) {
+      return res.status(503).json({ message: error.message });
+    }
+    if (error instanceof GeneratorError) {
+      // The problem's generators or reference solution failed, not the submission; their details are for the setter
+      console.error('Generate tests for submission error:', error);
+      return res.status(503).json({ message: 'The problem\'s tests could not be generated, please try again later' });
+    }
+    console.error('Submit code error:', error);
+    res.status(500).json({ message: 'Failed to submit code' });
+  }
+});
+
+// GET /api/problems/submissions/:submissionId - Poll a queued run or a recorded submission
+router.get('/submissions/:submissionId', authenticateToken, async (req, res) => {
+  try {
+    const job = getJob(req.params.submissionId);
+
+    // Runs only live in the judge queue
+    if (job?.mode === 'run' && job.userId === req.user.sub) {
+      return res.json({ ...describeJob(job), result: job.result });
+    }
+
+    const submission = mongoose.Types.ObjectId.isValid(req.params.submissionId)
+      ? await Submission.findOne({ _id: req.params.submissionId, userId: req.user.id })
+      : null;
+
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
     }
 
-    if (!problem.allowedLanguages.includes(language)) {
-      return res.status(400).json({ message: 'Language not supported for this problem' });
-    }
-
-    // Get time limit from problem or use defaults
-    const timeLimit = problem.timeLimit || (language.toLowerCase() === 'java' ? 2000 : 1000);
-    
-    // Execute code against test cases
-    const executeTestCase = (testCase) => {
-      const input = testCase.input || '';
-      const expectedOutput = testCase.expectedOutput || '';
-      
-      const startTime = Date.now();
-      const result = executeCode(language, code, input, timeLimit);
-      const executionTime = Date.now() - startTime;
-      
-      // Handle errors
-      if (result.error) {
-        return {
-          input,
-          expectedOutput,
-          actualOutput: `${result.error}${result.stderr ? ': ' + result.stderr : ''}`,
-          passed: false,
-          executionTime
-        };
+    res.json({
+      ...toSubmissionResponse(submission),
+      code: submission.code,
+      queue: job && submission.status === 'pending' ? describeJob(job) : null
+    });
+  } catch (error) {
+    console.error('Get submission status error:', error);
+    res.status(500).json({ message: 'Failed to fetch submission status' });
+  }
+});
+
+
+// Judge stored submissions again, one at a time so live submissions keep getting workers.
+// Verdicts are replaced, owners are notified like for a fresh submission, and solves follow suit.
+const rejudgeSubmissions = async (problem, submissions) => {
+  const hiddenTests = await getHiddenTests(problem);
+  const subtasks = problem.subtasks?.length ? problem.toObject().subtasks : undefined;
+  const affectedUsers = new Set();
+
+  for (const submission of submissions) {
+    const userId = submission.userId.toString();
+    const previousStatus = submission.status;
+    try {
+      const job = enqueueJudge({
+        id: submission._id.toString(),
+        userId,
+        judgeOptions: {
+          // Rejudged with the standard the user picked, flags and version may have moved on
+          ...judgeOptionsFor(problem, submission.code, submission.language, hiddenTests, submission.toolchain?.standard),
+          subtasks
+        }
+      });
+      submission.status = 'pending';
+      submission.problemRevision = problem.revision;
+      await submission.save();
+      await finalizeSubmission(submission, await job.promise);
+    } catch (err) {
+      console.error(`Rejudge submission ${submission._id} error:`, err);
+      if (err instanceof QueueFullError) {
+        submission.status = previousStatus;
+      } else {
+        // The old verdict no longer stands, so neither does its score
+        submission.status = VERDICTS.JUDGE_ERROR;
+        submission.score = 0;
+        submission.passedCount = 0;
+        submission.subtaskResults = [];
       }
-      
-      // Compare outputs
-      const actualOutput = result.stdout || '';
-      const processedActual = preprocessOutput(actualOutput);
-      const processedExpected = preprocessOutput(expectedOutput);
-      const passed = processedActual === processedExpected;
-      
-      return {
-        input,
-        expectedOutput,
-        actualOutput,
-        passed,
-        executionTime
-      };
-    };
+      await submission.save().catch(() => {});
+    }
+    affectedUsers.add(userId);
+    notifySubmissionUpdate(userId, 'submission-finished', { mode: 'submit', rejudged: true, ...toSubmissionResponse(submission) });
+  }
+
+  for (const userId of affectedUsers) {
+    await syncSolve(userId, problem).catch(err => console.error('Sync solve error:', err));
+  }
+  await refreshProblemStats(problem._id).catch(err => console.error('Refresh problem stats error:', err));
+};
+
+// POST /api/problems/:id/rejudge - Rejudge every submission to a problem, e.g. after fixing its tests (only by creator)
+router.post('/:id/rejudge', authenticateToken, async (req, res) => {
+  try {
+    const problem = await Problem.findOne({ _id: req.params.id, createdBy: req.user.id });
+    
+    if (!problem) {
+      return res.status(404).json({ message: 'Problem not found or you are not authorized to edit it' });
+    }
     
-    const sampleResults = problem.sampleTestCases.map(executeTestCase);
-    const hiddenResults = problem.hiddenTestCases.map(executeTestCase);
+    const submissions = await Submission.find({ problemId: problem._id, status: { $ne: 'pending' } }).sort({ createdAt: 1 });
+    
+    // Runs in the background, owners hear about each new verdict over the socket
+    rejudgeSubmissions(problem, submissions).catch(err => console.error('Rejudge problem error:', err));
+    
+    res.status(202).json({ message: 'Rejudge started', submissions: submissions.length });
+  } catch (error) {
+    console.error('Rejudge problem error:', error);
+    res.status(500).json({ message: 'Failed to start rejudge' });
+  }
+});
 
-    const totalTests = sampleResults.length + hiddenResults.length;
-    const passedTests = [...sampleResults, ...hiddenResults].filter(r => r.passed).length;
-    const score = Math.round((passedTests / totalTests) * 100);
+// POST /api/problems/submissions/:submissionId/rejudge - Rejudge one submission (only by the problem's creator)
+router.post('/submissions/:submissionId/rejudge', authenticateToken, async (req, res) => {
+  try {
+    const submission = mongoose.Types.ObjectId.isValid(req.params.submissionId)
+      ? await Submission.findById(req.params.submissionId)
+      : null;
+    const problem = submission && await Problem.findOne({ _id: submission.problemId, createdBy: req.user.id });
     
-    // Calculate max execution time
-    const allResults = [...sampleResults, ...hiddenResults];
-    const maxExecutionTime = Math.max(...allResults.map(r => r.executionTime || 0));
+    if (!problem) {
+      return res.status(404).json({ message: 'Submission not found or you are not authorized to rejudge it' });
+    }
+    if (submission.status === 'pending') {
+      return res.status(409).json({ message: 'Submission is still being judged' });
+    }
     
-    // Mock memory usage (realistic range)
-    const memoryUsed = Math.random() * 50 + 10; // 10-60 MB
+    await rejudgeSubmissions(problem, [submission]);
+    
+    res.json(toSubmissionResponse(submission));
+  } catch (error) {
+    console.error('Rejudge submission error:', error);
+    res.status(500).json({ message: 'Failed to rejudge submission' });
+  }
+});
+
+const MAX_SUBMISSIONS_PAGE_SIZE = 100;
+
+// GET /api/problems/:id/submissions - Current user's submission history for a problem
+router.get('/:id/submissions', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Problem not found' });
+    }
+
+    const { status, language } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_SUBMISSIONS_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const query = { userId: req.user.id, problemId: req.params.id };
+    if (status) {
+      query.status = status;
+    }
+    if (language) {
+      query.language = normalizeLanguage(language) || language;
+    }
+
+    const [submissions, total] = await Promise.all([
+      Submission.find(query)
+        .select('-code -testResults -__v')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Submission.countDocuments(query)
+    ]);
 
     res.json({
-      sampleResults,
-      hiddenResults,
-      score,
-      executionTime: maxExecutionTime,
-      memoryUsed
+      submissions: submissions.map(submission => {
+        const { testResults, ...summary } = toSubmissionResponse(submission);
+        return summary;
+      }),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
     });
   } catch (error) {
-    console.error('Code execution error:', error);
-    res.status(500).json({ message: 'Code execution failed' });
+    console.error('Get submission history error:', error);
+    res.status(500).json({ message: 'Failed to fetch submissions' });
+  }
+});
+
+// Helper function to describe how a number changed between two submissions
+const toChange = (from, to) => ({
+  from: from ?? null,
+  to: to ?? null,
+  delta: from != null && to != null ? to - from : null
+});
+
+// GET /api/problems/submissions/:submissionId/diff/:otherId - Compare two of the user's submissions
+router.get('/submissions/:submissionId/diff/:otherId', authenticateToken, async (req, res) => {
+  try {
+    const ids = [req.params.submissionId, req.params.otherId];
+    if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    const submissions = await Submission.find({ _id: { $in: ids }, userId: req.user.id });
+    const [base, compare] = ids.map(id => submissions.find(submission => submission._id.equals(id)));
+    if (!base || !compare) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    const { testResults: baseTests, ...baseSummary } = toSubmissionResponse(base);
+    const { testResults: compareTests, ...compareSummary } = toSubmissionResponse(compare);
+
+    res.json({
+      base: baseSummary,
+      compare: compareSummary,
+      code: diffText(base.code, compare.code),
+      status: { from: base.status, to: compare.status },
+      passedCount: toChange(base.passedCount, compare.passedCount),
+      score: toChange(baseSummary.score, compareSummary.score),
+      executionTime: toChange(base.executionTime, compare.executionTime),
+      memory: toChange(base.memory, compare.memory),
+      // Tests whose verdict changed, compared by position when both ran against the same test set
+      changedTests: baseTests.length === compareTests.length
+        ? baseTests
+          .map((test, index) => ({ testCaseIndex: index, from: test.verdict, to: compareTests[index].verdict }))
+          .filter(change => change.from !== change.to)
+        : null
+    });
+  } catch (error) {
+    console.error('Diff submissions error:', error);
+    res.status(500).json({ message: 'Failed to compare submissions' });
   }
 });
 
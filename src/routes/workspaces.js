@@ -0,0 +1,102 @@
+import express from "express";
+import authenticateToken from "../middleware/auth.js";
+import {
+  WorkspaceError,
+  listWorkspaces,
+  getWorkspace,
+  createWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  writeFile,
+  deleteFile,
+  renameFile
+} from "../services/workspaces.js";
+
+// REST access to the code editor's workspaces; the editor sockets offer the same operations
+// (see editorWorkspaces.js) and run them
+const router = express.Router();
+
+// Helper function to answer with a workspace error, or a 500 for anything else
+const sendError = (res, error, label, message) => {
+  if (error instanceof WorkspaceError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ message });
+};
+
+// GET /api/workspaces - The current user's workspaces, without file contents
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    res.json({ workspaces: await listWorkspaces(req.user.id) });
+  } catch (error) {
+    sendError(res, error, 'List workspaces', 'Failed to fetch workspaces');
+  }
+});
+
+// POST /api/workspaces - Create a workspace from { name, language, entryPoint?, files? }
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    res.status(201).json(await createWorkspace(req.user.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'Create workspace', 'Failed to create workspace');
+  }
+});
+
+// GET /api/workspaces/:id - A workspace with all of its files
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    res.json(await getWorkspace(req.user.id, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Get workspace', 'Failed to fetch workspace');
+  }
+});
+
+// PUT /api/workspaces/:id - Change the name, language or entry point
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    res.json(await updateWorkspace(req.user.id, req.params.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'Update workspace', 'Failed to update workspace');
+  }
+});
+
+// DELETE /api/workspaces/:id
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    await deleteWorkspace(req.user.id, req.params.id);
+    res.json({ message: 'Workspace deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Delete workspace', 'Failed to delete workspace');
+  }
+});
+
+// PUT /api/workspaces/:id/files - Create or overwrite the file { path, content }
+router.put('/:id/files', authenticateToken, async (req, res) => {
+  try {
+    const file = await writeFile(req.user.id, req.params.id, req.body.path, req.body.content);
+    res.status(file.created ? 201 : 200).json(file);
+  } catch (error) {
+    sendError(res, error, 'Write workspace file', 'Failed to save file');
+  }
+});
+
+// POST /api/workspaces/:id/files/rename - Move the file { from, to }
+router.post('/:id/files/rename', authenticateToken, async (req, res) => {
+  try {
+    res.json(await renameFile(req.user.id, req.params.id, req.body.from, req.body.to));
+  } catch (error) {
+    sendError(res, error, 'Rename workspace file', 'Failed to rename file');
+  }
+});
+
+// DELETE /api/workspaces/:id/files?path=src/util.py
+router.delete('/:id/files', authenticateToken, async (req, res) => {
+  try {
+    res.json(await deleteFile(req.user.id, req.params.id, req.query.path));
+  } catch (error) {
+    sendError(res, error, 'Delete workspace file', 'Failed to delete file');
+  }
+});
+
+export default router;
@@ -0,0 +1,142 @@
+import path from "path";
+import zlib from "zlib";
+import AdmZip from "adm-zip";
+
+// Zip archives of problem packages (see problemPackages.js). Archives are read in memory and
+// never extracted, so entry names can't reach the filesystem. The sizes in an entry's header are
+// only claims: entries are inflated with their output capped to what the package may still
+// unpack to, and must come out at the size they claim.
+
+const MAX_ENTRIES = 5000;
+const MAX_ENTRY_SIZE = 16 * 1024 * 1024; // bytes, a problem document can't hold more anyway
+const MAX_INFLATED_SIZE = 64 * 1024 * 1024; // bytes read from one package
+const MAX_INCLUDE_DEPTH = 8;
+const MAX_COMPRESSION_RATIO = 1032; // the most deflate can reach
+
+const STORED = 0;
+const DEFLATED = 8;
+
+class PackageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PackageError';
+  }
+}
+
+// Open a zip held in a Buffer. Packages zipped together with their folder ("a-plus-b/problem.xml")
+// are read as if zipped from inside it, markers being the files expected at the package root.
+const openArchive = (buffer, markers = []) => {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch {
+    throw new PackageError('The package is not a valid zip archive');
+  }
+
+  const entries = zip.getEntries().filter(entry => !entry.isDirectory);
+  if (entries.length > MAX_ENTRIES) {
+    throw new PackageError(`A package holds at most ${MAX_ENTRIES} files`);
+  }
+
+  const names = entries.map(entry => entry.entryName.replace(/\\/g, '/').replace(/^\/+/, ''));
+  const folders = new Set(names.map(name => name.split('/')[0]));
+  const root = !markers.some(marker => names.includes(marker)) && folders.size === 1 && names.every(name => name.includes('/'))
+    ? `${[...folders][0]}/`
+    : '';
+
+  const files = new Map(entries.map((entry, i) => [names[i].slice(root.length), entry]));
+  let inflated = 0;
+
+  // Deflate adds at most 5 bytes per block, so compressed data much larger than its size is forged too
+  const sizesFit = ({ method, size, compressedSize }) => (method === STORED
+    ? compressedSize === size
+    : size <= compressedSize * MAX_COMPRESSION_RATIO && compressedSize <= size + 5 * Math.ceil(size / 16384) + 16);
+
+  const read = (name) => {
+    const entry = files.get(name);
+    if (!entry) return null;
+    const { method, size, encrypted } = entry.header;
+    if (size > MAX_ENTRY_SIZE) {
+      throw new PackageError(`${name} is larger than ${MAX_ENTRY_SIZE / 1024 / 1024}MB`);
+    }
+    if (encrypted || (method !== STORED && method !== DEFLATED)) {
+      throw new PackageError(`${name} is encrypted or compressed with an unsupported method`);
+    }
+    if (!sizesFit(entry.header)) {
+      throw new PackageError(`${name} has a damaged header`);
+    }
+    const remaining = Math.min(MAX_ENTRY_SIZE, MAX_INFLATED_SIZE - inflated);
+    if (size > remaining) {
+      throw new PackageError(`The package unpacks to more than ${MAX_INFLATED_SIZE / 1024 / 1024}MB`);
+    }
+
+    let data;
+    try {
+      const compressed = entry.getCompressedData();
+      data = method === STORED
+        ? compressed
+        : zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(1, remaining) });
+    } catch (err) {
+      if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw new PackageError(`${name} unpacks to more than its header says`);
+      }
+      throw new PackageError(`${name} could not be unpacked`);
+    }
+    if (data.length !== size) {
+      throw new PackageError(`${name} unpacks to ${data.length} bytes, its header says ${size}`);
+    }
+    inflated += data.length;
+    return data;
+  };
+
+  return {
+    has: (name) => files.has(name),
+    // Files under a folder ("tests/"), in natural order so 2 comes before 10
+    list: (folder) => [...files.keys()]
+      .filter(name => name.startsWith(folder))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true })),
+    // Content as UTF-8 text without a byte order mark, null when the file is missing
+    text: (name) => {
+      const data = read(name);
+      return data === null ? null : data.toString('utf8').replace(/^\uFEFF/, '');
+    }
+  };
+};
+
+// Source of a setter program. C and C++ programs are compiled as a single file, so headers the
+// package ships next to them (testlib.h and the like) are pasted in place of their #include.
+// searchFolders lists further package folders to look for headers in.
+const readProgramSource = (archive, file, searchFolders = []) => {
+  const code = archive.text(file);
+  if (code === null) {
+    throw new PackageError(`${file} is missing from the package`);
+  }
+  if (!['.c', '.cpp', '.cc', '.cxx', '.h', '.hpp'].includes(path.extname(file).toLowerCase())) {
+    return code;
+  }
+
+  const included = new Set();
+  const inline = (source, from, depth) => source.replace(/^[ \t]*#[ \t]*include[ \t]*"([^"]+)".*$/gm, (line, header) => {
+    const candidates = [path.posix.join(path.posix.dirname(from), header), ...searchFolders.map(folder => path.posix.join(folder, header))];
+    const found = candidates.find(candidate => archive.has(candidate));
+    if (!found) return line;
+    if (included.has(found)) return '';
+    if (depth >= MAX_INCLUDE_DEPTH) {
+      throw new PackageError(`${file} nests #include deeper than ${MAX_INCLUDE_DEPTH} levels`);
+    }
+    included.add(found);
+    return inline(archive.text(found), found, depth + 1);
+  });
+  return inline(code, file, 0);
+};
+
+// Zip a list of { path, content } into a Buffer
+const buildArchive = (files) => {
+  const zip = new AdmZip();
+  for (const file of files) {
+    zip.addFile(file.path, Buffer.from(file.content ?? '', 'utf8'));
+  }
+  return zip.toBuffer();
+};
+
+export { PackageError, openArchive, readProgramSource, buildArchive };
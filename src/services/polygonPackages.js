@@ -0,0 +1,220 @@
+import path from "path";
+import { XMLParser } from "fast-xml-parser";
+import { LANGUAGE_IDS, languageForFile } from "../judge/languages.js";
+import { PackageError, readProgramSource } from "./packageArchive.js";
+
+// Reader for Polygon problem packages (problem.xml at the root). Only full packages can be
+// imported: Polygon generators take their parameters on the command line, so the tests have to be
+// in the package already generated. Setter programs are testlib programs, which is the protocol
+// custom checkers, interactors and validators use here as well; testlib.h is pasted into their
+// source from the package's files/ folder.
+
+// Elements that repeat, parsed as lists even when a package has just one
+const LIST_ELEMENTS = new Set(['name', 'test', 'testset', 'group', 'dependency', 'validator', 'solution', 'tag']);
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  parseAttributeValue: false,
+  isArray: (name, jpath, isLeafNode, isAttribute) => !isAttribute && LIST_ELEMENTS.has(name)
+});
+
+// Polygon's standard checkers that a built-in comparison replaces
+const STANDARD_CHECKERS = {
+  'std::wcmp.cpp': { type: 'tokens' },
+  'std::ncmp.cpp': { type: 'tokens' },
+  'std::hcmp.cpp': { type: 'tokens' },
+  'std::lcmp.cpp': { type: 'tokens' },
+  'std::yesno.cpp': { type: 'tokens' },
+  'std::nyesno.cpp': { type: 'tokens' },
+  'std::fcmp.cpp': { type: 'default' },
+  'std::rcmp4.cpp': { type: 'float', absoluteError: 1e-4, relativeError: 1e-4 },
+  'std::rcmp6.cpp': { type: 'float', absoluteError: 1e-6, relativeError: 1e-6 },
+  'std::rcmp9.cpp': { type: 'float', absoluteError: 1e-9, relativeError: 1e-9 }
+};
+
+// Statement sections in the order the description shows them; the input section becomes the constraints
+const STATEMENT_SECTIONS = [
+  ['legend', null],
+  ['output', 'Output'],
+  ['interaction', 'Interaction'],
+  ['scoring', 'Scoring'],
+  ['notes', 'Notes']
+];
+
+const HEADER_FOLDERS = ['files'];
+
+const DEFAULT_DIFFICULTY = 'Medium';
+
+// Expand a path pattern such as "tests/%02d" for a 1-based test number
+const testPath = (pattern, number) => pattern.replace(/%(0?)(\d*)d/, (_, zero, width) => String(number).padStart(Number(width) || 0, zero ? '0' : ' '));
+
+// English when the package has it, otherwise its first language
+const pickLanguage = (languages) => (languages.includes('english') ? 'english' : languages[0]);
+
+const readProgram = (archive, source, label) => {
+  if (!source?.path) {
+    throw new PackageError(`The ${label} in problem.xml has no source`);
+  }
+  return {
+    code: readProgramSource(archive, source.path, HEADER_FOLDERS),
+    language: languageForFile(source.path)
+  };
+};
+
+// Statement sections live in statement-sections/<language>/*.tex, or in problem-properties.json
+// of packages built with newer Polygon versions
+const readStatement = (archive, problem) => {
+  const statements = [problem.statements?.statement].flat().filter(Boolean);
+  const language = pickLanguage([
+    ...statements.map(statement => statement.language),
+    ...archive.list('statement-sections/').map(file => file.split('/')[1])
+  ].filter(Boolean));
+  if (!language) {
+    throw new PackageError('The package has no statement');
+  }
+
+  let sections = {};
+  const properties = archive.text(`statements/${language}/problem-properties.json`);
+  if (properties) {
+    try {
+      sections = JSON.parse(properties);
+    } catch {
+      throw new PackageError(`statements/${language}/problem-properties.json is not valid JSON`);
+    }
+  } else {
+    for (const section of ['legend', 'input', ...STATEMENT_SECTIONS.map(([name]) => name)]) {
+      sections[section] = archive.text(`statement-sections/${language}/${section}.tex`) ?? undefined;
+    }
+  }
+
+  const description = STATEMENT_SECTIONS
+    .filter(([name]) => sections[name]?.trim())
+    .map(([name, heading]) => (heading ? `## ${heading}\n\n${sections[name].trim()}` : sections[name].trim()))
+    .join('\n\n');
+  if (!description) {
+    throw new PackageError(`The ${language} statement is empty`);
+  }
+  return { language, description, constraints: sections.input?.trim(), title: sections.name };
+};
+
+// Polygon groups with complete-group scoring map onto subtasks; per test points can't be kept
+const readSubtasks = (testset, tests, warnings) => {
+  const groups = testset.groups?.group || [];
+  if (groups.length === 0) {
+    if (tests.some(test => Number(test.points) > 0)) {
+      warnings.push('Per test points were dropped, the problem is scored by the share of tests passed');
+    }
+    return undefined;
+  }
+
+  const names = groups.map(group => String(group.name));
+  return groups.map((group) => {
+    const name = String(group.name);
+    const indexes = tests.map((test, index) => (String(test.group) === name ? index : -1)).filter(index => index !== -1);
+    const points = group.points !== undefined
+      ? Number(group.points)
+      : indexes.reduce((sum, index) => sum + (Number(tests[index].points) || 0), 0);
+    if (group['points-policy'] === 'each-test') {
+      warnings.push(`Group ${name} scores each test, it was imported as a subtask worth its total points`);
+    }
+    return {
+      name,
+      points,
+      tests: indexes,
+      dependencies: [group.dependencies?.dependency || []].flat().map(dependency => names.indexOf(String(dependency.group))),
+      stopOnFirstFailure: true
+    };
+  });
+};
+
+// Read a Polygon package into the fields of a new problem, returns { data, warnings }
+const readPolygonPackage = (archive, { difficulty, topic, allowedLanguages } = {}) => {
+  let problem;
+  try {
+    problem = parser.parse(archive.text('problem.xml')).problem;
+  } catch (err) {
+    throw new PackageError(`problem.xml is not valid XML: ${err.message}`);
+  }
+  if (!problem) {
+    throw new PackageError('problem.xml has no <problem> element');
+  }
+
+  const warnings = [];
+  const judging = problem.judging || {};
+  if (judging['input-file'] || judging['output-file']) {
+    throw new PackageError('Problems reading or writing files are not supported, only standard input and output');
+  }
+  const testset = (judging.testset || []).find(set => set.name === 'tests') || judging.testset?.[0];
+  if (!testset?.['input-path-pattern'] || !testset['answer-path-pattern']) {
+    throw new PackageError('problem.xml has no testset with input and answer path patterns');
+  }
+
+  const statement = readStatement(archive, problem);
+  const names = problem.names?.name || [];
+  const title = names.find(name => name.language === statement.language)?.value || names[0]?.value || statement.title || problem['short-name'];
+
+  const interactive = Boolean(problem.assets?.interactor);
+  const tests = testset.tests?.test || [];
+  if (tests.length === 0) {
+    throw new PackageError('The testset has no tests');
+  }
+  const testCases = tests.map((test, index) => {
+    const inputFile = testPath(testset['input-path-pattern'], index + 1);
+    const input = archive.text(inputFile);
+    if (input === null) {
+      throw new PackageError(`Test ${index + 1} (${inputFile}) is missing, export a full package with generated tests`);
+    }
+    const answerFile = testPath(testset['answer-path-pattern'], index + 1);
+    const expectedOutput = archive.text(answerFile);
+    if (expectedOutput === null && !interactive) {
+      throw new PackageError(`The answer of test ${index + 1} (${answerFile}) is missing`);
+    }
+    return { input, expectedOutput: expectedOutput ?? '' };
+  });
+
+  const assets = problem.assets || {};
+  const checkerSource = assets.checker?.source;
+  let checker = STANDARD_CHECKERS[assets.checker?.name];
+  if (!checker && checkerSource) {
+    checker = { type: 'custom', ...readProgram(archive, checkerSource, 'checker') };
+  }
+
+  const solutions = assets.solutions?.solution || [];
+  const main = solutions.find(solution => solution.tag === 'main');
+  const others = solutions.filter(solution => solution !== main && solution.source?.path);
+  if (others.length > 0) {
+    warnings.push(`Only the main solution is kept, skipped: ${others.map(solution => `${path.posix.basename(solution.source.path)} (${solution.tag})`).join(', ')}`);
+  }
+  const validator = assets.validators?.validator?.[0];
+
+  if (!difficulty) {
+    warnings.push(`Polygon packages carry no difficulty, imported as ${DEFAULT_DIFFICULTY}`);
+  }
+
+  return {
+    data: {
+      title,
+      description: statement.description,
+      constraints: statement.constraints,
+      difficulty: difficulty || DEFAULT_DIFFICULTY,
+      topic,
+      tags: (problem.tags?.tag || []).map(tag => tag.value).filter(Boolean),
+      type: interactive ? 'interactive' : 'standard',
+      timeLimit: Number(testset['time-limit']) || undefined,
+      memoryLimit: Number(testset['memory-limit']) ? Math.round(Number(testset['memory-limit']) / (1024 * 1024)) : undefined,
+      allowedLanguages: allowedLanguages?.length ? allowedLanguages : LANGUAGE_IDS,
+      // Samples are part of the judged tests in Polygon, so they stay among the hidden ones too
+      sampleTestCases: testCases.filter((_, index) => tests[index].sample === 'true'),
+      hiddenTestCases: testCases,
+      subtasks: readSubtasks(testset, tests, warnings),
+      checker,
+      interactor: interactive ? readProgram(archive, assets.interactor.source, 'interactor') : undefined,
+      validator: validator ? readProgram(archive, validator.source, 'validator') : undefined,
+      referenceSolution: main ? readProgram(archive, main.source, 'main solution') : undefined
+    },
+    warnings
+  };
+};
+
+export { readPolygonPackage };
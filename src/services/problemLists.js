@@ -0,0 +1,367 @@
+import { mongoose } from "mongoose";
+import ProblemList from "../models/ProblemList.js";
+import Problem from "../models/Problem.js";
+import User from "../models/User.js";
+
+// Problem lists (study sheets): ordered sections of problems, owned by a user or an admin.
+// Progress through a list is computed from the reader's solves, never stored on the list.
+// Every function takes the authenticated req.user (or null for anonymous visitors) and throws a
+// ListError carrying the HTTP status to answer with.
+
+const MAX_LISTS_PER_USER = 50;
+const MAX_SECTIONS = 50;
+const MAX_PROBLEMS = 500; // over all sections
+const MAX_PAGE_SIZE = 50;
+
+class ListError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ListError';
+    this.status = status;
+  }
+}
+
+const isAdmin = (user) => user?.role === 'admin';
+
+const isListOwner = (list, user) => Boolean(user) && String(list.ownerId?._id ?? list.ownerId) === user.sub;
+
+// Private lists only exist for their owner (and admins)
+async function findVisibleList(user, listId) {
+  const list = mongoose.Types.ObjectId.isValid(listId) ? await ProblemList.findById(listId) : null;
+  if (!list || (list.visibility !== 'public' && !isListOwner(list, user) && !isAdmin(user))) {
+    throw new ListError(404, 'List not found');
+  }
+  return list;
+}
+
+async function findOwnList(user, listId) {
+  const list = await findVisibleList(user, listId);
+  if (!isListOwner(list, user) && !isAdmin(user)) {
+    throw new ListError(403, 'Only the list\'s owner can change it');
+  }
+  return list;
+}
+
+// Solves are keyed like recordSolve keys them: the problem's slug, or its id for older problems
+const problemKey = (problem) => problem.problemId || problem._id.toString();
+
+async function getSolvedKeys(user) {
+  if (!user) return new Set();
+  const found = await User.findById(user.id).select('solvedProblems.problemId');
+  return new Set((found?.solvedProblems || []).map(solve => solve.problemId));
+}
+
+// Validate { title, description, problems: [{ problemId, note }] } sections from a request.
+// Problems must be published, each at most once per list.
+async function toSections(sections) {
+  if (!Array.isArray(sections)) {
+    throw new ListError(400, 'sections must be a list of { title, description, problems }');
+  }
+  if (sections.length > MAX_SECTIONS) {
+    throw new ListError(400, `A list holds at most ${MAX_SECTIONS} sections`);
+  }
+
+  const result = sections.map((section, index) => {
+    if (!section || typeof section !== 'object' || !String(section.title ?? '').trim()) {
+      throw new ListError(400, `Section ${index + 1} needs a title`);
+    }
+    if (section.problems !== undefined && !Array.isArray(section.problems)) {
+      throw new ListError(400, `problems of section "${section.title}" must be a list`);
+    }
+    return {
+      title: String(section.title).trim(),
+      description: section.description != null ? String(section.description) : undefined,
+      problems: (section.problems || []).map(entry => ({
+        problemId: typeof entry === 'string' ? entry : entry?.problemId,
+        note: entry?.note != null ? String(entry.note) : undefined
+      }))
+    };
+  });
+
+  const ids = result.flatMap(section => section.problems.map(entry => String(entry.problemId)));
+  if (ids.length > MAX_PROBLEMS) {
+    throw new ListError(400, `A list holds at most ${MAX_PROBLEMS} problems`);
+  }
+  const invalid = ids.find(id => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid !== undefined) {
+    throw new ListError(400, `Invalid problem id: ${invalid}`);
+  }
+  if (new Set(ids).size !== ids.length) {
+    throw new ListError(400, 'A problem can only appear once in a list');
+  }
+  const published = await Problem.countDocuments({ _id: { $in: ids }, isActive: true });
+  if (published !== ids.length) {
+    throw new ListError(400, 'Lists can only hold published problems');
+  }
+  return result;
+}
+
+// Listing entry, without the problems
+function summarizeList(list, user) {
+  const problemCount = list.sections.reduce((count, section) => count + section.problems.length, 0);
+  return {
+    listId: list._id,
+    title: list.title,
+    description: list.description,
+    visibility: list.visibility,
+    featured: list.featured,
+    owner: list.ownerId,
+    official: list.ownerId?.role === 'admin',
+    forkedFrom: list.forkedFrom,
+    sections: list.sections.length,
+    problems: problemCount,
+    followerCount: list.followerCount,
+    forkCount: list.forkCount,
+    isOwner: isListOwner(list, user),
+    createdAt: list.createdAt,
+    updatedAt: list.updatedAt
+  };
+}
+
+// Full list with each problem's details and the reader's progress. Problems archived since they
+// were added stay in place, marked unavailable, and don't count towards progress.
+async function describeList(list, user) {
+  const ids = list.sections.flatMap(section => section.problems.map(entry => entry.problemId));
+  const [problems, solvedKeys] = await Promise.all([
+    Problem.find({ _id: { $in: ids } }).select('problemId title difficulty topic tags isActive'),
+    getSolvedKeys(user)
+  ]);
+  const byId = new Map(problems.map(problem => [problem._id.toString(), problem]));
+
+  const progress = (entries) => {
+    const available = entries.filter(entry => entry.available);
+    const solved = available.filter(entry => entry.solved).length;
+    return {
+      solved,
+      total: available.length,
+      percentage: available.length > 0 ? Math.round((solved / available.length) * 100) : 0
+    };
+  };
+
+  const sections = list.sections.map((section) => {
+    const entries = section.problems.map((entry) => {
+      const problem = byId.get(entry.problemId.toString());
+      return {
+        problemId: entry.problemId,
+        id: problem ? problemKey(problem) : undefined,
+        title: problem?.title,
+        difficulty: problem?.difficulty,
+        topic: problem?.topic,
+        tags: problem?.tags,
+        note: entry.note,
+        available: Boolean(problem?.isActive),
+        solved: Boolean(problem?.isActive) && solvedKeys.has(problemKey(problem))
+      };
+    });
+    return {
+      sectionId: section._id,
+      title: section.title,
+      description: section.description,
+      problems: entries,
+      progress: user ? progress(entries) : undefined
+    };
+  });
+
+  const following = user
+    ? Boolean(await User.exists({ _id: user.id, followedLists: list._id }))
+    : false;
+
+  return {
+    ...summarizeList(list, user),
+    sections,
+    following,
+    progress: user ? progress(sections.flatMap(section => section.problems)) : undefined
+  };
+}
+
+// Public lists, most followed first; search matches titles and descriptions
+async function browseLists(user, { search, featured, page = 1, limit = 20 } = {}) {
+  const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || 20));
+  const query = { visibility: 'public' };
+  if (featured) query.featured = true;
+  if (search) query.$text = { $search: String(search) };
+
+  const [lists, total] = await Promise.all([
+    ProblemList.find(query)
+      .populate('ownerId', 'username fullName role')
+      .sort({ featured: -1, followerCount: -1, updatedAt: -1 })
+      .limit(pageSize)
+      .skip((pageNumber - 1) * pageSize),
+    ProblemList.countDocuments(query)
+  ]);
+
+  return {
+    lists: lists.map(list => summarizeList(list, user)),
+    totalPages: Math.ceil(total / pageSize),
+    currentPage: pageNumber,
+    total
+  };
+}
+
+// The user's own lists and the ones they follow
+async function getMyLists(user) {
+  const me = await User.findById(user.id).select('followedLists');
+  const [owned, followed] = await Promise.all([
+    ProblemList.find({ ownerId: user.id }).populate('ownerId', 'username fullName role').sort({ updatedAt: -1 }),
+    ProblemList.find({ _id: { $in: me?.followedLists || [] }, visibility: 'public' }).populate('ownerId', 'username fullName role')
+  ]);
+  return {
+    owned: owned.map(list => summarizeList(list, user)),
+    following: followed.map(list => summarizeList(list, user))
+  };
+}
+
+async function getList(user, listId) {
+  const list = await findVisibleList(user, listId);
+  await list.populate('ownerId', 'username fullName role');
+  return describeList(list, user);
+}
+
+async function createList(user, { title, description, visibility, sections = [] }) {
+  if (!title || !String(title).trim()) {
+    throw new ListError(400, 'title is required');
+  }
+  if (await ProblemList.countDocuments({ ownerId: user.id }) >= MAX_LISTS_PER_USER) {
+    throw new ListError(400, `You can keep at most ${MAX_LISTS_PER_USER} lists`);
+  }
+
+  const fields = {
+    ownerId: user.id,
+    title,
+    description,
+    visibility,
+    sections: await toSections(sections)
+  };
+  let list;
+  try {
+    list = await ProblemList.create(fields);
+  } catch (err) {
+    if (err instanceof mongoose.Error.ValidationError) {
+      throw new ListError(400, err.message);
+    }
+    throw err;
+  }
+  return getList(user, list._id);
+}
+
+// Change any of title, description, visibility and sections (replaced as a whole);
+// admins can also feature a list
+async function updateList(user, listId, { title, description, visibility, sections, featured }) {
+  const list = await findOwnList(user, listId);
+
+  if (title !== undefined) {
+    if (!String(title).trim()) {
+      throw new ListError(400, 'title can not be empty');
+    }
+    list.title = title;
+  }
+  if (description !== undefined) list.description = description;
+  if (visibility !== undefined) list.visibility = visibility;
+  if (sections !== undefined) list.sections = await toSections(sections);
+  if (featured !== undefined) {
+    if (!isAdmin(user)) {
+      throw new ListError(403, 'Only admins can feature lists');
+    }
+    list.featured = Boolean(featured);
+  }
+  // A featured sheet is on the public sheets page, so it has to stay public
+  if (list.featured && list.visibility !== 'public') {
+    throw new ListError(400, 'Featured lists must be public');
+  }
+
+  try {
+    await list.save();
+  } catch (err) {
+    if (err instanceof mongoose.Error.ValidationError) {
+      throw new ListError(400, err.message);
+    }
+    throw err;
+  }
+  return getList(user, list._id);
+}
+
+async function deleteList(user, listId) {
+  const list = await findOwnList(user, listId);
+  await list.deleteOne();
+  await User.updateMany({ followedLists: list._id }, { $pull: { followedLists: list._id } });
+}
+
+// Copy a list into a new private list of the user, problems that are no longer published left out
+async function forkList(user, listId, { title } = {}) {
+  const source = await findVisibleList(user, listId);
+  if (await ProblemList.countDocuments({ ownerId: user.id }) >= MAX_LISTS_PER_USER) {
+    throw new ListError(400, `You can keep at most ${MAX_LISTS_PER_USER} lists`);
+  }
+
+  const ids = source.sections.flatMap(section => section.problems.map(entry => entry.problemId));
+  const published = new Set((await Problem.find({ _id: { $in: ids }, isActive: true }).select('_id'))
+    .map(problem => problem._id.toString()));
+
+  const fork = await ProblemList.create({
+    ownerId: user.id,
+    title: title || source.title,
+    description: source.description,
+    visibility: 'private',
+    forkedFrom: source._id,
+    sections: source.sections.map(section => ({
+      title: section.title,
+      description: section.description,
+      problems: section.problems
+        .filter(entry => published.has(entry.problemId.toString()))
+        .map(entry => ({ problemId: entry.problemId, note: entry.note }))
+    }))
+  });
+  await ProblemList.updateOne({ _id: source._id }, { $inc: { forkCount: 1 } });
+  return getList(user, fork._id);
+}
+
+// Follow a public list, or unfollow any list, including one made private since; the follower
+// count only moves when the user's set changed
+async function setFollowing(user, listId, follow) {
+  const list = follow
+    ? await findVisibleList(user, listId)
+    : mongoose.Types.ObjectId.isValid(listId) && await ProblemList.findById(listId);
+  if (!list) {
+    throw new ListError(404, 'List not found');
+  }
+  if (follow && list.visibility !== 'public') {
+    throw new ListError(400, 'Only public lists can be followed');
+  }
+
+  const result = await User.updateOne(
+    { _id: user.id },
+    follow ? { $addToSet: { followedLists: list._id } } : { $pull: { followedLists: list._id } }
+  );
+  if (result.modifiedCount > 0) {
+    await ProblemList.updateOne({ _id: list._id }, { $inc: { followerCount: follow ? 1 : -1 } });
+  }
+  return { following: follow, followerCount: list.followerCount + (result.modifiedCount > 0 ? (follow ? 1 : -1) : 0) };
+}
+
+// The first problem of the list, in order, that the user hasn't solved yet
+async function getNextProblem(user, listId) {
+  const list = await findVisibleList(user, listId);
+  const described = await describeList(list, user);
+
+  for (const section of described.sections) {
+    const next = section.problems.find(entry => entry.available && !entry.solved);
+    if (next) {
+      return { completed: false, section: { sectionId: section.sectionId, title: section.title }, problem: next, progress: described.progress };
+    }
+  }
+  return { completed: true, problem: null, progress: described.progress };
+}
+
+export {
+  ListError,
+  browseLists,
+  getMyLists,
+  getList,
+  createList,
+  updateList,
+  deleteList,
+  forkList,
+  setFollowing,
+  getNextProblem
+};
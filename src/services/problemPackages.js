@@ -0,0 +1,192 @@
+import path from "path";
+import yaml from "js-yaml";
+import { languageForFile, normalizeLanguage, sourceExtension } from "../judge/languages.js";
+import { PackageError, openArchive, readProgramSource, buildArchive } from "./packageArchive.js";
+import { readPolygonPackage } from "./polygonPackages.js";
+
+// Problem packages: a zip holding everything a problem is made of, the format documented in
+// docs/problem-packages.md. Export writes this format; import reads it and Polygon packages
+// (see polygonPackages.js), both into the fields POST /api/problems takes.
+//
+//   problem.yml                   metadata, with program entries pointing at their source file
+//   statement.md                  description (Markdown)
+//   tests/samples/01.in, 01.out   sample tests, 01.md holds an optional explanation
+//   tests/hidden/01.in, 01.out    hidden tests
+//   checker/, interactor/, validator/, generators/, solutions/   program sources
+
+const FORMAT_VERSION = 1;
+const METADATA_FILE = 'problem.yml';
+const STATEMENT_FILE = 'statement.md';
+const PACKAGE_MARKERS = [METADATA_FILE, 'problem.xml'];
+
+// Optional fields copied between problem.yml and the problem as they are
+const PLAIN_FIELDS = [
+  'title',
+  'difficulty',
+  'topic',
+  'tags',
+  'type',
+  'timeLimit',
+  'memoryLimit',
+  'allowedLanguages',
+  'constraints',
+  'signature',
+  'generatedTests',
+  'subtasks'
+];
+
+// Drop empty values so problem.yml only lists what a problem uses
+const compact = (value) => {
+  if (Array.isArray(value)) return value.map(compact);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value)
+    .filter(([, entry]) => entry !== undefined && entry !== null && entry !== '' && !(Array.isArray(entry) && entry.length === 0))
+    .map(([key, entry]) => [key, compact(entry)]));
+};
+
+const testNames = (count) => {
+  const width = Math.max(2, String(count).length);
+  return Array.from({ length: count }, (_, i) => String(i + 1).padStart(width, '0'));
+};
+
+// File name for a program; languages the registry doesn't know keep a neutral extension
+const programFile = (folder, name, language) => {
+  const id = normalizeLanguage(language);
+  return `${folder}/${name}${id ? sourceExtension(id) : '.txt'}`;
+};
+
+// Build the zip of a problem, hidden tests and setter programs included (only for its creator)
+const exportProblemPackage = (problem) => {
+  const data = problem.toObject();
+  const files = [];
+  const addProgram = (program, folder, name) => {
+    if (!program?.code) return undefined;
+    const source = programFile(folder, name, program.language);
+    files.push({ path: source, content: program.code });
+    return { source, language: program.language };
+  };
+
+  const metadata = { format: FORMAT_VERSION };
+  for (const field of PLAIN_FIELDS) {
+    metadata[field] = data[field];
+  }
+  // Generated tests are listed, not stored: they are expanded again from the generators
+  metadata.generatedTests = data.generatedTests?.map(({ generator, seed, args }) => ({ generator, seed, args }));
+  if (data.type !== 'function') delete metadata.signature;
+
+  const { code, language, ...checkerOptions } = data.checker || {};
+  metadata.checker = data.checker?.type === 'custom'
+    ? { ...checkerOptions, ...addProgram({ code, language }, 'checker', 'checker') }
+    : checkerOptions;
+  if (data.type === 'interactive') {
+    metadata.interactor = addProgram(data.interactor, 'interactor', 'interactor');
+  }
+  metadata.validator = addProgram(data.validator, 'validator', 'validator');
+  metadata.referenceSolution = addProgram(data.referenceSolution, 'solutions', 'reference');
+
+  const usedNames = new Set();
+  metadata.generators = (data.generators || []).map((generator, i) => {
+    let name = generator.name.replace(/[^A-Za-z0-9_.-]/g, '_');
+    if (usedNames.has(name)) name = `${name}-${i + 1}`;
+    usedNames.add(name);
+    return { name: generator.name, ...addProgram(generator, 'generators', name) };
+  });
+
+  files.push({ path: METADATA_FILE, content: yaml.dump(compact(metadata), { lineWidth: -1, noRefs: true }) });
+  files.push({ path: STATEMENT_FILE, content: data.description });
+
+  testNames(data.sampleTestCases.length).forEach((name, i) => {
+    const { input, expectedOutput, explanation } = data.sampleTestCases[i];
+    files.push({ path: `tests/samples/${name}.in`, content: input });
+    files.push({ path: `tests/samples/${name}.out`, content: expectedOutput ?? '' });
+    if (explanation) files.push({ path: `tests/samples/${name}.md`, content: explanation });
+  });
+  testNames(data.hiddenTestCases.length).forEach((name, i) => {
+    const { input, expectedOutput } = data.hiddenTestCases[i];
+    files.push({ path: `tests/hidden/${name}.in`, content: input });
+    files.push({ path: `tests/hidden/${name}.out`, content: expectedOutput ?? '' });
+  });
+
+  return buildArchive(files);
+};
+
+// Tests of a folder: every NAME.in with its NAME.out (and NAME.md for samples)
+const readTests = (archive, folder, withExplanation) => archive.list(folder)
+  .filter(file => path.posix.extname(file) === '.in')
+  .map((file) => {
+    const base = file.slice(0, -'.in'.length);
+    return {
+      input: archive.text(file),
+      expectedOutput: archive.text(`${base}.out`) ?? undefined,
+      explanation: withExplanation ? archive.text(`${base}.md`) ?? undefined : undefined
+    };
+  });
+
+// A { source, language } entry of problem.yml as { code, language }
+const readProgram = (archive, entry, label) => {
+  if (!entry) return undefined;
+  if (!entry.source) {
+    throw new PackageError(`${label} in ${METADATA_FILE} needs a source file`);
+  }
+  return {
+    code: readProgramSource(archive, entry.source),
+    language: entry.language || languageForFile(entry.source)
+  };
+};
+
+const readSkypadPackage = (archive) => {
+  let metadata;
+  try {
+    metadata = yaml.load(archive.text(METADATA_FILE));
+  } catch (err) {
+    throw new PackageError(`${METADATA_FILE} is not valid YAML: ${err.message}`);
+  }
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new PackageError(`${METADATA_FILE} must hold a mapping of problem fields`);
+  }
+  if (metadata.format > FORMAT_VERSION) {
+    throw new PackageError(`Package format ${metadata.format} is newer than this server reads (${FORMAT_VERSION})`);
+  }
+
+  const data = {};
+  for (const field of PLAIN_FIELDS) {
+    if (metadata[field] !== undefined) data[field] = metadata[field];
+  }
+  data.description = archive.text(STATEMENT_FILE) ?? metadata.description;
+  data.sampleTestCases = readTests(archive, 'tests/samples/', true);
+  data.hiddenTestCases = readTests(archive, 'tests/hidden/', false);
+
+  if (metadata.checker) {
+    const { source, language, ...checkerOptions } = metadata.checker;
+    data.checker = source
+      ? { ...checkerOptions, ...readProgram(archive, { source, language }, 'checker') }
+      : checkerOptions;
+  }
+  data.interactor = readProgram(archive, metadata.interactor, 'interactor');
+  data.validator = readProgram(archive, metadata.validator, 'validator');
+  data.referenceSolution = readProgram(archive, metadata.referenceSolution, 'referenceSolution');
+  if (Array.isArray(metadata.generators)) {
+    data.generators = metadata.generators.map(generator => ({
+      name: generator?.name,
+      ...readProgram(archive, generator, `generator "${generator?.name}"`)
+    }));
+  }
+
+  return { data, warnings: [] };
+};
+
+// Read a package zip into the fields of a new problem. Resolves with { format, data, warnings },
+// rejects with a PackageError when the archive isn't a package this server understands.
+// options ({ difficulty, topic, allowedLanguages }) fill in what Polygon packages don't carry.
+const readProblemPackage = async (buffer, options = {}) => {
+  const archive = openArchive(buffer, PACKAGE_MARKERS);
+  if (archive.has(METADATA_FILE)) {
+    return { format: 'skypad', ...readSkypadPackage(archive) };
+  }
+  if (archive.has('problem.xml')) {
+    return { format: 'polygon', ...readPolygonPackage(archive, options) };
+  }
+  throw new PackageError(`Unknown package layout: expected ${METADATA_FILE} (Skypad) or problem.xml (Polygon) at its root`);
+};
+
+export { FORMAT_VERSION, exportProblemPackage, readProblemPackage, PackageError };
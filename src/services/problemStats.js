@@ -0,0 +1,85 @@
+import { mongoose } from "mongoose";
+import Problem from "../models/Problem.js";
+import Submission from "../models/Submission.js";
+import { VERDICTS } from "../judge/verdicts.js";
+
+// Per-problem engagement stats (problem.stats), recomputed from the problem's submissions whenever
+// one is judged or rejudged, so rejudges that flip verdicts are reflected too.
+
+// Submissions that say nothing about the solver: still queued, or failed by the problem's own tooling
+const UNCOUNTED_STATUSES = ['pending', VERDICTS.JUDGE_ERROR];
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Aggregate a problem's judged submissions into the stats stored on it
+async function computeProblemStats(problemId) {
+  const match = {
+    problemId: new mongoose.Types.ObjectId(String(problemId)),
+    status: { $nin: UNCOUNTED_STATUSES }
+  };
+  const isAccepted = { $eq: ['$status', VERDICTS.ACCEPTED] };
+
+  const [languages, users] = await Promise.all([
+    Submission.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$language',
+          submissions: { $sum: 1 },
+          accepted: { $sum: { $cond: [isAccepted, 1, 0] } }
+        }
+      },
+      { $sort: { submissions: -1, _id: 1 } }
+    ]),
+    // $min skips the nulls, so acceptedAt is the user's first accepted submission, if any
+    Submission.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$userId',
+          firstAt: { $min: '$createdAt' },
+          acceptedAt: { $min: { $cond: [isAccepted, '$createdAt', null] } }
+        }
+      }
+    ])
+  ]);
+
+  const submissions = languages.reduce((total, entry) => total + entry.submissions, 0);
+  const accepted = languages.reduce((total, entry) => total + entry.accepted, 0);
+  const solveTimes = users
+    .filter(user => user.acceptedAt)
+    .map(user => Math.max(0, Math.round((user.acceptedAt - user.firstAt) / (60 * 1000))));
+
+  return {
+    submissions,
+    accepted,
+    acceptanceRate: submissions > 0 ? Math.round((accepted / submissions) * 1000) / 10 : null,
+    attempters: users.length,
+    solvers: solveTimes.length,
+    medianSolveTime: median(solveTimes),
+    languages: languages.map(entry => ({ language: entry._id, submissions: entry.submissions, accepted: entry.accepted }))
+  };
+}
+
+// Recompute and store a problem's stats. A refresh that started before the stored one is dropped,
+// so concurrent judgings never leave older numbers behind.
+async function refreshProblemStats(problemId) {
+  const startedAt = new Date();
+  const stats = await computeProblemStats(problemId);
+  await Problem.updateOne(
+    {
+      _id: problemId,
+      $or: [{ 'stats.updatedAt': { $exists: false } }, { 'stats.updatedAt': { $lte: startedAt } }]
+    },
+    { $set: { stats: { ...stats, updatedAt: startedAt } } },
+    { timestamps: false } // stats moving isn't an edit of the problem
+  );
+  return stats;
+}
+
+export { computeProblemStats, refreshProblemStats };
@@ -0,0 +1,189 @@
+import ProblemReview from "../models/ProblemReview.js";
+
+// Problem publishing workflow:
+//
+//   draft ──submit──▶ in_review ──approve──▶ published
+//     ▲                  │  ▲                     │
+//     └── withdraw,  ◀───┘  └──── edited ─────────┘
+//         request_changes
+//   any status ──archive──▶ archived ──restore──▶ the status it was archived from
+//
+// Setters write drafts and send them to review; reviewers (the reviewer and admin roles) approve
+// them or ask for changes, but never on their own problems. Only published problems are listed and
+// judged for everyone, which problem.isActive mirrors so older queries keep working. Content is
+// only edited outside review: a problem in review is withdrawn first, and editing a published
+// problem sends it back to review. Every step and comment is stored as a ProblemReview entry.
+// Functions take the authenticated req.user and throw a WorkflowError with the HTTP status to answer.
+
+const REVIEWER_ROLES = ['reviewer', 'admin'];
+
+class WorkflowError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.status = status;
+  }
+}
+
+const isOwner = (problem, user) => String(problem.createdBy?._id ?? problem.createdBy) === user?.sub;
+
+const isReviewer = (user) => REVIEWER_ROLES.includes(user?.role);
+
+const isAdmin = (user) => user?.role === 'admin';
+
+// Reviewers decide on other setters' problems only
+const canReview = (problem, user) => isReviewer(user) && !isOwner(problem, user);
+
+// Unpublished problems are visible to their setter and to reviewers
+const canView = (problem, user) => problem.status === 'published' || isOwner(problem, user) || isReviewer(user);
+
+const requireStatus = (problem, status, message) => {
+  if (problem.status !== status) {
+    throw new WorkflowError(409, message);
+  }
+};
+
+const setStatus = (problem, status) => {
+  problem.status = status;
+  problem.isActive = status === 'published';
+};
+
+// Store a timeline entry, moving the problem to `to` first when the action changes its status
+const record = async (problem, user, action, { to, body } = {}) => {
+  const from = problem.status;
+  if (to) {
+    setStatus(problem, to);
+    await problem.save();
+  }
+  return ProblemReview.create({
+    problemId: problem._id,
+    authorId: user.id,
+    action,
+    body: body || undefined,
+    from: to ? from : undefined,
+    to,
+    revision: problem.revision
+  });
+};
+
+// Setter sends a draft to the reviewers
+const submitForReview = (problem, user, message) => {
+  if (!isOwner(problem, user)) {
+    throw new WorkflowError(403, 'Only the problem\'s setter can submit it for review');
+  }
+  requireStatus(problem, 'draft', 'Only drafts can be submitted for review');
+  return record(problem, user, 'submit', { to: 'in_review', body: message });
+};
+
+// Setter takes a problem back from review to keep editing
+const withdrawFromReview = (problem, user, message) => {
+  if (!isOwner(problem, user)) {
+    throw new WorkflowError(403, 'Only the problem\'s setter can withdraw it from review');
+  }
+  requireStatus(problem, 'in_review', 'The problem is not in review');
+  return record(problem, user, 'withdraw', { to: 'draft', body: message });
+};
+
+// A review entry: 'comment' (setter or reviewers, in any status), 'request_changes' (back to draft,
+// a comment is required) or 'approve' (publishes the problem)
+const addReview = (problem, user, { decision = 'comment', body } = {}) => {
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (text.length > 5000) {
+    throw new WorkflowError(400, 'A review comment holds at most 5000 characters');
+  }
+
+  if (decision === 'comment') {
+    if (!isOwner(problem, user) && !canReview(problem, user)) {
+      throw new WorkflowError(403, 'Only the problem\'s setter and reviewers can comment');
+    }
+    if (!text) {
+      throw new WorkflowError(400, 'A comment needs a body');
+    }
+    return record(problem, user, 'comment', { body: text });
+  }
+
+  if (decision !== 'request_changes' && decision !== 'approve') {
+    throw new WorkflowError(400, 'decision must be one of: comment, request_changes, approve');
+  }
+  if (!canReview(problem, user)) {
+    throw new WorkflowError(403, isReviewer(user) ? 'You can not review your own problem' : 'Only reviewers can decide on a problem');
+  }
+  requireStatus(problem, 'in_review', 'The problem is not in review');
+  if (decision === 'request_changes') {
+    if (!text) {
+      throw new WorkflowError(400, 'Say which changes are needed');
+    }
+    return record(problem, user, 'request_changes', { to: 'draft', body: text });
+  }
+  return record(problem, user, 'approve', { to: 'published', body: text });
+};
+
+// Reviewers approve what they read, so content doesn't change under them
+const requireEditable = (problem) => {
+  if (problem.status === 'archived') {
+    throw new WorkflowError(409, 'Restore the problem before editing it');
+  }
+  if (problem.status === 'in_review') {
+    throw new WorkflowError(409, 'Withdraw the problem from review before editing it');
+  }
+};
+
+// After a saved edit: a published problem needs approving again, anything else stays as it is
+const resubmitEdited = (problem, user) => (problem.status === 'published'
+  ? record(problem, user, 'submit', { to: 'in_review', body: `Edited after publishing (revision ${problem.revision})` })
+  : null);
+
+// Archiving replaces deleting: the problem is hidden but kept, with its submissions
+const archiveProblem = (problem, user, message) => {
+  if (!isOwner(problem, user) && !isAdmin(user)) {
+    throw new WorkflowError(403, 'Only the problem\'s setter or an admin can archive it');
+  }
+  if (problem.status === 'archived') {
+    throw new WorkflowError(409, 'The problem is already archived');
+  }
+  return record(problem, user, 'archive', { to: 'archived', body: message });
+};
+
+// Back to the status the problem had when it was archived; problems deleted before the workflow
+// existed come back as drafts
+const restoreProblem = async (problem, user, message) => {
+  if (!isOwner(problem, user) && !isAdmin(user)) {
+    throw new WorkflowError(403, 'Only the problem\'s setter or an admin can restore it');
+  }
+  requireStatus(problem, 'archived', 'The problem is not archived');
+  const archived = await ProblemReview.findOne({ problemId: problem._id, action: 'archive' }).sort({ createdAt: -1 });
+  return record(problem, user, 'restore', { to: archived?.from || 'draft', body: message });
+};
+
+// The problem's review timeline, oldest first
+const getReviewTimeline = (problem) => ProblemReview.find({ problemId: problem._id })
+  .sort({ createdAt: 1 })
+  .populate('authorId', 'username fullName');
+
+const toReviewResponse = (entry) => ({
+  reviewId: entry._id,
+  action: entry.action,
+  author: entry.authorId,
+  body: entry.body,
+  from: entry.from,
+  to: entry.to,
+  revision: entry.revision,
+  createdAt: entry.createdAt
+});
+
+export {
+  WorkflowError,
+  isOwner,
+  isReviewer,
+  canReview,
+  canView,
+  submitForReview,
+  withdrawFromReview,
+  addReview,
+  requireEditable,
+  resubmitEdited,
+  archiveProblem,
+  restoreProblem,
+  getReviewTimeline,
+  toReviewResponse
+};
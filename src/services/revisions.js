@@ -0,0 +1,276 @@
+import crypto from "crypto";
+import ProblemRevision from "../models/ProblemRevision.js";
+import ProblemTestData from "../models/ProblemTestData.js";
+import { diffText } from "../utils/diff.js";
+
+// Problem history: every edit that changes a problem's content stores a ProblemRevision holding
+// a snapshot of the versioned fields and a line diff of each field against the revision before.
+// problem.revision always names the revision the problem currently matches.
+// Test cases are kept out of revisions: snapshots refer to them by hash (see ProblemTestData) and
+// their diffs list one line per test, so a revision stays small whatever the size of the tests.
+
+// What a revision captures; ownership, stats, solvers and the validation report are not content
+const REVISION_FIELDS = [
+  'title',
+  'description',
+  'difficulty',
+  'topic',
+  'tags',
+  'constraints',
+  'sampleTestCases',
+  'hiddenTestCases',
+  'generators',
+  'generatedTests',
+  'subtasks',
+  'checker',
+  'type',
+  'signature',
+  'interactor',
+  'referenceSolution',
+  'validator',
+  'allowedLanguages',
+  'timeLimit',
+  'memoryLimit',
+  'points'
+];
+
+const TEST_FIELDS = ['sampleTestCases', 'hiddenTestCases'];
+const TEST_PREVIEW_LENGTH = 60;
+// Past this, a revision's hunks are dropped and only their line counts kept; MongoDB stores at most 16MB
+const MAX_REVISION_BYTES = 8 * 1024 * 1024;
+
+class RevisionConflictError extends Error {
+  constructor(message = 'The problem was edited at the same time, reload it and try again') {
+    super(message);
+    this.name = 'RevisionConflictError';
+  }
+}
+
+// Plain copy of a value. Subdocument ids are dropped, they change whenever a list is sent again
+// and would show up in every diff.
+const plain = (value) => JSON.parse(JSON.stringify(value, (key, entry) => (key === '_id' ? undefined : entry)));
+
+// A test case as revisions store it: the hash of its content, with its size and the start of its
+// input to recognize it by. Revisions stored before tests were referenced hold the tests themselves,
+// which map to the same entry.
+const testRef = (test) => {
+  if (test?.ref) return test;
+  const json = JSON.stringify(test);
+  return {
+    ref: crypto.createHash('sha256').update(json).digest('hex'),
+    size: Buffer.byteLength(json),
+    preview: String(test?.input ?? '').replace(/\s+/g, ' ').trim().slice(0, TEST_PREVIEW_LENGTH)
+  };
+};
+
+const toData = (problem) => (typeof problem.toObject === 'function' ? problem.toObject() : problem);
+
+// The versioned fields, with test cases as references
+const revisionSnapshot = (problem) => {
+  const data = toData(problem);
+  const snapshot = {};
+  for (const field of REVISION_FIELDS) {
+    if (data[field] === undefined) continue;
+    snapshot[field] = TEST_FIELDS.includes(field)
+      ? plain(data[field]).map(testRef)
+      : plain(data[field]);
+  }
+  return snapshot;
+};
+
+const isDuplicateKey = (err) => err?.code === 11000;
+
+// Store the problem's current test cases for its revision to refer to; content stored before is skipped
+const storeTestData = async (problem) => {
+  const data = toData(problem);
+  const tests = new Map();
+  for (const field of TEST_FIELDS) {
+    for (const test of data[field] ? plain(data[field]) : []) {
+      tests.set(testRef(test).ref, test);
+    }
+  }
+  if (tests.size === 0) return;
+
+  const stored = new Set((await ProblemTestData.find({ _id: { $in: [...tests.keys()] } }).select('_id'))
+    .map(entry => entry._id));
+  const missing = [...tests]
+    .filter(([ref]) => !stored.has(ref))
+    .map(([ref, test]) => ({ _id: ref, test }));
+  if (missing.length === 0) return;
+
+  await ProblemTestData.insertMany(missing, { ordered: false }).catch((err) => {
+    // Stored by a concurrent edit in the meantime
+    if (!(err.writeErrors || [err]).every(error => (error.code ?? error.err?.code) === 11000)) throw err;
+  });
+};
+
+// A stored snapshot with its test references replaced by the test cases, as a problem holds them
+const loadSnapshot = async (snapshot) => {
+  const refs = TEST_FIELDS.flatMap(field => (snapshot[field] || []).filter(test => test?.ref).map(test => test.ref));
+  const found = new Map(refs.length > 0
+    ? (await ProblemTestData.find({ _id: { $in: refs } })).map(entry => [entry._id, entry.test])
+    : []);
+
+  const loaded = { ...snapshot };
+  for (const field of TEST_FIELDS) {
+    if (!snapshot[field]) continue;
+    loaded[field] = snapshot[field].map((test) => {
+      if (!test?.ref) return test;
+      if (!found.has(test.ref)) {
+        throw new Error(`Test data ${test.ref} of the revision is missing`);
+      }
+      return found.get(test.ref);
+    });
+  }
+  return loaded;
+};
+
+// Text a field is diffed as: strings as they are, test cases one line each, anything else as indented JSON
+const fieldText = (field, value) => {
+  if (value === undefined || value === null) return '';
+  if (TEST_FIELDS.includes(field)) {
+    return value.map(testRef).map(({ ref, size, preview }) => `${ref.slice(0, 12)} ${preview} (${size} bytes)`).join('\n');
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+};
+
+// Field level changes between two snapshots: { field, change, diff } for every field that differs
+const diffSnapshots = (before = {}, after = {}) => REVISION_FIELDS
+  .map((field) => {
+    const oldText = fieldText(field, before[field]);
+    const newText = fieldText(field, after[field]);
+    if (oldText === newText) return null;
+    return {
+      field,
+      change: !oldText ? 'added' : (!newText ? 'removed' : 'changed'),
+      diff: diffText(oldText, newText)
+    };
+  })
+  .filter(Boolean);
+
+// Keep a revision inside MAX_REVISION_BYTES by dropping hunks, largest first; the counts stay
+const fitChanges = (snapshot, changes) => {
+  let size = Buffer.byteLength(JSON.stringify({ snapshot, changes }));
+  const bySize = changes
+    .map(change => ({ change, size: Buffer.byteLength(JSON.stringify(change.diff)) }))
+    .sort((a, b) => b.size - a.size);
+  for (const entry of bySize) {
+    if (size <= MAX_REVISION_BYTES) break;
+    const { added, removed } = entry.change.diff;
+    entry.change.diff = { identical: false, added, removed, hunks: [], truncated: true };
+    size -= entry.size;
+  }
+  return changes;
+};
+
+const insertRevision = async (fields) => {
+  await storeTestData(fields.problem);
+  const { problem, ...revision } = fields;
+  try {
+    return await ProblemRevision.create({ ...revision, changes: fitChanges(revision.snapshot, revision.changes) });
+  } catch (err) {
+    if (isDuplicateKey(err)) throw new RevisionConflictError();
+    throw err;
+  }
+};
+
+// Problems created before history was kept have no stored revision yet; their current content
+// becomes the first one so later edits have something to diff against and roll back to
+const ensureBaseline = async (problem) => {
+  if (await ProblemRevision.exists({ problemId: problem._id, revision: problem.revision })) return;
+  const snapshot = revisionSnapshot(problem);
+  await insertRevision({
+    problem,
+    problemId: problem._id,
+    revision: problem.revision,
+    authorId: problem.createdBy,
+    message: 'Content before revision history was kept',
+    snapshot,
+    changes: diffSnapshots({}, snapshot)
+  }).catch((err) => {
+    // Another request recorded it first
+    if (!(err instanceof RevisionConflictError)) throw err;
+  });
+};
+
+// Revision 1 of a new problem, right after it was saved
+const recordInitialRevision = (problem, authorId) => {
+  const snapshot = revisionSnapshot(problem);
+  return insertRevision({
+    problem,
+    problemId: problem._id,
+    revision: problem.revision,
+    authorId,
+    message: 'Created',
+    snapshot,
+    changes: diffSnapshots({}, snapshot)
+  });
+};
+
+// Save an edited problem, recording a revision when its content differs from `before` (the
+// snapshot taken before editing). The revision number is claimed first so two concurrent edits
+// can't both become revision N; the loser gets a RevisionConflictError and nothing is saved.
+// Resolves with the new revision, or null when only unversioned fields changed.
+const saveWithRevision = async (problem, before, { authorId, message, restoredFrom } = {}) => {
+  const snapshot = revisionSnapshot(problem);
+  const changes = diffSnapshots(before, snapshot);
+  if (changes.length === 0) {
+    await problem.save();
+    return null;
+  }
+
+  const revision = await insertRevision({
+    problem,
+    problemId: problem._id,
+    revision: problem.revision + 1,
+    authorId,
+    message,
+    restoredFrom,
+    snapshot,
+    changes
+  });
+  problem.revision = revision.revision;
+  try {
+    await problem.save();
+  } catch (err) {
+    await ProblemRevision.deleteOne({ _id: revision._id }).catch(() => {});
+    throw err;
+  }
+  return revision;
+};
+
+// Put a revision's content, loaded with loadSnapshot, back on the problem document (not saved).
+// Fields the revision didn't have are cleared.
+const applySnapshot = (problem, snapshot) => {
+  for (const field of REVISION_FIELDS) {
+    problem.set(field, snapshot[field]);
+  }
+};
+
+// Listing entry without the snapshot and hunks
+const summarizeRevision = (revision) => ({
+  revision: revision.revision,
+  author: revision.authorId,
+  message: revision.message,
+  restoredFrom: revision.restoredFrom,
+  createdAt: revision.createdAt,
+  changes: (revision.changes || []).map(({ field, change, diff }) => ({
+    field,
+    change,
+    added: diff?.added,
+    removed: diff?.removed
+  }))
+});
+
+export {
+  REVISION_FIELDS,
+  RevisionConflictError,
+  revisionSnapshot,
+  loadSnapshot,
+  diffSnapshots,
+  ensureBaseline,
+  recordInitialRevision,
+  saveWithRevision,
+  applySnapshot,
+  summarizeRevision
+};
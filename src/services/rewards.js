@@ -0,0 +1,192 @@
+// Badges and achievements, shared by the rewards routes and the solves that earn them
+
+// Badge definitions
+const BADGE_DEFINITIONS = {
+  'first-solve': {
+    name: 'First Solve',
+    description: 'Solve your first problem',
+    rarity: 'common',
+    category: 'milestone',
+    condition: (user) => user.solvedProblems.length >= 1
+  },
+  'algorithm-expert': {
+    name: 'Algorithm Expert',
+    description: 'Solved 10 algorithm challenges',
+    rarity: 'rare',
+    category: 'skill',
+    condition: (user) => user.solvedProblems.filter(p => p.topic === 'Dynamic Programming' || p.topic === 'Greedy').length >= 10
+  },
+  'frontend-wizard': {
+    name: 'Frontend Wizard',
+    description: 'Completed 5 frontend problems',
+    rarity: 'rare',
+    category: 'skill',
+    condition: (user) => user.solvedProblems.filter(p => p.topic === 'Array' || p.topic === 'String').length >= 5
+  },
+  'backend-architect': {
+    name: 'Backend Architect',
+    description: 'Participated in 3 collaborative sessions',
+    rarity: 'epic',
+    category: 'social',
+    condition: (user) => user.contestHistory.length >= 3
+  },
+  'array-master': {
+    name: 'Array Master',
+    description: 'Complete all array problems',
+    rarity: 'rare',
+    category: 'skill',
+    condition: (user) => user.solvedProblems.filter(p => p.topic === 'Array').length >= 10
+  },
+  'recursion-king': {
+    name: 'Recursion King',
+    description: 'Master recursive algorithms',
+    rarity: 'epic',
+    category: 'skill',
+    condition: (user) => user.solvedProblems.filter(p => p.topic === 'Recursion').length >= 8
+  },
+  'speed-demon': {
+    name: 'Speed Demon',
+    description: 'Solve 10 problems in one day',
+    rarity: 'legendary',
+    category: 'milestone',
+    condition: (user) => {
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      const tomorrow = new Date(today);
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      return user.solvedProblems.filter(p => p.solvedAt >= today && p.solvedAt < tomorrow).length >= 10;
+    }
+  },
+  'perfectionist': {
+    name: 'Perfectionist',
+    description: 'Solve 50 problems without any wrong submissions',
+    rarity: 'mythic',
+    category: 'milestone',
+    condition: (user) => user.solvedProblems.length >= 50 && user.stats.accuracy >= 100
+  }
+};
+
+// Achievement definitions
+const ACHIEVEMENT_DEFINITIONS = {
+  'bronze-tier': {
+    name: 'Bronze Tier',
+    description: 'Solve 10 problems',
+    tier: 'bronze',
+    target: 10,
+    reward: { coins: 100, xp: 50 }
+  },
+  'silver-tier': {
+    name: 'Silver Tier',
+    description: 'Solve 50 problems',
+    tier: 'silver',
+    target: 50,
+    reward: { coins: 300, xp: 150 }
+  },
+  'gold-tier': {
+    name: 'Gold Tier',
+    description: 'Solve 100 problems',
+    tier: 'gold',
+    target: 100,
+    reward: { coins: 600, xp: 300, badge: 'century-club' }
+  },
+  'platinum-tier': {
+    name: 'Platinum Tier',
+    description: 'Solve 500 problems',
+    tier: 'platinum',
+    target: 500,
+    reward: { coins: 2000, xp: 1000, badge: 'legendary-solver' }
+  }
+};
+
+// Award every badge whose condition the user now meets, with its coins and XP
+async function checkAndAwardBadges(user) {
+  if (!user.rewards) return;
+  
+  for (const [badgeId, badgeDef] of Object.entries(BADGE_DEFINITIONS)) {
+    const alreadyEarned = user.rewards.badges.some(badge => badge.badgeId === badgeId);
+    if (!alreadyEarned && badgeDef.condition(user)) {
+      user.rewards.badges.push({
+        badgeId,
+        name: badgeDef.name,
+        description: badgeDef.description,
+        rarity: badgeDef.rarity,
+        earnedAt: new Date(),
+        category: badgeDef.category
+      });
+
+      // Award coins for badge
+      const badgeReward = getBadgeReward(badgeDef.rarity);
+      user.rewards.coins += badgeReward;
+      user.rewards.xp += badgeReward * 2;
+
+      user.rewards.transactionHistory.push({
+        type: 'reward',
+        amount: badgeReward,
+        description: `Earned badge: ${badgeDef.name}`,
+        source: 'badge'
+      });
+    }
+  }
+}
+
+// Move the solve count achievements forward, paying out the ones that complete
+async function checkAndUpdateAchievements(user) {
+  if (!user.rewards) return;
+  
+  for (const [achievementId, achievementDef] of Object.entries(ACHIEVEMENT_DEFINITIONS)) {
+    let existingAchievement = user.rewards.achievements.find(a => a.achievementId === achievementId);
+    
+    if (!existingAchievement) {
+      existingAchievement = {
+        achievementId,
+        name: achievementDef.name,
+        description: achievementDef.description,
+        tier: achievementDef.tier,
+        progress: 0,
+        target: achievementDef.target,
+        completed: false,
+        reward: achievementDef.reward
+      };
+      user.rewards.achievements.push(existingAchievement);
+    }
+
+    if (!existingAchievement.completed) {
+      existingAchievement.progress = user.solvedProblems.length;
+      
+      if (existingAchievement.progress >= existingAchievement.target) {
+        existingAchievement.completed = true;
+        existingAchievement.completedAt = new Date();
+        
+        // Award rewards
+        user.rewards.coins += existingAchievement.reward.coins;
+        user.rewards.xp += existingAchievement.reward.xp;
+        
+        user.rewards.transactionHistory.push({
+          type: 'reward',
+          amount: existingAchievement.reward.coins,
+          description: `Achievement: ${existingAchievement.name}`,
+          source: 'achievement'
+        });
+      }
+    }
+  }
+}
+
+function getBadgeReward(rarity) {
+  const rewards = {
+    'common': 25,
+    'rare': 50,
+    'epic': 100,
+    'legendary': 200,
+    'mythic': 500
+  };
+  return rewards[rarity] || 25;
+}
+
+export {
+  BADGE_DEFINITIONS,
+  ACHIEVEMENT_DEFINITIONS,
+  checkAndAwardBadges,
+  checkAndUpdateAchievements,
+  getBadgeReward
+};
@@ -0,0 +1,215 @@
+import User from "../models/User.js";
+import Problem from "../models/Problem.js";
+import Submission from "../models/Submission.js";
+import { LANGUAGES } from "../judge/languages.js";
+import { VERDICTS } from "../judge/verdicts.js";
+import { updateUserStats } from "./userStats.js";
+import { checkAndAwardBadges, checkAndUpdateAchievements } from "./rewards.js";
+
+// Minutes from the user's first submission on a problem to the accepted one
+async function getTimeSpent(userId, problemId, acceptedAt) {
+  const first = await Submission.findOne({ userId, problemId }).sort({ createdAt: 1 }).select('createdAt');
+  if (!first) return 0;
+  return Math.max(0, Math.round((new Date(acceptedAt) - first.createdAt) / (60 * 1000)));
+}
+
+// Record an accepted submission as a solve and award XP, coins, badges and achievements.
+// Everything about the problem is read from the Problem document, never from the client.
+// Resolves with null when the user had already solved the problem. A solve recorded again after a
+// rejudge revoked it earns no XP or coins the second time.
+async function recordSolve({ userId, problem, submission }) {
+  const problemKey = problem.problemId || problem._id.toString();
+  const points = getPointsForDifficulty(problem.difficulty);
+  const timeSpent = await getTimeSpent(userId, problem._id, submission.createdAt);
+
+  // Claim the solve atomically so concurrent accepted submissions only reward once
+  const claimed = await User.updateOne(
+    { _id: userId, 'solvedProblems.problemId': { $ne: problemKey } },
+    {
+      $push: {
+        solvedProblems: {
+          problemId: problemKey,
+          title: problem.title,
+          difficulty: problem.difficulty,
+          topic: problem.topic,
+          timeSpent,
+          points,
+          language: LANGUAGES[submission.language]?.name || submission.language,
+          submissionId: submission._id
+        }
+      }
+    }
+  );
+  if (claimed.modifiedCount === 0) {
+    return null;
+  }
+
+  await Problem.updateOne(
+    { _id: problem._id },
+    { $push: { solvedBy: { userId, timeSpent, language: submission.language } } }
+  );
+
+  // Claim the reward atomically too, keyed like the solve
+  const firstReward = await User.updateOne(
+    { _id: userId, rewardedSolves: { $ne: problemKey } },
+    { $addToSet: { rewardedSolves: problemKey } }
+  );
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return null;
+  }
+
+  if (firstReward.modifiedCount === 0) {
+    await updateUserStats(user);
+    await user.save();
+    return {
+      points,
+      rewards: { xp: 0, coins: 0, leveledUp: false, newLevel: user.rewards?.level ?? 1 }
+    };
+  }
+
+  // Award rewards (100 XP and 10 coins per problem)
+  const xpReward = 100;
+  const coinReward = 10;
+  
+  // Initialize rewards if not exists
+  if (!user.rewards) {
+    user.rewards = {
+      coins: 0,
+      xp: 0,
+      level: 1,
+      badges: [],
+      ownedItems: [],
+      activeBoosters: [],
+      achievements: [],
+      weeklyChallenges: [],
+      monthlyChallenges: [],
+      transactionHistory: [],
+      dailyRewards: {
+        lastClaimed: null,
+        streak: 0,
+        nextReward: 1
+      },
+      profileCustomization: {
+        frameStyle: 'default',
+        theme: 'default',
+        avatar: null
+      }
+    };
+  }
+
+  // Apply active boosters
+  const now = new Date();
+  const activeBoosters = user.rewards.activeBoosters.filter(booster => 
+    new Date(booster.expiresAt) > now
+  );
+  
+  let finalXpReward = xpReward;
+  let finalCoinReward = coinReward;
+  
+  activeBoosters.forEach(booster => {
+    if (booster.type === 'xp') {
+      finalXpReward *= booster.multiplier;
+    } else if (booster.type === 'coins') {
+      finalCoinReward *= booster.multiplier;
+    }
+  });
+
+  // Award XP and coins
+  user.rewards.xp += finalXpReward;
+  user.rewards.coins += finalCoinReward;
+  
+  // Check for level up based on combined progress (XP + coins*5)
+  const totalProgressPoints = (Number(user.rewards.xp) || 0) + (Number(user.rewards.coins) || 0) * 5;
+  const newLevel = Math.floor(totalProgressPoints / 1000) + 1;
+  const leveledUp = newLevel > user.rewards.level;
+  if (leveledUp) {
+    user.rewards.level = newLevel;
+    user.rewards.coins += 100; // Level up bonus
+    user.rewards.transactionHistory.push({
+      type: 'reward',
+      amount: 100,
+      description: `Level up to ${newLevel}!`,
+      source: 'levelup'
+    });
+  }
+
+  // Add transaction history
+  user.rewards.transactionHistory.push({
+    type: 'earned',
+    amount: finalCoinReward,
+    description: `Solved problem: ${problem.title}`,
+    source: 'problem'
+  });
+
+  // Check and award badges
+  await checkAndAwardBadges(user);
+  
+  // Check and update achievements
+  await checkAndUpdateAchievements(user);
+
+  // Update statistics
+  await updateUserStats(user);
+  await user.save();
+
+  return {
+    points,
+    rewards: {
+      xp: finalXpReward,
+      coins: finalCoinReward,
+      leveledUp,
+      newLevel: user.rewards.level
+    }
+  };
+}
+
+// Drop a solve recorded from a submission that is no longer accepted.
+// Solves recorded before the judge verified them are left alone. Awarded XP and coins are kept, and
+// the problem stays in rewardedSolves so solving it again doesn't pay out a second time.
+async function revokeSolve(userId, problem) {
+  const problemKey = problem.problemId || problem._id.toString();
+  const revoked = await User.updateOne(
+    { _id: userId, solvedProblems: { $elemMatch: { problemId: problemKey, submissionId: { $exists: true } } } },
+    {
+      $pull: { solvedProblems: { problemId: problemKey, submissionId: { $exists: true } } },
+      // Solves recorded before rewardedSolves existed were paid out too
+      $addToSet: { rewardedSolves: problemKey }
+    }
+  );
+  if (revoked.modifiedCount === 0) {
+    return false;
+  }
+
+  await Problem.updateOne({ _id: problem._id }, { $pull: { solvedBy: { userId } } });
+
+  const user = await User.findById(userId);
+  if (user) {
+    await updateUserStats(user);
+    await user.save();
+  }
+  return true;
+}
+
+// Bring a user's solve of a problem in line with their submissions after a rejudge:
+// record it when an accepted submission exists, drop it when none is left
+async function syncSolve(userId, problem) {
+  const accepted = await Submission.findOne({ userId, problemId: problem._id, status: VERDICTS.ACCEPTED })
+    .sort({ createdAt: 1 });
+  if (accepted) {
+    return recordSolve({ userId, problem, submission: accepted });
+  }
+  await revokeSolve(userId, problem);
+  return null;
+}
+
+function getPointsForDifficulty(difficulty) {
+  const points = {
+    'Easy': 10,
+    'Medium': 25,
+    'Hard': 50
+  };
+  return points[difficulty] || 10;
+}
+
+export { recordSolve, revokeSolve, syncSolve };
@@ -0,0 +1,216 @@
+import User from "../models/User.js";
+
+// Helper function to calculate user statistics
+async function calculateUserStats(user) {
+  const now = new Date();
+  const oneWeekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+  const oneMonthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+  // Calculate weekly and monthly activity
+  const weeklyActivity = user.solvedProblems.filter(p => p.solvedAt >= oneWeekAgo).length;
+  const monthlyActivity = user.solvedProblems.filter(p => p.solvedAt >= oneMonthAgo).length;
+
+  // Calculate difficulty progress
+  const difficultyProgress = {
+    easy: {
+      solved: user.solvedProblems.filter(p => p.difficulty === 'Easy').length,
+      total: 100,
+      percentage: 0
+    },
+    medium: {
+      solved: user.solvedProblems.filter(p => p.difficulty === 'Medium').length,
+      total: 150,
+      percentage: 0
+    },
+    hard: {
+      solved: user.solvedProblems.filter(p => p.difficulty === 'Hard').length,
+      total: 80,
+      percentage: 0
+    }
+  };
+
+  // Calculate percentages
+  difficultyProgress.easy.percentage = Math.round((difficultyProgress.easy.solved / difficultyProgress.easy.total) * 100);
+  difficultyProgress.medium.percentage = Math.round((difficultyProgress.medium.solved / difficultyProgress.medium.total) * 100);
+  difficultyProgress.hard.percentage = Math.round((difficultyProgress.hard.solved / difficultyProgress.hard.total) * 100);
+
+  // Calculate topic progress
+  const topicProgress = {};
+  const topics = ['Array', 'String', 'Tree', 'Graph', 'Dynamic Programming', 'Linked List', 'Stack', 'Queue', 'Greedy', 'Recursion'];
+  topics.forEach(topic => {
+    const solved = user.solvedProblems.filter(p => p.topic === topic).length;
+    topicProgress[topic] = {
+      solved,
+      total: 10,
+      percentage: Math.round((solved / 10) * 100)
+    };
+  });
+
+  // Calculate favorite topic
+  const topicCounts = {};
+  user.solvedProblems.forEach(p => {
+    topicCounts[p.topic] = (topicCounts[p.topic] || 0) + 1;
+  });
+  const favoriteTopic = Object.keys(topicCounts).reduce((a, b) => 
+    topicCounts[a] > topicCounts[b] ? a : b, 'Arrays'
+  );
+
+  // Calculate streaks
+  const currentStreak = calculateCurrentStreak(user.dailyStreaks);
+  const longestStreak = calculateLongestStreak(user.dailyStreaks);
+
+  // Calculate total time spent
+  const totalTimeSpent = user.solvedProblems.reduce((total, p) => total + p.timeSpent, 0);
+
+  // Calculate accuracy (simplified)
+  const accuracy = user.solvedProblems.length > 0 ? 0.85 : 0;
+
+  // Calculate rating
+  const rating = calculateRating(user.solvedProblems, user.contestHistory);
+
+  // Calculate global rank (simplified)
+  const totalUsers = await User.countDocuments();
+  const usersWithMoreProblems = await User.countDocuments({
+    'stats.problemsSolved': { $gt: user.solvedProblems.length }
+  });
+  const globalRank = usersWithMoreProblems + 1;
+
+  return {
+    problemsSolved: user.solvedProblems.length,
+    totalSubmissions: user.solvedProblems.length,
+    accuracy,
+    currentStreak,
+    longestStreak,
+    rank: globalRank,
+    totalUsers,
+    contestsParticipated: user.contestHistory.length,
+    contestsWon: user.contestHistory.filter(c => c.isWon).length,
+    averageRating: rating,
+    maxRating: Math.max(rating, user.stats.maxRating),
+    weeklyActivity,
+    monthlyActivity,
+    totalTimeSpent: Math.round(totalTimeSpent / 60), // Convert to hours
+    favoriteTopic,
+    lastActive: formatLastActive(user.stats.lastActive),
+    difficultyStats: difficultyProgress,
+    topicStats: topicProgress,
+    winLossRatio: user.contestHistory.length > 0 ? 
+      user.contestHistory.filter(c => c.isWon).length / user.contestHistory.length : 0
+  };
+}
+
+// Helper function to update user statistics
+async function updateUserStats(user) {
+  const stats = await calculateUserStats(user);
+  
+  user.stats = {
+    problemsSolved: stats.problemsSolved,
+    totalSubmissions: stats.totalSubmissions,
+    accuracy: stats.accuracy,
+    currentStreak: stats.currentStreak,
+    longestStreak: stats.longestStreak,
+    weeklyActivity: stats.weeklyActivity,
+    monthlyActivity: stats.monthlyActivity,
+    totalTimeSpent: stats.totalTimeSpent,
+    favoriteTopic: stats.favoriteTopic,
+    lastActive: new Date(),
+    globalRank: stats.rank,
+    rating: stats.averageRating,
+    maxRating: stats.maxRating
+  };
+
+  user.difficultyProgress = stats.difficultyStats;
+  user.topicProgress = stats.topicStats;
+}
+
+// Helper functions
+function calculateCurrentStreak(streaks) {
+  if (streaks.length === 0) return 0;
+  
+  const sortedStreaks = streaks.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  let currentStreak = 0;
+  let currentDate = new Date();
+  
+  for (let i = 0; i < sortedStreaks.length; i++) {
+    const streakDate = new Date(sortedStreaks[i].date);
+    const daysDiff = Math.floor((currentDate - streakDate) / (1000 * 60 * 60 * 24));
+    
+    if (daysDiff === currentStreak) {
+      currentStreak++;
+      currentDate.setDate(currentDate.getDate() - 1);
+    } else {
+      break;
+    }
+  }
+  
+  return currentStreak;
+}
+
+function calculateLongestStreak(streaks) {
+  if (streaks.length === 0) return 0;
+  
+  const sortedStreaks = streaks.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  let longestStreak = 1;
+  let currentStreak = 1;
+  
+  for (let i = 1; i < sortedStreaks.length; i++) {
+    const prevDate = new Date(sortedStreaks[i - 1].date);
+    const currDate = new Date(sortedStreaks[i].date);
+    const daysDiff = Math.floor((currDate - prevDate) / (1000 * 60 * 60 * 24));
+    
+    if (daysDiff === 1) {
+      currentStreak++;
+      longestStreak = Math.max(longestStreak, currentStreak);
+    } else {
+      currentStreak = 1;
+    }
+  }
+  
+  return longestStreak;
+}
+
+function calculateRating(problemsSolved, contestHistory) {
+  let baseRating = 1200;
+  
+  // Add points for problems solved
+  problemsSolved.forEach(problem => {
+    const difficultyMultiplier = {
+      'Easy': 10,
+      'Medium': 25,
+      'Hard': 50
+    };
+    baseRating += difficultyMultiplier[problem.difficulty] || 10;
+  });
+  
+  // Add points for contest performance
+  contestHistory.forEach(contest => {
+    if (contest.isWon) {
+      baseRating += 100;
+    } else if (contest.rank <= 100) {
+      baseRating += 50;
+    } else if (contest.rank <= 500) {
+      baseRating += 25;
+    }
+  });
+  
+  return Math.min(baseRating, 3000);
+}
+
+function formatLastActive(lastActive) {
+  const now = new Date();
+  const diffMs = now - new Date(lastActive);
+  const diffHours = Math.floor(diffMs / (1000 * 60 * 60));
+  const diffDays = Math.floor(diffHours / 24);
+  
+  if (diffHours < 1) return 'Just now';
+  if (diffHours < 24) return `${diffHours} hour${diffHours > 1 ? 's' : ''} ago`;
+  if (diffDays < 7) return `${diffDays} day${diffDays > 1 ? 's' : ''} ago`;
+  return 'Over a week ago';
+}
+
+export {
+  calculateUserStats,
+  updateUserStats,
+  calculateCurrentStreak,
+  formatLastActive
+};
@@ -0,0 +1,274 @@
+import path from "path";
+import { mongoose } from "mongoose";
+import Workspace from "../models/Workspace.js";
+import { LANGUAGES, normalizeLanguage } from "../judge/languages.js";
+
+// Workspace operations shared by the REST routes and the code editor sockets.
+// Every function checks ownership and throws a WorkspaceError carrying the HTTP status to answer with.
+
+const MAX_WORKSPACES_PER_USER = 20;
+const MAX_NAME_LENGTH = 100; // as in the Workspace model
+const MAX_FILES = 50;
+const MAX_FILE_SIZE = 256 * 1024; // characters
+const MAX_WORKSPACE_SIZE = 2 * 1024 * 1024; // characters over all files
+const MAX_PATH_LENGTH = 200;
+const MAX_PATH_DEPTH = 8;
+const PATH_SEGMENT = /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/;
+
+class WorkspaceError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'WorkspaceError';
+    this.status = status;
+  }
+}
+
+function checkName(name) {
+  if (String(name).trim().length > MAX_NAME_LENGTH) {
+    throw new WorkspaceError(400, `A workspace name holds at most ${MAX_NAME_LENGTH} characters`);
+  }
+}
+
+// Returns the normalized path ("src/util.py"), or throws when it could escape the workspace
+function normalizePath(filePath) {
+  const normalized = String(filePath ?? '').trim().replace(/\\/g, '/').replace(/^\.\//, '');
+  const segments = normalized.split('/');
+  if (!normalized || normalized.length > MAX_PATH_LENGTH || segments.length > MAX_PATH_DEPTH ||
+    !segments.every(segment => PATH_SEGMENT.test(segment))) {
+    throw new WorkspaceError(400, `Invalid file path "${filePath}": use relative paths of letters, digits, "_", "-" and "."`);
+  }
+  return normalized;
+}
+
+// A path can't be both a file and a directory ("src" next to "src/main.py")
+function checkTree(files) {
+  if (files.length > MAX_FILES) {
+    throw new WorkspaceError(400, `A workspace holds at most ${MAX_FILES} files`);
+  }
+  const paths = new Set(files.map(file => file.path));
+  if (paths.size !== files.length) {
+    throw new WorkspaceError(400, 'File paths must be unique');
+  }
+  for (const file of files) {
+    if (file.content.length > MAX_FILE_SIZE) {
+      throw new WorkspaceError(400, `File "${file.path}" is larger than ${MAX_FILE_SIZE / 1024}KB`);
+    }
+    const parents = file.path.split('/').slice(0, -1).map((segment, i, all) => all.slice(0, i + 1).join('/'));
+    const clash = parents.find(parent => paths.has(parent));
+    if (clash) {
+      throw new WorkspaceError(400, `"${clash}" is a file, it can't also hold "${file.path}"`);
+    }
+  }
+  if (files.reduce((size, file) => size + file.content.length, 0) > MAX_WORKSPACE_SIZE) {
+    throw new WorkspaceError(400, `A workspace holds at most ${MAX_WORKSPACE_SIZE / 1024 / 1024}MB of files`);
+  }
+}
+
+function checkEntryPoint(language, entryPoint, files) {
+  if (entryPoint == null) return;
+  if (!files.some(file => file.path === entryPoint)) {
+    throw new WorkspaceError(400, `Entry point "${entryPoint}" is not a file of the workspace`);
+  }
+  if (path.extname(entryPoint) !== path.extname(LANGUAGES[language].sourceFile)) {
+    throw new WorkspaceError(400, `Entry point must be a ${LANGUAGES[language].name} source file`);
+  }
+}
+
+// First source file of the language, used when no entry point was chosen
+function defaultEntryPoint(language, files) {
+  const extension = path.extname(LANGUAGES[language].sourceFile);
+  return files.find(file => path.extname(file.path) === extension)?.path;
+}
+
+function toFiles(files) {
+  if (!Array.isArray(files)) {
+    throw new WorkspaceError(400, 'files must be a list of { path, content }');
+  }
+  return files.map(file => ({ path: normalizePath(file?.path), content: String(file?.content ?? '') }));
+}
+
+async function findOwnWorkspace(userId, workspaceId) {
+  const workspace = mongoose.Types.ObjectId.isValid(workspaceId)
+    ? await Workspace.findOne({ _id: workspaceId, userId })
+    : null;
+  if (!workspace) {
+    throw new WorkspaceError(404, 'Workspace not found');
+  }
+  return workspace;
+}
+
+// Listing without file contents
+function summarizeWorkspace(workspace) {
+  return {
+    workspaceId: workspace._id,
+    name: workspace.name,
+    language: workspace.language,
+    entryPoint: workspace.entryPoint,
+    files: workspace.files.map(file => ({ path: file.path, size: file.content.length })),
+    createdAt: workspace.createdAt,
+    updatedAt: workspace.updatedAt
+  };
+}
+
+function toWorkspaceResponse(workspace) {
+  return {
+    ...summarizeWorkspace(workspace),
+    files: workspace.files.map(file => ({ path: file.path, content: file.content }))
+  };
+}
+
+async function listWorkspaces(userId) {
+  const workspaces = await Workspace.find({ userId }).sort({ updatedAt: -1 });
+  return workspaces.map(summarizeWorkspace);
+}
+
+async function getWorkspace(userId, workspaceId) {
+  return toWorkspaceResponse(await findOwnWorkspace(userId, workspaceId));
+}
+
+async function createWorkspace(userId, { name, language, entryPoint, files = [] }) {
+  const languageId = normalizeLanguage(language);
+  if (!name || !String(name).trim() || !languageId) {
+    throw new WorkspaceError(400, 'name and a supported language are required');
+  }
+  checkName(name);
+  if (await Workspace.countDocuments({ userId }) >= MAX_WORKSPACES_PER_USER) {
+    throw new WorkspaceError(400, `You can keep at most ${MAX_WORKSPACES_PER_USER} workspaces`);
+  }
+
+  // New workspaces start from the language's usual source file
+  const tree = Array.isArray(files) && files.length === 0
+    ? [{ path: LANGUAGES[languageId].sourceFile, content: '' }]
+    : toFiles(files);
+  checkTree(tree);
+  const entry = entryPoint != null ? normalizePath(entryPoint) : defaultEntryPoint(languageId, tree);
+  checkEntryPoint(languageId, entry, tree);
+
+  const workspace = await Workspace.create({ userId, name, language: languageId, entryPoint: entry, files: tree });
+  return toWorkspaceResponse(workspace);
+}
+
+// Change the name, language or entry point
+async function updateWorkspace(userId, workspaceId, { name, language, entryPoint }) {
+  const workspace = await findOwnWorkspace(userId, workspaceId);
+
+  if (name !== undefined) {
+    if (!String(name).trim()) {
+      throw new WorkspaceError(400, 'name can not be empty');
+    }
+    checkName(name);
+    workspace.name = name;
+  }
+  if (language !== undefined) {
+    const languageId = normalizeLanguage(language);
+    if (!languageId) {
+      throw new WorkspaceError(400, 'Unsupported language');
+    }
+    workspace.language = languageId;
+  }
+  if (entryPoint !== undefined) {
+    workspace.entryPoint = entryPoint === null ? undefined : normalizePath(entryPoint);
+  } else if (language !== undefined) {
+    // The old entry point belongs to the old language
+    workspace.entryPoint = defaultEntryPoint(workspace.language, workspace.files);
+  }
+  checkEntryPoint(workspace.language, workspace.entryPoint, workspace.files);
+
+  await workspace.save();
+  return summarizeWorkspace(workspace);
+}
+
+async function deleteWorkspace(userId, workspaceId) {
+  const workspace = await findOwnWorkspace(userId, workspaceId);
+  await workspace.deleteOne();
+}
+
+// Create a file or replace its content
+async function writeFile(userId, workspaceId, filePath, content) {
+  const workspace = await findOwnWorkspace(userId, workspaceId);
+  const normalized = normalizePath(filePath);
+
+  const files = workspace.files.map(file => ({ path: file.path, content: file.content }));
+  const existing = files.find(file => file.path === normalized);
+  if (existing) {
+    existing.content = String(content ?? '');
+  } else {
+    files.push({ path: normalized, content: String(content ?? '') });
+  }
+  checkTree(files);
+
+  workspace.files = files;
+  if (!workspace.entryPoint) {
+    workspace.entryPoint = defaultEntryPoint(workspace.language, files);
+  }
+  await workspace.save();
+  return { path: normalized, size: files.find(file => file.path === normalized).content.length, created: !existing };
+}
+
+async function deleteFile(userId, workspaceId, filePath) {
+  const workspace = await findOwnWorkspace(userId, workspaceId);
+  const normalized = normalizePath(filePath);
+
+  if (!workspace.files.some(file => file.path === normalized)) {
+    throw new WorkspaceError(404, 'File not found');
+  }
+  workspace.files = workspace.files.filter(file => file.path !== normalized);
+  if (workspace.entryPoint === normalized) {
+    workspace.entryPoint = defaultEntryPoint(workspace.language, workspace.files);
+  }
+  await workspace.save();
+  return summarizeWorkspace(workspace);
+}
+
+// Move a file; the entry point follows it
+async function renameFile(userId, workspaceId, from, to) {
+  const workspace = await findOwnWorkspace(userId, workspaceId);
+  const source = normalizePath(from);
+  const target = normalizePath(to);
+
+  const files = workspace.files.map(file => ({ path: file.path, content: file.content }));
+  const file = files.find(candidate => candidate.path === source);
+  if (!file) {
+    throw new WorkspaceError(404, 'File not found');
+  }
+  file.path = target;
+  checkTree(files);
+
+  workspace.files = files;
+  if (workspace.entryPoint === source) {
+    workspace.entryPoint = path.extname(target) === path.extname(LANGUAGES[workspace.language].sourceFile)
+      ? target
+      : defaultEntryPoint(workspace.language, files);
+  }
+  await workspace.save();
+  return summarizeWorkspace(workspace);
+}
+
+// Files and entry point to run, for the editor; entryPoint overrides the stored one for this run
+async function loadWorkspaceProject(userId, workspaceId, entryPoint) {
+  const workspace = await findOwnWorkspace(userId, workspaceId);
+  const entry = entryPoint != null ? normalizePath(entryPoint) : workspace.entryPoint;
+  if (!entry) {
+    throw new WorkspaceError(400, `The workspace has no ${LANGUAGES[workspace.language].name} file to run`);
+  }
+  checkEntryPoint(workspace.language, entry, workspace.files);
+
+  return {
+    language: workspace.language,
+    entry,
+    files: workspace.files.map(file => ({ path: file.path, content: file.content }))
+  };
+}
+
+export {
+  WorkspaceError,
+  listWorkspaces,
+  getWorkspace,
+  createWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  writeFile,
+  deleteFile,
+  renameFile,
+  loadWorkspaceProject
+};
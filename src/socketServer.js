@@ -48,6 +48,9 @@ function initializeSocketServer(httpServer) {
   io.on('connection', (socket) => {
     console.log(`User connected: ${socket.username} (${socket.userId})`);
 
+    // Personal room for submission status pushes
+    socket.join(`user-${socket.userId}`);
+
     // Join a contest room for leaderboard updates
     socket.on('join-contest', (data) => {
       const { contestId } = data;
@@ -396,6 +399,15 @@ async function broadcastLeaderboardUpdate(contestId) {
   }
 }
 
+// Push submission progress to every socket of the submitting user
+function notifySubmissionUpdate(userId, event, payload) {
+  if (!io || !userId) {
+    return;
+  }
+
+  io.to(`user-${userId}`).emit(event, payload);
+}
+
 // Get IO instance
 function getIO() {
   if (!io) {
@@ -410,6 +422,7 @@ export {
   clearLobbyTimer,
   notifyMatchFinished,
   broadcastLeaderboardUpdate,
+  notifySubmissionUpdate,
   startMatchFromReady,
   getIO
 };
\ No newline at end of file
@@ -0,0 +1,128 @@
+// Line based diff between two texts, used to compare submissions' code
+const MAX_DIFF_CELLS = 4 * 1000 * 1000; // LCS table size above which the changed block is reported whole
+const DEFAULT_CONTEXT = 3;
+
+const splitLines = (text) => {
+  const normalized = String(text ?? '').replace(/\r\n?/g, '\n');
+  if (normalized === '') return [];
+  const lines = normalized.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
+
+// Longest common subsequence of the middle block, after common prefix and suffix are trimmed
+const diffBlock = (oldLines, newLines) => {
+  const n = oldLines.length;
+  const m = newLines.length;
+
+  if (n * m > MAX_DIFF_CELLS) {
+    return [
+      ...oldLines.map(line => ({ type: 'removed', line })),
+      ...newLines.map(line => ({ type: 'added', line }))
+    ];
+  }
+
+  // lengths[i * (m + 1) + j] = LCS of oldLines[i..] and newLines[j..]
+  const width = m + 1;
+  const lengths = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * width + j] = oldLines[i] === newLines[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldLines[i] === newLines[j]) {
+      ops.push({ type: 'context', line: oldLines[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      ops.push({ type: 'removed', line: oldLines[i++] });
+    } else {
+      ops.push({ type: 'added', line: newLines[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: 'removed', line: oldLines[i++] });
+  while (j < m) ops.push({ type: 'added', line: newLines[j++] });
+  return ops;
+};
+
+// Every line of both texts tagged as context, removed or added, with its line numbers
+const diffLines = (oldText, newText) => {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const ops = [
+    ...oldLines.slice(0, prefix).map(line => ({ type: 'context', line })),
+    ...diffBlock(oldLines.slice(prefix, oldLines.length - suffix), newLines.slice(prefix, newLines.length - suffix)),
+    ...oldLines.slice(oldLines.length - suffix).map(line => ({ type: 'context', line }))
+  ];
+
+  let oldNumber = 0;
+  let newNumber = 0;
+  return ops.map(op => ({
+    ...op,
+    oldLine: op.type === 'added' ? null : ++oldNumber,
+    newLine: op.type === 'removed' ? null : ++newNumber
+  }));
+};
+
+// Group changed lines into unified diff style hunks with a few lines of context around them
+const buildHunks = (lines, context = DEFAULT_CONTEXT) => {
+  const ranges = [];
+  lines.forEach((line, index) => {
+    if (line.type === 'context') return;
+    const last = ranges[ranges.length - 1];
+    if (last && index - last.lastChange <= context * 2) {
+      last.lastChange = index;
+    } else {
+      ranges.push({ begin: Math.max(0, index - context), lastChange: index });
+    }
+  });
+
+  return ranges.map(({ begin, lastChange }) => {
+    const hunkLines = lines.slice(begin, Math.min(lines.length, lastChange + 1 + context));
+    const before = lines.slice(0, begin);
+    const oldCount = hunkLines.filter(line => line.type !== 'added').length;
+    const newCount = hunkLines.filter(line => line.type !== 'removed').length;
+    // Unified diff convention: an empty side starts at the line before the hunk
+    return {
+      oldStart: before.filter(line => line.type !== 'added').length + (oldCount ? 1 : 0),
+      oldLines: oldCount,
+      newStart: before.filter(line => line.type !== 'removed').length + (newCount ? 1 : 0),
+      newLines: newCount,
+      lines: hunkLines
+    };
+  });
+};
+
+// Summary of the changes between two texts: counts plus the hunks
+const diffText = (oldText, newText, context = DEFAULT_CONTEXT) => {
+  const lines = diffLines(oldText, newText);
+  return {
+    identical: lines.every(line => line.type === 'context'),
+    added: lines.filter(line => line.type === 'added').length,
+    removed: lines.filter(line => line.type === 'removed').length,
+    hunks: buildHunks(lines, context)
+  };
+};
+
+export { diffLines, buildHunks, diffText };